@@ -0,0 +1,96 @@
+import http from 'http';
+import { AddressInfo } from 'net';
+
+// Local stand-in for the backend event stream (GET /api/game/{gameId}/events).
+// Tests publish domain events for a game and every connected client receives
+// them as Server-Sent Events. Events are buffered so reconnecting clients
+// that send Last-Event-ID get whatever they missed.
+
+export interface PublishedEvent {
+  id: number;
+  type: string;
+  data: unknown;
+}
+
+const EVENTS_PATH = /^\/api\/game\/([^/]+)\/events$/;
+
+export class LiveEventServer {
+  private server: http.Server | null = null;
+  private nextId = 1;
+  private events = new Map<string, PublishedEvent[]>();
+  private clients = new Map<string, Set<http.ServerResponse>>();
+  private unavailableGames = new Set<string>();
+
+  async start(port: number = 0): Promise<string> {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise<void>(resolve => this.server!.listen(port, '127.0.0.1', resolve));
+    const address = this.server.address() as AddressInfo;
+    return `http://127.0.0.1:${address.port}`;
+  }
+
+  async stop(): Promise<void> {
+    for (const responses of this.clients.values()) {
+      responses.forEach(res => res.end());
+    }
+    this.clients.clear();
+    if (!this.server) return;
+    await new Promise<void>(resolve => this.server!.close(() => resolve()));
+    this.server = null;
+  }
+
+  publish(gameId: string, type: string, data: unknown): PublishedEvent {
+    const event = { id: this.nextId++, type, data };
+    if (!this.events.has(gameId)) {
+      this.events.set(gameId, []);
+    }
+    this.events.get(gameId)!.push(event);
+    this.clients.get(gameId)?.forEach(res => this.write(res, event));
+    return event;
+  }
+
+  // Drop every open connection for a game, simulating a network blip
+  disconnect(gameId: string): void {
+    this.clients.get(gameId)?.forEach(res => res.destroy());
+    this.clients.delete(gameId);
+  }
+
+  // Answer 404 for a game, as a backend without streaming support would
+  markUnavailable(gameId: string): void {
+    this.unavailableGames.add(gameId);
+  }
+
+  connectionCount(gameId: string): number {
+    return this.clients.get(gameId)?.size ?? 0;
+  }
+
+  private handleRequest(req: http.IncomingMessage, res: http.ServerResponse): void {
+    const match = req.url?.match(EVENTS_PATH);
+    if (!match || req.method !== 'GET' || this.unavailableGames.has(match[1])) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    const gameId = decodeURIComponent(match[1]);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write(': connected\n\n');
+
+    const lastEventId = Number(req.headers['last-event-id'] ?? 0);
+    (this.events.get(gameId) ?? [])
+      .filter(event => event.id > lastEventId)
+      .forEach(event => this.write(res, event));
+
+    if (!this.clients.has(gameId)) {
+      this.clients.set(gameId, new Set());
+    }
+    this.clients.get(gameId)!.add(res);
+    req.on('close', () => this.clients.get(gameId)?.delete(res));
+  }
+
+  private write(res: http.ServerResponse, event: PublishedEvent): void {
+    res.write(`event: ${event.type}\nid: ${event.id}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+}
@@ -0,0 +1,11 @@
+import { defineConfig } from '@playwright/test';
+
+// Node-only specs for src/utils and src/services, no browser or dev server needed
+export default defineConfig({
+  testDir: './tests/unit',
+  fullyParallel: false,
+  forbidOnly: !!process.env.CI,
+  retries: 0,
+  workers: 1,
+  reporter: 'list',
+});
@@ -112,13 +112,12 @@ export function useAiTurnPlayback() {
       const action = visualizable[i];
 
       if (action.type === 'battle_detected') {
-        const bi = action.details?.battleInfo || {};
+        const bi = action.battle || {};
         const battleResult = bi.result || action.details?.battleResult || 'unknown';
         // Look ahead for finalize_battle (consumable usage)
         const next = visualizable[i + 1];
         if (next && next.type === 'finalize_battle') {
-          const finalizeData = next.details?.result?.response || {};
-          const finalBi = finalizeData.battleResult || {};
+          const finalBi = next.battle || {};
           merged.push({
             type: 'battle',
             battleResult: finalBi.result || battleResult,
@@ -152,8 +151,7 @@ export function useAiTurnPlayback() {
 
       if (action.type === 'finalize_battle') {
         // Standalone finalize (no preceding battle_detected)
-        const finalizeData = action.details?.result?.response || {};
-        const fb = finalizeData.battleResult || {};
+        const fb = action.battle || {};
         merged.push({
           type: 'battle',
           battleResult: fb.result || 'unknown',
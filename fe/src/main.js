@@ -7,6 +7,9 @@ import GameView from './views/GameView.vue'
 import NotFoundView from './views/NotFoundView.vue'
 import LeaderboardView from './views/LeaderboardView.vue'
 import RulesView from './views/RulesView.vue'
+import LobbyView from './views/LobbyView.vue'
+import CompendiumView from './views/CompendiumView.vue'
+import { getRouteViewName } from './router/routeViews'
 
 // ----------------
 // Define Game Components
@@ -19,6 +22,16 @@ import RulesView from './views/RulesView.vue'
 // ----------------
 // Custom Router View Component
 // ----------------
+const VIEWS = {
+  home: HomeView,
+  game: GameView,
+  lobby: LobbyView,
+  leaderboard: LeaderboardView,
+  rules: RulesView,
+  compendium: CompendiumView,
+  'not-found': NotFoundView
+}
+
 const CustomRouterView = {
   name: 'CustomRouterView',
   setup() {
@@ -26,21 +39,7 @@ const CustomRouterView = {
     const route = useRoute()
     
     // Compute which component to show based on route
-    const currentComponent = computed(() => {
-      const path = route.path
-      
-      if (path === '/') {
-        return HomeView
-      } else if (path.startsWith('/game')) {
-        return GameView
-      } else if (path === '/leaderboard') {
-        return LeaderboardView
-      } else if (path === '/rules') {
-        return RulesView
-      } else {
-        return NotFoundView
-      }
-    })
+    const currentComponent = computed(() => VIEWS[getRouteViewName(route.path)])
     
     return () => {
       // Render the current component
@@ -4,6 +4,8 @@ import GameView from '@/views/GameView.vue';
 import NotFoundView from '@/views/NotFoundView.vue';
 import LeaderboardView from '@/views/LeaderboardView.vue';
 import RulesView from '@/views/RulesView.vue';
+import CompendiumView from '@/views/CompendiumView.vue';
+import LobbyView from '@/views/LobbyView.vue';
 
 const routes = [
   {
@@ -19,6 +21,19 @@ const routes = [
     props: true,
     meta: { title: 'Game' }
   },
+  {
+    path: '/game/:id/replay',
+    name: 'game-replay',
+    component: GameView,
+    props: true,
+    meta: { title: 'Replay' }
+  },
+  {
+    path: '/lobby/:id',
+    name: 'lobby',
+    component: LobbyView,
+    meta: { title: 'Lobby' }
+  },
   {
     path: '/leaderboard',
     name: 'leaderboard',
@@ -31,6 +46,12 @@ const routes = [
     component: RulesView,
     meta: { title: 'Rules' }
   },
+  {
+    path: '/compendium',
+    name: 'compendium',
+    component: CompendiumView,
+    meta: { title: 'Compendium' }
+  },
   {
     path: '/:pathMatch(.*)*',
     name: 'not-found',
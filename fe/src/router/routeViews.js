@@ -0,0 +1,16 @@
+// Which view the app shows for a path, by route name; main.js renders through this instead of <router-view>
+
+/**
+ * Name of the route record whose view renders a path
+ * @param {string} path - Current route path
+ * @returns {string} View key, named after the route in router/index.js that shows it, 'not-found' for unknown paths
+ */
+export const getRouteViewName = (path) => {
+  if (path === '/') return 'home';
+  if (path.startsWith('/game')) return 'game';
+  if (path.startsWith('/lobby')) return 'lobby';
+  if (path === '/leaderboard') return 'leaderboard';
+  if (path === '/rules') return 'rules';
+  if (path === '/compendium') return 'compendium';
+  return 'not-found';
+};
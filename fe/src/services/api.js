@@ -1,4 +1,6 @@
 import axios from 'axios';
+import { createRequestClient } from './requestClient';
+import { parseResponse, toApiError } from './apiModel';
 
 
 /**
@@ -6,6 +8,9 @@ import axios from 'axios';
  * @property {string} gameId - Unique identifier for the game
  */
 
+// Every method returns the response normalized by parseResponse and rejects with an ApiError,
+// see apiModel.js for the response schemas
+
 // Function to generate a random UUID-like string temporarily until uuid package is installed
 const generateRandomId = () => {
   return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
@@ -25,20 +30,25 @@ const apiClient = axios.create({
   timeout: 10000
 });
 
+// Retries, idempotency keys and the offline queue on top of the axios instance
+const request = createRequestClient(apiClient);
+
 // Game related API methods
 export const gameApi = {
   /**
    * Create a new game
    * @param {string} [gameId] - Optional game ID, will generate a random ID if not provided
+   * @param {number} [seats] - How many players may join, the backend allows up to 4 when omitted
    * @returns {Promise<GameResponse>} Promise with game response data
    */
-  createGame: async (gameId = null) => {
+  createGame: async (gameId = null, seats = null) => {
     const payload = {
       gameId: gameId || generateRandomId()
     };
+    if (seats) payload.seats = seats;
     
     try {
-      const response = await apiClient.post('/game', payload);
+      const response = await request.post('/game', payload);
       console.log('Game created:', response.data);
 
       // Example structure of expected response:
@@ -54,10 +64,10 @@ export const gameApi = {
       //   settings: {}
       // }
 
-      return response.data;
+      return parseResponse('createGame', response.data);
     } catch (error) {
       console.error('Error creating game:', error);
-      throw error;
+      throw toApiError('createGame', error);
     }
   },
   
@@ -68,15 +78,15 @@ export const gameApi = {
    */
   getGame: async (gameId) => {
     try {
-      const response = await apiClient.get(`/game/${gameId}`);
-      return response.data;
+      const response = await request.get(`/game/${gameId}`);
+      return parseResponse('getGame', response.data);
     } catch (error) {
       console.error(`Error getting game ${gameId}:`, error);
-      throw error;
+      throw toApiError('getGame', error);
     }
   },
 
-  joinGame: async (gameId, playerId, externalId = null, username = null, walletAddress = null, isAi = false) => {
+  joinGame: async (gameId, playerId, externalId = null, username = null, walletAddress = null, isAi = false, aiStrategy = null) => {
     try {
       const payload = {gameId: gameId, playerId: playerId, isAi: isAi};
       if (externalId) {
@@ -88,11 +98,15 @@ export const gameApi = {
       if (walletAddress) {
         payload.walletAddress = walletAddress;
       }
-      const response = await apiClient.post(`/game/player`, payload);
-      return response.data;
+      // Stored with the player so every client and the backend play the AI the same way
+      if (aiStrategy) {
+        payload.aiStrategy = aiStrategy;
+      }
+      const response = await request.post(`/game/player`, payload);
+      return parseResponse('joinGame', response.data);
     } catch (error) {
       console.error(`Error joining game ${gameId}:`, error);
-      throw error;
+      throw toApiError('joinGame', error);
     }
   },
   
@@ -104,18 +118,58 @@ export const gameApi = {
    */
   playerReady: async (gameId, playerId) => {
     try {
-      const response = await apiClient.post(`/game/player/ready`, {
+      const response = await request.post(`/game/player/ready`, {
         gameId: gameId,
         playerId: playerId
       });
       console.log('Player marked as ready:', response.data);
-      return response.data;
+      return parseResponse('playerReady', response.data);
     } catch (error) {
       console.error(`Error marking player ${playerId} as ready in game ${gameId}:`, error);
-      throw error;
+      throw toApiError('playerReady', error);
     }
   },
   
+  /**
+   * Take back a player's ready mark while the game is still in the lobby
+   * @param {string} gameId - The game ID
+   * @param {string} playerId - The player ID
+   * @returns {Promise<Object>} Promise with response data
+   */
+  playerNotReady: async (gameId, playerId) => {
+    try {
+      const response = await request.post(`/game/player/not-ready`, {
+        gameId: gameId,
+        playerId: playerId
+      });
+      return parseResponse('playerNotReady', response.data);
+    } catch (error) {
+      console.error(`Error marking player ${playerId} as not ready in game ${gameId}:`, error);
+      throw toApiError('playerNotReady', error);
+    }
+  },
+
+  /**
+   * Change how many players may join a game still in the lobby
+   * @param {string} gameId - The game ID
+   * @param {string} playerId - The host, the backend refuses anyone else
+   * @param {number} seats - Requested seat count, never below the players already joined
+   * @returns {Promise<Object>} Promise with the seat count the game kept
+   */
+  changeSeats: async (gameId, playerId, seats) => {
+    try {
+      const response = await request.post(`/game/seats`, {
+        gameId: gameId,
+        playerId: playerId,
+        seats: seats
+      });
+      return parseResponse('changeSeats', response.data);
+    } catch (error) {
+      console.error(`Error changing seats of game ${gameId}:`, error);
+      throw toApiError('changeSeats', error);
+    }
+  },
+
   /**
    * Start a game
    * @param {string} gameId - The game ID to start
@@ -123,14 +177,14 @@ export const gameApi = {
    */
   startGame: async (gameId) => {
     try {
-      const response = await apiClient.post(`/game/start`, {
+      const response = await request.post(`/game/start`, {
         gameId: gameId
       });
       console.log('Game started:', response.data);
-      return response.data;
+      return parseResponse('startGame', response.data);
     } catch (error) {
       console.error(`Error starting game ${gameId}:`, error);
-      throw error;
+      throw toApiError('startGame', error);
     }
   },
 
@@ -141,20 +195,12 @@ export const gameApi = {
    */
   getGameTurns: async (gameId) => {
     try {
-      const response = await apiClient.get(`/game/${gameId}/turns`);
-      
-      // Log response for debugging
+      const response = await request.get(`/game/${gameId}/turns`);
       console.log('Game turns fetched:', response.data);
-      
-      // Basic validation of response structure
-      if (!response.data || !response.data.gameId || !Array.isArray(response.data.turns)) {
-        console.warn('Unexpected game turns response format:', response.data);
-      }
-      
-      return response.data;
+      return parseResponse('getGameTurns', response.data);
     } catch (error) {
       console.error(`Error fetching game turns for game ${gameId}:`, error);
-      throw error;
+      throw toApiError('getGameTurns', error);
     }
   },
 
@@ -178,7 +224,7 @@ export const gameApi = {
     }
 
     try {
-      const response = await apiClient.post('/game/pick-tile', {
+      const response = await request.post('/game/pick-tile', {
         gameId,
         tileId,
         playerId,
@@ -187,10 +233,10 @@ export const gameApi = {
         fieldPlace
       });
       console.log('Tile picked:', response.data);
-      return response.data;
+      return parseResponse('pickTile', response.data);
     } catch (error) {
       console.error('Error picking tile:', error);
-      throw error;
+      throw toApiError('pickTile', error);
     }
   },
 
@@ -207,7 +253,7 @@ export const gameApi = {
    */
   rotateTile: async ({ tileId, topSide, requiredOpenSide, gameId, playerId, turnId }) => {
     try {
-      const response = await apiClient.post('/game/rotate-tile', {
+      const response = await request.post('/game/rotate-tile', {
         tileId,
         topSide,
         requiredOpenSide,
@@ -216,10 +262,10 @@ export const gameApi = {
         turnId
       });
       console.log('Tile rotated:', response.data);
-      return response.data;
+      return parseResponse('rotateTile', response.data);
     } catch (error) {
       console.error('Error rotating tile:', error);
-      throw error;
+      throw toApiError('rotateTile', error);
     }
   },
 
@@ -235,7 +281,7 @@ export const gameApi = {
    */
   placeTile: async ({ tileId, gameId, fieldPlace, playerId, turnId }) => {
     try {
-      const response = await apiClient.post('/game/place-tile', {
+      const response = await request.post('/game/place-tile', {
         tileId,
         gameId,
         fieldPlace,
@@ -243,10 +289,10 @@ export const gameApi = {
         turnId
       });
       console.log('Tile placed:', response.data);
-      return response.data;
+      return parseResponse('placeTile', response.data);
     } catch (error) {
       console.error('Error placing tile:', error);
-      throw error;
+      throw toApiError('placeTile', error);
     }
   },
 
@@ -264,7 +310,7 @@ export const gameApi = {
    */
   movePlayer: async ({ gameId, playerId, turnId, fromPosition, toPosition, ignoreMonster = false, isTilePlacementMove = false }) => {
     try {
-      const response = await apiClient.post('/game/move-player', {
+      const response = await request.post('/game/move-player', {
         gameId,
         playerId,
         turnId,
@@ -272,21 +318,12 @@ export const gameApi = {
         toPosition,
         ignoreMonster,
         isTilePlacementMove
-      });
+      }, { idempotent: true });
       console.log('Player moved:', response.data);
-      
-      // Check if the response contains battle info
-      if (response.data && response.data.battleInfo) {
-        return {
-          ...response.data,
-          battleInfo: response.data.battleInfo
-        };
-      }
-      
-      return response.data;
+      return parseResponse('movePlayer', response.data);
     } catch (error) {
       console.error('Error moving player:', error);
-      throw error;
+      throw toApiError('movePlayer', error);
     }
   },
   
@@ -314,38 +351,11 @@ export const gameApi = {
         payload.itemIdToReplace = data.itemIdToReplace;
       }
       
-      const response = await apiClient.post('/game/pick-item', payload);
-      
-      // Map response properties to match frontend expectations if needed
-      const result = response.data;
-      
-      // Normalize property names if the backend uses snake_case
-      if (!result.inventoryFull && result.inventory_full) {
-        result.inventoryFull = result.inventory_full;
-      }
-      if (!result.itemCategory && result.item_category) {
-        result.itemCategory = result.item_category;
-      }
-      if (!result.maxItemsInCategory && result.max_items_in_category) {
-        result.maxItemsInCategory = result.max_items_in_category;
-      }
-      if (!result.currentInventory && result.current_inventory) {
-        result.currentInventory = result.current_inventory;
-      }
-      if (!result.missingKey && result.missing_key) {
-        result.missingKey = result.missing_key;
-      }
-      if (!result.chestType && result.chest_type) {
-        result.chestType = result.chest_type;
-      }
-      if (!result.itemReplaced && result.item_replaced) {
-        result.itemReplaced = result.item_replaced;
-      }
-      
-      return result;
+      const response = await request.post('/game/pick-item', payload, { idempotent: true });
+      return parseResponse('pickItem', response.data);
     } catch (error) {
       console.error('Error picking up item:', error);
-      throw error;
+      throw toApiError('pickItem', error);
     }
   },
 
@@ -373,12 +383,12 @@ export const gameApi = {
         payload.itemIdToReplace = itemIdToReplace;
       }
       
-      const response = await apiClient.post('/game/inventory-action', payload);
+      const response = await request.post('/game/inventory-action', payload);
       console.log('Inventory action processed:', response.data);
-      return response.data;
+      return parseResponse('inventoryAction', response.data);
     } catch (error) {
       console.error('Error processing inventory action:', error);
-      throw error;
+      throw toApiError('inventoryAction', error);
     }
   },
   
@@ -392,22 +402,23 @@ export const gameApi = {
    */
   endTurn: async ({ gameId, playerId, turnId }) => {
     try {
-      const response = await apiClient.post('/game/end-turn', {
+      const response = await request.post('/game/end-turn', {
         gameId,
         playerId,
         turnId
-      });
+      }, { idempotent: true });
       console.log('Turn ended:', response.data);
-      return response.data;
+      return parseResponse('endTurn', response.data);
     } catch (error) {
+      const apiError = toApiError('endTurn', error);
       // Handle 422 (validation error) gracefully without console error
-      if (error.response && error.response.status === 422) {
-        console.log('Turn end validation failed:', error.response.data.message);
-        return error.response.data;
+      if (apiError.status === 422) {
+        console.log('Turn end validation failed:', apiError.message);
+        return { success: false, message: apiError.message };
       }
       // For other errors, log and throw
       console.error('Error ending turn:', error);
-      throw error;
+      throw apiError;
     }
   },
 
@@ -421,55 +432,28 @@ export const gameApi = {
   forceNextTurn: async ({ gameId, playerId }) => {
     try {
       console.log('Attempting to force next turn for stunned player');
-      
+
       // First, get current game state to get the latest turn ID
-      const gameState = await apiClient.get(`/game/${gameId}`);
-      const currentTurnId = gameState.data.state.currentTurnId;
-      
+      const gameState = await request.get(`/game/${gameId}`);
+      const currentTurnId = parseResponse('getGame', gameState.data).state.currentTurnId;
+
       if (!currentTurnId) {
         throw new Error('Could not get current turn ID');
       }
-      
-      // Call end turn with the current turn ID
-      const response = await apiClient.post('/game/end-turn', {
+
+      // End turn is idempotent, the request layer retries it safely on transient failures
+      const response = await request.post('/game/end-turn', {
         gameId,
         playerId,
         turnId: currentTurnId
-      });
-      
-      console.log('First end turn completed:', response.data);
-      
-      // Wait a moment for server processing
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      // Get updated game state
-      const updatedGameState = await apiClient.get(`/game/${gameId}`);
-      
-      // If turn didn't advance, try one more time
-      if (updatedGameState.data.state.currentPlayerId === playerId) {
-        console.log('Turn did not advance, trying once more');
-        
-        // Get the possibly new turn ID
-        const newTurnId = updatedGameState.data.state.currentTurnId;
-        
-        // Call end turn again
-        const secondResponse = await apiClient.post('/game/end-turn', {
-          gameId,
-          playerId,
-          turnId: newTurnId
-        });
-        
-        console.log('Second end turn completed:', secondResponse.data);
-        
-        // Get final game state
-        const finalGameState = await apiClient.get(`/game/${gameId}`);
-        return finalGameState.data;
-      }
-      
-      return updatedGameState.data;
+      }, { idempotent: true });
+      console.log('End turn completed:', parseResponse('endTurn', response.data));
+
+      const updatedGameState = await request.get(`/game/${gameId}`);
+      return parseResponse('getGame', updatedGameState.data);
     } catch (error) {
       console.error('Error forcing next turn:', error);
-      throw error;
+      throw toApiError('forceNextTurn', error);
     }
   },
 
@@ -504,12 +488,12 @@ export const gameApi = {
         payload.replaceItemId = replaceItemId;
       }
       
-      const response = await apiClient.post('/game/finalize-battle', payload);
+      const response = await request.post('/game/finalize-battle', payload, { idempotent: true });
       console.log('Battle finalized:', response.data);
-      return response.data;
+      return parseResponse('finalizeBattle', response.data);
     } catch (error) {
       console.error('Error finalizing battle:', error);
-      throw error;
+      throw toApiError('finalizeBattle', error);
     }
   },
 
@@ -520,14 +504,14 @@ export const gameApi = {
    */
   getPlayerStatus: async (playerId) => {
     try {
-      const response = await apiClient.post('/game/player/status', {
+      const response = await request.post('/game/player/status', {
         playerId
       });
       console.log('Player status fetched:', response.data);
-      return response.data;
+      return parseResponse('getPlayerStatus', response.data);
     } catch (error) {
       console.error('Error fetching player status:', error);
-      throw error;
+      throw toApiError('getPlayerStatus', error);
     }
   },
 
@@ -542,7 +526,7 @@ export const gameApi = {
    */
   useSpell: async (gameId, playerId, turnId, spellId, targetPosition = null) => {
     try {
-      const response = await apiClient.post('/game/use-spell', {
+      const response = await request.post('/game/use-spell', {
         gameId,
         playerId,
         turnId,
@@ -550,10 +534,10 @@ export const gameApi = {
         targetPosition
       });
       console.log('Spell used:', response.data);
-      return response.data;
+      return parseResponse('useSpell', response.data);
     } catch (error) {
       console.error('Error using spell:', error);
-      throw error;
+      throw toApiError('useSpell', error);
     }
   },
 
@@ -561,19 +545,21 @@ export const gameApi = {
    * Execute a virtual player turn
    * @param {string} gameId - The game ID
    * @param {string} playerId - The virtual player ID
+   * @param {string|null} strategy - AI strategy, the backend default when null
    * @returns {Promise<Object>} Promise with virtual player actions
    */
-  executeVirtualPlayerTurn: async (gameId, playerId) => {
+  executeVirtualPlayerTurn: async (gameId, playerId, strategy = null) => {
     try {
-      const response = await apiClient.post('/game/virtual-player-turn', {
+      const response = await request.post('/game/virtual-player-turn', {
         gameId,
-        playerId
+        playerId,
+        ...(strategy && { strategy })
       });
       console.log('Virtual player turn executed:', response.data);
-      return response.data;
+      return parseResponse('executeVirtualPlayerTurn', response.data);
     } catch (error) {
       console.error('Error executing virtual player turn:', error);
-      throw error;
+      throw toApiError('executeVirtualPlayerTurn', error);
     }
   },
 
@@ -589,12 +575,28 @@ export const gameApi = {
    */
   getLeaderboard: async (params = {}) => {
     try {
-      const response = await apiClient.get('/leaderboard', { params });
+      const response = await request.get('/leaderboard', { params });
       console.log('Leaderboard fetched:', response.data);
-      return response.data;
+      return parseResponse('getLeaderboard', response.data);
     } catch (error) {
       console.error('Error fetching leaderboard:', error);
-      throw error;
+      throw toApiError('getLeaderboard', error);
+    }
+  },
+
+  /**
+   * Report that a spectator is still watching a game
+   * @param {string} gameId - The game being watched
+   * @param {string} viewerId - Stable ID of this viewer
+   * @returns {Promise<Object>} Promise with { gameId, viewerCount }
+   */
+  spectateGame: async (gameId, viewerId) => {
+    try {
+      const response = await request.post(`/game/${gameId}/spectators`, { viewerId });
+      return parseResponse('spectateGame', response.data);
+    } catch (error) {
+      console.error(`Error registering spectator for game ${gameId}:`, error);
+      throw toApiError('spectateGame', error);
     }
   },
 
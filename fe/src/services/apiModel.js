@@ -0,0 +1,268 @@
+/**
+ * Response model for gameApi
+ *
+ * Every gameApi response goes through parseResponse once: keys are normalized to
+ * camelCase, the result is checked against the endpoint's schema and endpoint
+ * specific shapes are filled in, so views never have to guess between
+ * `turn_id` and `turnId`. Failures are turned into ApiError objects; responses
+ * that don't match their schema raise ApiValidationError, which is also reported
+ * to the listeners registered with onApiValidationError.
+ */
+
+import { checkSchema } from '../utils/schemaUtils';
+
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Readable error message
+   * @param {Object} params - Error details
+   * @param {string} params.endpoint - gameApi method that failed
+   * @param {string} params.kind - 'http', 'network', 'client' or 'validation'
+   * @param {number|null} [params.status] - HTTP status code
+   * @param {string|null} [params.code] - Error code from the backend error body
+   * @param {*} [params.data] - Response body
+   * @param {Error} [params.cause] - Original error
+   */
+  constructor(message, { endpoint, kind, status = null, code = null, data = null, cause = null }) {
+    super(message);
+    this.name = 'ApiError';
+    this.endpoint = endpoint;
+    this.kind = kind;
+    this.status = status;
+    this.code = code;
+    this.data = data;
+    this.cause = cause;
+  }
+}
+
+export class ApiValidationError extends ApiError {
+  /**
+   * @param {string} endpoint - gameApi method whose response is invalid
+   * @param {Array<string>} issues - Schema errors with their path
+   * @param {*} data - Normalized response body
+   */
+  constructor(endpoint, issues, data) {
+    super(`Unexpected response from ${endpoint}: ${issues.slice(0, 3).join('; ')}`, {
+      endpoint,
+      kind: 'validation',
+      data
+    });
+    this.name = 'ApiValidationError';
+    this.issues = issues;
+  }
+}
+
+const TILE_SCHEMA = ['object', {
+  tile: 'object'
+}];
+
+const TURN_SCHEMA = {
+  turnId: 'string',
+  turnNumber: 'number|string',
+  playerId: 'string',
+  actions: 'array'
+};
+
+// PHP encodes empty associative arrays as [], so optional detail objects may arrive as arrays
+const AI_ACTION_SCHEMA = {
+  type: 'string',
+  details: 'object|array?'
+};
+
+// Only the fields views rely on are listed, anything else passes through unchecked
+const RESPONSE_SCHEMAS = {
+  createGame: ['object', { gameId: 'string' }],
+  getGame: ['object', {
+    gameId: 'string',
+    state: ['object', {
+      status: 'string',
+      currentPlayerId: 'string?',
+      currentTurnId: 'string?'
+    }],
+    players: ['array', {
+      id: 'string',
+      aiStrategy: 'string?'
+    }],
+    settings: ['object?', {
+      seats: 'number?'
+    }],
+    field: 'object?',
+    turns: ['array?', TURN_SCHEMA]
+  }],
+  joinGame: ['object', { playerId: 'string' }],
+  playerReady: 'object',
+  playerNotReady: 'object',
+  changeSeats: ['object', { seats: 'number' }],
+  startGame: ['object', { gameId: 'string' }],
+  getGameTurns: ['object', {
+    gameId: 'string',
+    turns: ['array', TURN_SCHEMA]
+  }],
+  pickTile: TILE_SCHEMA,
+  rotateTile: TILE_SCHEMA,
+  placeTile: TILE_SCHEMA,
+  movePlayer: ['object', {
+    battleInfo: 'object|array?',
+    itemInfo: 'object|array?'
+  }],
+  pickItem: ['object', {
+    item: 'object?',
+    inventoryFull: 'boolean?',
+    missingKey: 'boolean?',
+    itemReplaced: 'boolean?'
+  }],
+  inventoryAction: 'object',
+  endTurn: ['object', {
+    success: 'boolean?',
+    message: 'string?'
+  }],
+  finalizeBattle: ['object', {
+    success: 'boolean?',
+    finalTotalDamage: 'number?'
+  }],
+  getPlayerStatus: ['object', {
+    hp: 'number',
+    isStunned: 'boolean'
+  }],
+  useSpell: 'object',
+  executeVirtualPlayerTurn: ['object', {
+    success: 'boolean',
+    actions: ['array', AI_ACTION_SCHEMA]
+  }],
+  getLeaderboard: ['object', {
+    entries: 'array',
+    pagination: 'object'
+  }],
+  spectateGame: ['object', {
+    viewerCount: 'number'
+  }]
+};
+
+/**
+ * Battle data of an AI action, wherever the backend put it
+ * @param {Object} action - Normalized AI action
+ * @returns {Object|null} Battle info with result, monsterType, totalDamage, monster, diceResults and position
+ */
+const getAiActionBattle = (action) => {
+  if (action.type === 'battle_detected') {
+    return action.details?.battleInfo || null;
+  }
+  if (action.type === 'finalize_battle') {
+    return action.details?.result?.response?.battleResult || null;
+  }
+  return null;
+};
+
+// Shapes filled in after validation, keyed like RESPONSE_SCHEMAS
+const RESPONSE_TRANSFORMS = {
+  executeVirtualPlayerTurn: (data) => ({
+    ...data,
+    actions: data.actions.map(action => ({ ...action, battle: getAiActionBattle(action) }))
+  })
+};
+
+const validationListeners = new Set();
+
+/**
+ * Convert a snake_case key to camelCase, other keys are returned as they are
+ * @param {string} key - Object key
+ * @returns {string} camelCase key
+ */
+export const toCamelCase = (key) => {
+  // Positions ("1,-2"), ids and already camelCased keys must stay untouched
+  if (!/^[a-z][a-z0-9]*(_[a-z0-9]+)+$/.test(key)) return key;
+  return key.replace(/_([a-z0-9])/g, (_, char) => char.toUpperCase());
+};
+
+/**
+ * Recursively convert all object keys to camelCase
+ * @param {*} value - JSON value
+ * @returns {*} Copy with camelCase keys
+ */
+export const normalizeKeys = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(normalizeKeys);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, nested] of Object.entries(value)) {
+      const camelKey = toCamelCase(key);
+      // Keep the camelCase field when the backend sends both spellings
+      if (camelKey !== key && camelKey in value) continue;
+      result[camelKey] = normalizeKeys(nested);
+    }
+    return result;
+  }
+  return value;
+};
+
+// Endpoints whose malformed response leaves the game view nothing to show
+const BLOCKING_ENDPOINTS = new Set(['getGame']);
+
+/**
+ * Whether a validation error should replace the game with an error screen
+ * Other calls handle their own failure, some on purpose silently, like the spectator heartbeat.
+ * @param {Error} error - Any error
+ * @returns {boolean} True for an ApiValidationError from a blocking endpoint
+ */
+export const isBlockingValidationError = (error) => error instanceof ApiValidationError && BLOCKING_ENDPOINTS.has(error.endpoint);
+
+/**
+ * Listen for responses that don't match their schema
+ * @param {Function} listener - Called with the ApiValidationError
+ * @returns {Function} Removes the listener
+ */
+export const onApiValidationError = (listener) => {
+  validationListeners.add(listener);
+  return () => validationListeners.delete(listener);
+};
+
+/**
+ * Normalize and validate a response body
+ * @param {string} endpoint - gameApi method name
+ * @param {*} data - Raw response body
+ * @returns {*} Normalized response
+ * @throws {ApiValidationError} When the response doesn't match the endpoint's schema
+ */
+export const parseResponse = (endpoint, data) => {
+  const normalized = normalizeKeys(data);
+  const issues = [];
+  checkSchema(normalized, RESPONSE_SCHEMAS[endpoint] || 'object', '', issues);
+
+  if (issues.length > 0) {
+    const error = new ApiValidationError(endpoint, issues, normalized);
+    validationListeners.forEach(listener => listener(error));
+    throw error;
+  }
+
+  const transform = RESPONSE_TRANSFORMS[endpoint];
+  return transform ? transform(normalized) : normalized;
+};
+
+/**
+ * Turn any failure of a gameApi call into an ApiError
+ * @param {string} endpoint - gameApi method name
+ * @param {Error} error - Axios error, ApiError or any other error
+ * @returns {ApiError} Typed error
+ */
+export const toApiError = (endpoint, error) => {
+  if (error instanceof ApiError) return error;
+
+  if (error?.response) {
+    const data = normalizeKeys(error.response.data);
+    return new ApiError(data?.message || error.message, {
+      endpoint,
+      kind: 'http',
+      status: error.response.status,
+      code: data?.code || null,
+      data,
+      cause: error
+    });
+  }
+
+  // Axios errors without a response never reached the server, anything else failed before sending
+  return new ApiError(error?.message || 'Request failed', {
+    endpoint,
+    kind: error?.isAxiosError ? 'network' : 'client',
+    cause: error
+  });
+};
@@ -0,0 +1,225 @@
+/**
+ * Live game updates over Server-Sent Events
+ *
+ * The game server streams domain events for a single game from
+ * `GET /api/game/{gameId}/events`. Every frame carries the event name,
+ * a monotonically increasing id and a JSON payload:
+ *
+ *   event: PlayerMoved
+ *   id: 42
+ *   data: {"playerId":"...","from":"0,0","to":"0,1"}
+ *
+ * Supported events and their payloads:
+ * - TilePlaced: { tileId, fieldPlace, orientation, room?, features? }
+ * - PlayerMoved: { playerId, from, to }
+ * - BattleCompleted: { battleId, playerId, result, totalDamage, monsterHP, ... }
+ * - PlayerHealthChanged: { playerId, healthChange, hp? }
+ * - TurnChanged: { currentPlayerId, turnNumber }
+ * - GameEnded: { winnerId? }
+ *
+ * The stream is read with fetch instead of EventSource so that the
+ * `Last-Event-ID` header can be sent on reconnect and so the client also
+ * runs outside the browser (unit tests use a local stand-in server).
+ */
+
+const DEFAULT_BASE_URL = '/api';
+const MIN_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * Connection states reported through onStatusChange
+ */
+export const LIVE_STATUS = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting',
+  UNAVAILABLE: 'unavailable',
+  CLOSED: 'closed'
+};
+
+/**
+ * Parse complete frames out of an event stream buffer
+ * @param {string} buffer - Text received so far
+ * @returns {Object} Parsed events and the unparsed remainder ({ events, rest })
+ */
+export const parseEventStream = (buffer) => {
+  const events = [];
+  const normalized = buffer.replace(/\r\n?/g, '\n');
+  const frames = normalized.split('\n\n');
+  // The last chunk is either empty or an incomplete frame
+  const rest = frames.pop();
+
+  frames.forEach(frame => {
+    let type = 'message';
+    let id = null;
+    let retry = null;
+    const dataLines = [];
+
+    frame.split('\n').forEach(line => {
+      if (!line || line.startsWith(':')) return;
+
+      const separatorIndex = line.indexOf(':');
+      const field = separatorIndex === -1 ? line : line.slice(0, separatorIndex);
+      let value = separatorIndex === -1 ? '' : line.slice(separatorIndex + 1);
+      if (value.startsWith(' ')) value = value.slice(1);
+
+      if (field === 'event') type = value;
+      else if (field === 'data') dataLines.push(value);
+      else if (field === 'id') id = value;
+      else if (field === 'retry' && /^\d+$/.test(value)) retry = Number(value);
+    });
+
+    if (dataLines.length === 0) {
+      // Frames without data only move the reconnect delay or the resume id
+      if (retry !== null || id !== null) events.push({ type: null, id, retry, data: null });
+      return;
+    }
+
+    try {
+      events.push({ type, id, retry, data: JSON.parse(dataLines.join('\n')) });
+    } catch (err) {
+      console.warn('Skipping malformed live event:', type, err);
+    }
+  });
+
+  return { events, rest };
+};
+
+/**
+ * Create a live updates subscription for a game
+ * @param {Object} params - Subscription parameters
+ * @param {string} params.gameId - The game ID to subscribe to
+ * @param {Function} params.onEvent - Called with every event ({ type, id, data })
+ * @param {Function} params.onStatusChange - Called when the connection state changes
+ * @param {string} params.baseUrl - API base URL (defaults to '/api')
+ * @param {Function} params.fetchImpl - Optional fetch implementation
+ * @returns {Object} Subscription with connect, close and getStatus methods
+ */
+export const createLiveUpdates = ({
+  gameId,
+  onEvent,
+  onStatusChange = null,
+  baseUrl = DEFAULT_BASE_URL,
+  fetchImpl = null
+}) => {
+  let status = LIVE_STATUS.IDLE;
+  let controller = null;
+  let lastEventId = null;
+  let retryDelay = MIN_RETRY_DELAY;
+  let retryTimer = null;
+  let closed = false;
+
+  const setStatus = (nextStatus) => {
+    if (status === nextStatus) return;
+    status = nextStatus;
+    if (onStatusChange) onStatusChange(nextStatus);
+  };
+
+  const dispatch = (event) => {
+    if (event.retry !== null) retryDelay = event.retry;
+
+    // Servers may resend the last event after a reconnect
+    if (event.id !== null && event.id === lastEventId) return;
+    if (event.id !== null) lastEventId = event.id;
+    if (!event.type) return;
+
+    try {
+      onEvent({ type: event.type, id: event.id, data: event.data });
+    } catch (err) {
+      console.error('Error handling live event:', event.type, err);
+    }
+  };
+
+  const scheduleReconnect = () => {
+    if (closed) return;
+    setStatus(LIVE_STATUS.RECONNECTING);
+    const delay = retryDelay;
+    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      connect();
+    }, delay);
+  };
+
+  const connect = async () => {
+    if (!gameId) return;
+    closed = false;
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+    if (status !== LIVE_STATUS.RECONNECTING) {
+      setStatus(LIVE_STATUS.CONNECTING);
+    }
+
+    controller = new AbortController();
+    const headers = { Accept: 'text/event-stream' };
+    if (lastEventId !== null) {
+      headers['Last-Event-ID'] = lastEventId;
+    }
+
+    try {
+      const doFetch = fetchImpl || fetch;
+      const response = await doFetch(`${baseUrl}/game/${gameId}/events`, {
+        headers,
+        cache: 'no-store',
+        signal: controller.signal
+      });
+
+      // The backend does not offer a stream for this game, callers fall back to polling
+      if (response.status === 404 || response.status === 501) {
+        setStatus(LIVE_STATUS.UNAVAILABLE);
+        return;
+      }
+      if (!response.ok || !response.body) {
+        throw new Error(`Event stream responded with status ${response.status}`);
+      }
+
+      setStatus(LIVE_STATUS.OPEN);
+      retryDelay = MIN_RETRY_DELAY;
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      // eslint-disable-next-line no-constant-condition
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const parsed = parseEventStream(buffer);
+        buffer = parsed.rest;
+        parsed.events.forEach(dispatch);
+      }
+
+      // The server closed the stream, reconnect and resume from lastEventId
+      scheduleReconnect();
+    } catch (err) {
+      if (closed) return;
+      console.error('Live updates connection failed:', err);
+      scheduleReconnect();
+    }
+  };
+
+  const close = () => {
+    closed = true;
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+    if (controller) {
+      controller.abort();
+      controller = null;
+    }
+    setStatus(LIVE_STATUS.CLOSED);
+  };
+
+  return {
+    connect,
+    close,
+    getStatus: () => status,
+    getLastEventId: () => lastEventId
+  };
+};
@@ -0,0 +1,221 @@
+/**
+ * Resilient request layer on top of an axios instance
+ *
+ * - Transient failures (network errors, timeouts, 408/429/502/503/504) are
+ *   retried with exponential backoff. GET requests are always retried, POST
+ *   requests only when they are idempotent.
+ * - Idempotent POST requests carry an `Idempotency-Key` header. The key stays
+ *   the same for every retry, so the server answers a repeated request with
+ *   the stored first response instead of applying the action twice. While the
+ *   first request is still running the server answers 409, which is retried too.
+ * - Idempotent POST requests made while the network is down are queued and
+ *   sent in order once the browser is back online, as are those whose
+ *   connection drops mid-request. Their promises settle when the queued
+ *   request finally completes. When the browser is online but the server
+ *   stays unreachable, the queue is retried with backoff and its promises are
+ *   rejected once the retries run out.
+ */
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+const DEFAULT_RETRIES = 3;
+const BASE_RETRY_DELAY = 300;
+const MAX_RETRY_DELAY = 5000;
+const TRANSIENT_STATUSES = new Set([408, 429, 502, 503, 504]);
+
+const generateKey = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+};
+
+/**
+ * Checks if a request never got an answer from the server
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for network errors and timeouts
+ */
+export const isNetworkError = (error) => {
+  return !error?.response && error?.code !== 'ERR_CANCELED';
+};
+
+/**
+ * Checks if a failed request may succeed when sent again
+ * @param {Error} error - Axios error
+ * @param {boolean} idempotent - Whether the request carries an idempotency key
+ * @returns {boolean} True if the request can be retried
+ */
+export const isTransientError = (error, idempotent = false) => {
+  if (isNetworkError(error)) return true;
+  const status = error?.response?.status;
+  // 409 on a keyed request means the first attempt is still running on the server
+  return TRANSIENT_STATUSES.has(status) || (idempotent && status === 409);
+};
+
+/**
+ * Backoff delay before a retry
+ * @param {number} attempt - Retry number, starting at 0
+ * @param {number} baseDelay - Delay of the first retry in ms
+ * @param {number} maxDelay - Upper bound in ms
+ * @returns {number} Delay in ms
+ */
+export const getRetryDelay = (attempt, baseDelay = BASE_RETRY_DELAY, maxDelay = MAX_RETRY_DELAY) => {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  // Up to 20% jitter so tabs retrying the same failure spread out
+  return Math.round(delay * (0.8 + Math.random() * 0.2));
+};
+
+/**
+ * Create a request client
+ * @param {Object} http - Axios instance
+ * @param {Object} [options] - Client options
+ * @param {number} [options.retries] - Retries after the first attempt, and rounds of queue retries while the server
+ * is unreachable
+ * @param {number} [options.baseDelay] - Delay of the first retry in ms
+ * @param {number} [options.maxDelay] - Upper bound for retry delays in ms
+ * @param {Function} [options.sleep] - Waits the given ms, replaceable in tests
+ * @param {Function} [options.isOnline] - Reports whether the network is up
+ * @param {EventTarget} [options.onlineTarget] - Dispatches 'online' when the network comes back
+ * @param {Function} [options.onQueueChange] - Called with the number of queued requests
+ * @returns {Object} Client with get, post and queue helpers
+ */
+export const createRequestClient = (http, {
+  retries = DEFAULT_RETRIES,
+  baseDelay = BASE_RETRY_DELAY,
+  maxDelay = MAX_RETRY_DELAY,
+  sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+  isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false,
+  onlineTarget = typeof window !== 'undefined' ? window : null,
+  onQueueChange = () => {}
+} = {}) => {
+  const queue = [];
+  let flushing = false;
+  let flushRetries = 0;
+  let flushRetryPending = false;
+
+  const send = async (config, idempotent) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await http.request(config);
+      } catch (error) {
+        const retryable = (config.method === 'get' || idempotent) && isTransientError(error, idempotent);
+        if (!retryable || attempt >= retries) throw error;
+        console.warn(`Request ${config.method.toUpperCase()} ${config.url} failed, retry ${attempt + 1}/${retries}`);
+        await sleep(getRetryDelay(attempt, baseDelay, maxDelay));
+      }
+    }
+  };
+
+  const enqueue = (config) => {
+    return new Promise((resolve, reject) => {
+      queue.push({ config, resolve, reject });
+      onQueueChange(queue.length);
+    });
+  };
+
+  const rejectQueued = (error) => {
+    queue.splice(0).forEach(entry => entry.reject(error));
+    onQueueChange(0);
+  };
+
+  // Offline, the 'online' event flushes again; online, the server is unreachable and is retried a bounded number of times
+  const retryFlush = (error) => {
+    if (!isOnline() || flushRetryPending) return;
+    if (flushRetries >= retries) {
+      flushRetries = 0;
+      rejectQueued(error);
+      return;
+    }
+    flushRetryPending = true;
+    sleep(getRetryDelay(flushRetries++, baseDelay, maxDelay)).then(() => {
+      flushRetryPending = false;
+      flush();
+    });
+  };
+
+  // Send queued requests in order, stop at the first one that still can't reach the server
+  const flush = async () => {
+    if (flushing) return;
+    flushing = true;
+    let unreachable = null;
+    try {
+      while (queue.length > 0) {
+        const entry = queue[0];
+        try {
+          entry.resolve(await send(entry.config, true));
+        } catch (error) {
+          if (isNetworkError(error)) {
+            unreachable = error;
+            return;
+          }
+          entry.reject(error);
+        }
+        flushRetries = 0;
+        queue.shift();
+        onQueueChange(queue.length);
+      }
+    } finally {
+      flushing = false;
+      if (unreachable) retryFlush(unreachable);
+    }
+  };
+
+  if (onlineTarget?.addEventListener) {
+    onlineTarget.addEventListener('online', () => flush());
+  }
+
+  return {
+    /**
+     * GET request, retried on transient failures
+     * @param {string} url - Request URL
+     * @param {Object} [config] - Axios config
+     * @returns {Promise<Object>} Axios response
+     */
+    get: (url, config = {}) => send({ ...config, method: 'get', url }, false),
+
+    /**
+     * POST request; idempotent ones are retried and queued while offline
+     * @param {string} url - Request URL
+     * @param {Object} data - Request body
+     * @param {Object} [config] - Axios config
+     * @param {boolean} [config.idempotent] - Attach an idempotency key and make the request retryable
+     * @returns {Promise<Object>} Axios response
+     */
+    post: async (url, data, { idempotent = false, ...config } = {}) => {
+      const request = { ...config, method: 'post', url, data };
+      if (!idempotent) {
+        return send(request, false);
+      }
+
+      request.headers = { ...config.headers, [IDEMPOTENCY_HEADER]: generateKey() };
+
+      // Keep the order: once something is queued, later actions queue behind it
+      if (!isOnline() || queue.length > 0) {
+        const queued = enqueue(request);
+        if (isOnline()) flush();
+        return queued;
+      }
+
+      try {
+        return await send(request, true);
+      } catch (error) {
+        // Queue only when the connection dropped, a server that is down while we're online is an error
+        if (!isNetworkError(error) || isOnline()) throw error;
+        return enqueue(request);
+      }
+    },
+
+    /**
+     * Number of requests waiting for the network
+     * @returns {number} Queue length
+     */
+    queueSize: () => queue.length,
+
+    /**
+     * Send the queued requests now
+     * @returns {Promise<void>} Resolves when the queue is empty or the server is still unreachable, a retry is
+     * then scheduled while online
+     */
+    flush
+  };
+};
@@ -0,0 +1,230 @@
+/**
+ * Game store
+ *
+ * One instance per open game, created by GameView and provided to its
+ * components. State and computed properties come from createGameState and
+ * createGameComputedProperties; the actions below are the only place that opens
+ * or closes the game's modals, so a dialog never shows data left over from the
+ * one before it.
+ */
+
+import { inject, provide } from 'vue';
+import { gameApi } from '../services/api';
+import { createGameState, createGameComputedProperties } from '../utils/gameStateUtils';
+
+const GAME_STORE_KEY = Symbol('gameStore');
+
+/**
+ * Create a game store
+ * @param {Object} [options] - Store options
+ * @param {Object} [options.api] - gameApi implementation, replaceable in tests
+ * @returns {Object} State slices, computed properties and actions
+ */
+export function createGameStore({ api = gameApi } = {}) {
+  const state = createGameState();
+  const computedProperties = createGameComputedProperties(state);
+  const { gameState, inventoryState, battleState } = state;
+
+  /**
+   * Replace the game snapshot and the turn log shown in the action log
+   * @param {Object} data - getGame response
+   */
+  const setGameData = (data) => {
+    gameState.data = data;
+    if (data?.turns) {
+      gameState.turns = data.turns;
+    }
+  };
+
+  /**
+   * Fetch the game and store it
+   * @param {string} gameId - Game to load
+   * @returns {Promise<Object>} getGame response
+   */
+  const fetchGame = async (gameId) => {
+    const data = await api.getGame(gameId);
+    setGameData(data);
+    return data;
+  };
+
+  // Closing a dialog clears everything it showed
+  const closeBattleReport = () => {
+    battleState.showBattleReportModal = false;
+    battleState.battleInfo = null;
+  };
+
+  const closeInventoryFull = () => {
+    Object.assign(inventoryState, {
+      showInventoryFullDialog: false,
+      droppedItem: null,
+      itemCategory: '',
+      maxItemsInCategory: 0,
+      selectedItemToReplace: null,
+      inventoryForCategory: [],
+      isInventoryFullAfterBattle: false
+    });
+  };
+
+  const closeMissingKey = () => {
+    inventoryState.showMissingKeyDialog = false;
+  };
+
+  const dismissItemPickup = () => {
+    inventoryState.showItemPickupDialog = false;
+    inventoryState.tileItem = null;
+    inventoryState.itemPickupTurnId = null;
+  };
+
+  const closeDialogs = () => {
+    closeBattleReport();
+    closeInventoryFull();
+    closeMissingKey();
+    dismissItemPickup();
+  };
+
+  /**
+   * Show the battle report, replacing any other dialog
+   * @param {Object} battleInfo - Battle info from move-player
+   */
+  const openBattleReport = (battleInfo) => {
+    closeDialogs();
+    battleState.battleInfo = battleInfo;
+    battleState.showBattleReportModal = true;
+  };
+
+  /**
+   * Offer to pick up the item on the player's tile
+   * @param {Object} item - Item on the tile
+   * @param {string} turnId - Turn the offer belongs to
+   */
+  const openItemPickup = (item, turnId) => {
+    closeDialogs();
+    inventoryState.tileItem = item;
+    inventoryState.itemPickupTurnId = turnId;
+    inventoryState.showItemPickupDialog = true;
+  };
+
+  /**
+   * Tell the player a chest needs a key
+   * @param {string} chestType - 'chest' or 'ruby_chest'
+   */
+  const openMissingKey = (chestType) => {
+    closeDialogs();
+    inventoryState.missingKeyChestType = chestType || 'chest';
+    inventoryState.showMissingKeyDialog = true;
+  };
+
+  /**
+   * Let the player choose an item to drop for a new one
+   * @param {Object} response - pickItem response with inventoryFull set
+   * @param {Object} [options] - Dialog options
+   * @param {Object} [options.item] - Item to use when the response doesn't carry one
+   * @param {string} [options.position] - Where the item lies, needed to pick it up later
+   * @param {boolean} [options.afterBattle] - The item is a battle reward
+   */
+  const openInventoryFull = (response, { item = null, position = null, afterBattle = false } = {}) => {
+    closeDialogs();
+    const droppedItem = { ...(response.item || item) };
+    if (position && !droppedItem.position) {
+      droppedItem.position = position;
+    }
+    Object.assign(inventoryState, {
+      showInventoryFullDialog: true,
+      droppedItem,
+      itemCategory: response.itemCategory || '',
+      maxItemsInCategory: response.maxItemsInCategory || 0,
+      selectedItemToReplace: null,
+      inventoryForCategory: response.currentInventory || [],
+      isInventoryFullAfterBattle: afterBattle
+    });
+  };
+
+  /**
+   * Mark the inventory item to drop
+   * @param {Object} item - Item from the inventory full dialog
+   */
+  const selectItemToReplace = (item) => {
+    inventoryState.selectedItemToReplace = item;
+  };
+
+  /**
+   * Pick up an item and open the dialog the result calls for
+   * @param {Object} params - gameApi.pickItem parameters
+   * @param {Object} [options] - Passed to openInventoryFull when the inventory is full
+   * @returns {Promise<Object>} pickItem response
+   */
+  const pickItem = async (params, options = {}) => {
+    const response = await api.pickItem(params);
+    if (response.missingKey) {
+      openMissingKey(response.chestType);
+    } else if (response.inventoryFull) {
+      openInventoryFull(response, { position: params.position, ...options });
+    } else {
+      closeDialogs();
+    }
+    return response;
+  };
+
+  /**
+   * Finalize the battle shown in the report
+   * @param {Object} params - gameApi.finalizeBattle parameters
+   * @returns {Promise<Object>} finalizeBattle response
+   */
+  const finalizeBattle = async (params) => {
+    const response = await api.finalizeBattle(params);
+    closeBattleReport();
+    return response;
+  };
+
+  /**
+   * End the turn, closing whatever belonged to it
+   * @param {Object} params - gameApi.endTurn parameters
+   * @returns {Promise<Object>} endTurn response
+   */
+  const endTurn = async (params) => {
+    const response = await api.endTurn(params);
+    if (response?.success !== false) {
+      closeDialogs();
+    }
+    return response;
+  };
+
+  return {
+    ...state,
+    ...computedProperties,
+    setGameData,
+    fetchGame,
+    openBattleReport,
+    closeBattleReport,
+    openItemPickup,
+    dismissItemPickup,
+    openMissingKey,
+    closeMissingKey,
+    openInventoryFull,
+    closeInventoryFull,
+    selectItemToReplace,
+    closeDialogs,
+    pickItem,
+    finalizeBattle,
+    endTurn
+  };
+}
+
+/**
+ * Create a game store and provide it to the calling component's descendants
+ * @param {Object} [options] - Passed to createGameStore
+ * @returns {Object} Game store
+ */
+export function provideGameStore(options) {
+  const store = createGameStore(options);
+  provide(GAME_STORE_KEY, store);
+  return store;
+}
+
+/**
+ * Get the game store provided by GameView
+ * @returns {Object|null} Game store, null outside a game
+ */
+export function useGameStore() {
+  return inject(GAME_STORE_KEY, null);
+}
@@ -0,0 +1,96 @@
+// AI opponent setup: strategies offered when creating a game and the per-seat
+// configuration GameView uses to drive every AI player
+
+export const MIN_AI_OPPONENTS = 1;
+export const MAX_AI_OPPONENTS = 3; // Backend allows 4 players, one seat is the human
+export const DEFAULT_AI_STRATEGY = 'balanced';
+
+// Mirrors the backend AIConfiguration::STRATEGIES keys
+export const AI_STRATEGIES = [
+  { value: 'balanced', label: 'Balanced', description: 'Balanced approach between risk and reward' },
+  { value: 'defensive', label: 'Defensive', description: 'Cautious, prioritizes survival and healing' },
+  { value: 'aggressive', label: 'Aggressive', description: 'High risk, high reward, seeks out fights' },
+  { value: 'treasure_hunter', label: 'Treasure Hunter', description: 'Goes after treasures and valuable items' },
+  { value: 'speedrun', label: 'Speedrunner', description: 'Rushes to the end, ignores non-essential items' },
+];
+
+// Local copy for this browser, the backend stores each AI player's strategy too
+const STORAGE_KEY = 'aiPlayers';
+
+/**
+ * Default setup for a number of AI opponents
+ * @param {number} count - Number of opponents
+ * @returns {Array} Opponents as { name, strategy }
+ */
+export const createDefaultOpponents = (count) => {
+  const total = Math.min(MAX_AI_OPPONENTS, Math.max(MIN_AI_OPPONENTS, count));
+  return Array.from({ length: total }, (_, index) => ({
+    name: total === 1 ? 'AI Player' : `AI Player ${index + 1}`,
+    strategy: DEFAULT_AI_STRATEGY,
+  }));
+};
+
+/**
+ * Remember the AI seats of the game being created
+ * @param {Array} opponents - Joined opponents as { id, name, strategy }
+ */
+export const saveAiOpponents = (opponents) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(opponents));
+  // The first AI keeps the legacy key so single-AI code paths keep working
+  if (opponents.length > 0) {
+    localStorage.setItem('virtualPlayerId', opponents[0].id);
+  }
+};
+
+/**
+ * Forget the AI seats, e.g. before starting a game without AI
+ */
+export const clearAiOpponents = () => {
+  localStorage.removeItem(STORAGE_KEY);
+  localStorage.removeItem('virtualPlayerId');
+};
+
+/**
+ * AI seats stored for the current game
+ * @returns {Array} Opponents as { id, name, strategy }
+ */
+export const getAiOpponents = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.error('Failed to parse stored AI players:', error);
+    return [];
+  }
+};
+
+/**
+ * Checks if a player is driven by the AI, from the game data first, then local setup
+ * @param {Object} gameData - Game data
+ * @param {string} playerId - Player ID
+ * @returns {boolean} True for AI players
+ */
+export const isAiPlayer = (gameData, playerId) => {
+  if (!playerId) return false;
+
+  const player = gameData?.players?.find(p => p.id === playerId);
+  if (player && typeof player.isAi === 'boolean') {
+    return player.isAi;
+  }
+
+  return localStorage.getItem('virtualPlayerId') === playerId
+    || getAiOpponents().some(opponent => opponent.id === playerId);
+};
+
+/**
+ * Strategy chosen for an AI player, from the game data first, then local setup
+ * @param {Object} gameData - Game data
+ * @param {string} playerId - Player ID
+ * @returns {string|null} Strategy key, null lets the backend use the stored one or its default
+ */
+export const getAiStrategy = (gameData, playerId) => {
+  const player = gameData?.players?.find(p => p.id === playerId);
+  return player?.aiStrategy
+    || getAiOpponents().find(opponent => opponent.id === playerId)?.strategy
+    || null;
+};
@@ -0,0 +1,81 @@
+// Cross-tab guard for AI turns: every open tab of a game watches the state and
+// would otherwise execute the same AI turn, so one tab claims the turn first
+
+const LEASE_DURATION = 60000; // ms, a crashed tab frees its turn after this
+const LEASE_SETTLE_TIME = 50; // ms, long enough for a racing tab's write to land
+
+const getLockName = (gameId, turn) => `aiTurnLock:${gameId}:${turn}`;
+
+const readLease = (storage, name) => {
+  try {
+    return JSON.parse(storage.getItem(name) || 'null');
+  } catch (error) {
+    // Unreadable lease, treat it as free
+    return null;
+  }
+};
+
+/**
+ * Claim a lease in storage, for browsers without the Web Locks API
+ * Storage has no compare-and-set, so two tabs may both see a free lease and write;
+ * the last write wins and the tab that reads back someone else's token backs off.
+ * @param {Storage} storage - Storage shared by the tabs
+ * @param {string} name - Lock name
+ * @param {number} settleTime - Wait in ms before reading the lease back
+ * @returns {Promise<string|null>} Lease token, null when another tab holds the lease
+ */
+const claimLease = async (storage, name, settleTime) => {
+  const now = Date.now();
+  const lease = readLease(storage, name);
+  if (lease && lease.expiresAt > now) return null;
+
+  const token = `${now}-${Math.random().toString(16).slice(2)}`;
+  storage.setItem(name, JSON.stringify({ token, expiresAt: now + LEASE_DURATION }));
+
+  await new Promise(resolve => setTimeout(resolve, settleTime));
+  return readLease(storage, name)?.token === token ? token : null;
+};
+
+/**
+ * Run a task while holding the lock of one AI turn
+ * @param {string} gameId - The game ID
+ * @param {number} turn - Turn number of the AI turn
+ * @param {Function} task - Async task executing the turn
+ * @param {Object} options - Lock backends, the browser's by default
+ * @param {LockManager} options.locks - Web Locks API
+ * @param {Storage} options.storage - Fallback storage
+ * @param {number} options.settleTime - Wait in ms before the fallback lease is read back
+ * @returns {Promise<boolean>} True if the task ran, false when another tab holds the turn
+ */
+export const runWithAiTurnLock = async (gameId, turn, task, {
+  locks = typeof navigator !== 'undefined' ? navigator.locks : null,
+  storage = typeof localStorage !== 'undefined' ? localStorage : null,
+  settleTime = LEASE_SETTLE_TIME
+} = {}) => {
+  const name = getLockName(gameId, turn);
+
+  if (locks?.request) {
+    return locks.request(name, { ifAvailable: true }, async (lock) => {
+      if (!lock) return false;
+      await task();
+      return true;
+    });
+  }
+
+  if (!storage) {
+    await task();
+    return true;
+  }
+
+  const token = await claimLease(storage, name, settleTime);
+  if (!token) return false;
+
+  try {
+    await task();
+    return true;
+  } finally {
+    if (readLease(storage, name)?.token === token) {
+      storage.removeItem(name);
+    }
+  }
+};
@@ -0,0 +1,169 @@
+// Battle odds: the chances to beat a guard with 2d6 plus weapon and spell damage
+// Mirrors the backend Battle: the dice and every weapon always count, damage spells are added after the roll.
+import { getItemDamage } from './itemUtils';
+
+// Dice rolled in every battle
+export const DICE_COUNT = 2;
+export const DICE_SIDES = 6;
+
+/**
+ * Probability of every total of a dice roll
+ * @param {number} count - Number of dice
+ * @param {number} sides - Sides per die
+ * @returns {Map<number, number>} Probability by total
+ */
+export const getDiceDistribution = (count = DICE_COUNT, sides = DICE_SIDES) => {
+  let distribution = new Map([[0, 1]]);
+  for (let die = 0; die < count; die++) {
+    const next = new Map();
+    for (const [total, probability] of distribution) {
+      for (let face = 1; face <= sides; face++) {
+        next.set(total + face, (next.get(total + face) || 0) + probability / sides);
+      }
+    }
+    distribution = next;
+  }
+  return distribution;
+};
+
+/**
+ * Outcome of a damage total against a guard, like the backend Item::attack
+ * @param {number} damage - Dice plus item damage
+ * @param {number} guardHP - Guard hit points
+ * @returns {string} 'win' when the damage is higher, 'draw' when equal, 'lose' otherwise
+ */
+export const getBattleResult = (damage, guardHP) => {
+  if (damage > guardHP) return 'win';
+  if (damage === guardHP) return 'draw';
+  return 'lose';
+};
+
+/**
+ * Win, draw and lose chances for a fixed damage bonus
+ * @param {Object} params - Battle parameters
+ * @param {number} params.guardHP - Guard hit points
+ * @param {number} params.bonus - Damage added to the dice
+ * @param {Array<number>|null} params.diceResults - Dice already rolled, null for a battle still ahead
+ * @returns {{win: number, draw: number, lose: number}} Probabilities from 0 to 1
+ */
+export const getBattleOdds = ({ guardHP, bonus = 0, diceResults = null }) => {
+  const odds = { win: 0, draw: 0, lose: 0 };
+  const distribution = diceResults
+    ? new Map([[diceResults.reduce((sum, value) => sum + value, 0), 1]])
+    : getDiceDistribution();
+
+  for (const [total, probability] of distribution) {
+    odds[getBattleResult(total + bonus, guardHP)] += probability;
+  }
+  return odds;
+};
+
+/**
+ * Odds for each amount of spell damage a player can add
+ * Spells dealing the same damage are interchangeable, so one combination is kept per damage total,
+ * the one using the fewest spells.
+ * @param {Object} params - Battle parameters
+ * @param {number} params.guardHP - Guard hit points
+ * @param {number} params.weaponDamage - Damage of the weapons, always used
+ * @param {Array<Object>} params.consumables - Damage spells the player may use
+ * @param {Array<number>|null} params.diceResults - Dice already rolled, null for a battle still ahead
+ * @returns {Array<{items: Array<Object>, damage: number, odds: Object}>} Combinations by spell damage,
+ * starting with no spells
+ */
+export const getBattleOddsTable = ({ guardHP, weaponDamage = 0, consumables = [], diceResults = null }) => {
+  const byDamage = new Map([[0, []]]);
+  for (const item of consumables) {
+    const damage = getItemDamage(item);
+    if (damage <= 0) continue;
+    for (const [total, items] of [...byDamage]) {
+      const current = byDamage.get(total + damage);
+      if (!current || current.length > items.length + 1) byDamage.set(total + damage, [...items, item]);
+    }
+  }
+
+  return [...byDamage]
+    .sort(([a], [b]) => a - b)
+    .map(([damage, items]) => ({
+      items,
+      damage,
+      odds: getBattleOdds({ guardHP, bonus: weaponDamage + damage, diceResults })
+    }));
+};
+
+/**
+ * Every subset of the spells a player can add once the dice are rolled, with what it leads to
+ * @param {Object} params - Battle parameters
+ * @param {number} params.guardHP - Guard hit points
+ * @param {number} params.damage - Dice and weapon damage already dealt
+ * @param {Array<Object>} params.consumables - Damage spells the player may use
+ * @returns {Array<{items: Array<Object>, damage: number, result: string, cost: number}>} Subsets from the
+ * fewest spells spent, the empty one first
+ */
+export const getConsumableOutcomes = ({ guardHP, damage, consumables = [] }) => {
+  let subsets = [[]];
+  for (const item of consumables) {
+    subsets = [...subsets, ...subsets.map(items => [...items, item])];
+  }
+
+  return subsets
+    .map(items => {
+      const total = damage + items.reduce((sum, item) => sum + getItemDamage(item), 0);
+      return { items, damage: total, result: getBattleResult(total, guardHP), cost: items.length };
+    })
+    .sort((a, b) => a.cost - b.cost || a.damage - b.damage);
+};
+
+/**
+ * The subset worth using: the cheapest one that wins, else the cheapest draw, which still saves the HP a
+ * loss costs, else no spells at all
+ * @param {Array<Object>} outcomes - Result of getConsumableOutcomes
+ * @returns {Object|null} One of the outcomes, null when there are none
+ */
+export const getOptimalConsumables = (outcomes) => outcomes.find(outcome => outcome.result === 'win') ||
+  outcomes.find(outcome => outcome.result === 'draw') ||
+  outcomes[0] ||
+  null;
+
+/**
+ * Damage a player's weapons add to every battle
+ * @param {Object} player - Player with inventory
+ * @returns {number} Sum of weapon damage
+ */
+export const getWeaponDamage = (player) => (player?.inventory?.weapons || [])
+  .reduce((sum, weapon) => sum + getItemDamage(weapon), 0);
+
+/**
+ * Odds of a player against the guard of a field item, before moving there
+ * @param {Object} player - Player with inventory
+ * @param {Object} item - Field item
+ * @returns {Array<{items: Array<Object>, damage: number, odds: Object}>} See getBattleOddsTable, empty when
+ * nothing guards the item
+ */
+export const getPlayerBattleOdds = (player, item) => {
+  if (!item || !(item.guardHP > 0) || item.guardDefeated) return [];
+
+  return getBattleOddsTable({
+    guardHP: item.guardHP,
+    weaponDamage: getWeaponDamage(player),
+    consumables: player?.inventory?.spells || []
+  });
+};
+
+/**
+ * Label for a set of odds
+ * @param {{win: number, draw: number, lose: number}} odds - Probabilities from 0 to 1
+ * @returns {string} Rounded percentages, e.g. "58% win · 14% draw · 28% lose"
+ */
+export const formatOdds = (odds) => ['win', 'draw', 'lose']
+  .map(result => `${Math.round(odds[result] * 100)}% ${result}`)
+  .join(' · ');
+
+/**
+ * Rows for the BattleOdds component
+ * @param {Array<Object>} table - Result of getBattleOddsTable or getPlayerBattleOdds
+ * @returns {Array<{label: string, odds: Object}>} One row per combination, labelled by its spell count
+ */
+export const getOddsRows = (table) => table.map(({ items, odds }) => ({
+  label: items.length ? `+${items.length} spell${items.length === 1 ? '' : 's'}` : 'No spells',
+  odds
+}));
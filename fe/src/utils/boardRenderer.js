@@ -0,0 +1,181 @@
+// Board renderer selection and the render model shared by the DOM and Phaser boards
+import { getTileImageWithRotation } from '../config/tileImageConfig';
+import { getItemEmoji } from './itemUtils';
+import { getItemInfo, getMonster } from './catalog';
+import { getPlayerEmoji } from './playerUtils';
+
+export const BOARD_RENDERERS = {
+  DOM: 'dom',
+  PHASER: 'phaser'
+};
+
+const RENDERER_STORAGE_KEY = 'boardRenderer';
+
+/**
+ * Get the board renderer the user picked
+ * @returns {string} One of BOARD_RENDERERS, DOM when nothing valid is stored
+ */
+export const getBoardRenderer = () => {
+  const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(RENDERER_STORAGE_KEY) : null;
+  return Object.values(BOARD_RENDERERS).includes(stored) ? stored : BOARD_RENDERERS.DOM;
+};
+
+/**
+ * Remember the board renderer for the next games
+ * @param {string} renderer - One of BOARD_RENDERERS
+ */
+export const setBoardRenderer = (renderer) => {
+  localStorage.setItem(RENDERER_STORAGE_KEY, renderer);
+};
+
+/**
+ * Check if an item can be picked up, a guarded item shows its monster instead
+ * @param {Object} item - Item on a tile
+ * @returns {boolean} True once the guard is defeated
+ */
+export const isItemPickable = (item) => Boolean(item && (item.guardDefeated || item.guardHP === 0));
+
+/**
+ * Get the image drawn for an item on the board
+ * @param {Object} item - Item on a tile
+ * @returns {string|null} Monster image while guarded, the item's image afterwards
+ */
+export const getBoardItemImage = (item) => {
+  if (!item) return null;
+  if (!isItemPickable(item)) {
+    return getMonster(item.name).image;
+  }
+  return getItemInfo(item.type).fieldImage;
+};
+
+/**
+ * Direction of the arrow on a move marker, pointing from the player to the marker
+ * @param {{x: number, y: number}} marker - Marker coordinates
+ * @param {{x: number, y: number}|null} player - Current player coordinates
+ * @returns {string} 'up', 'right', 'down' or 'left'
+ */
+export const getMarkerDirection = (marker, player) => {
+  if (!player) return 'down';
+  const dx = marker.x - player.x;
+  const dy = marker.y - player.y;
+  if (dx === 0 && dy === 0) return 'down';
+  if (Math.abs(dx) >= Math.abs(dy)) {
+    return dx > 0 ? 'right' : 'left';
+  }
+  return dy > 0 ? 'down' : 'up';
+};
+
+const parsePosition = (position) => {
+  const [x, y] = position.split(',').map(Number);
+  return { x, y };
+};
+
+/**
+ * Build the render model of the board: what to draw and where, in board pixels
+ * @param {Object} params - Board data
+ * @param {Array<Object>} params.tiles - Processed tiles (processTiles)
+ * @param {Array<string>} [params.movePlaces] - Positions the player can move or place a tile to
+ * @param {Function} [params.canPlaceTileAt] - Whether a tile can be placed at a marker's position
+ * @param {Object|null} [params.ghost] - Tile being placed: { position, symbol, isRoom }
+ * @param {{x: number, y: number}|null} [params.playerPosition] - Current player, for marker arrows
+ * @param {Array<{position: string, steps: number}>} [params.reachable] - Tiles further than one move the player can walk to
+ * @param {Array<string>} [params.route] - Previewed route, in walking order
+ * @param {number} [params.minX] - Board x at the left edge
+ * @param {number} [params.minY] - Board y at the top edge
+ * @param {number} params.tileSize - Tile size in pixels
+ * @returns {{tiles: Array, players: Array, markers: Array, reach: Array, route: Array, ghost: Object|null}} Render model
+ */
+export const buildBoardModel = ({
+  tiles,
+  movePlaces = [],
+  canPlaceTileAt = () => false,
+  ghost = null,
+  playerPosition = null,
+  reachable = [],
+  route = [],
+  minX = 0,
+  minY = 0,
+  tileSize
+}) => {
+  const toPixels = ({ x, y }) => ({ px: (x - minX) * tileSize, py: (y - minY) * tileSize });
+
+  const model = { tiles: [], players: [], markers: [], reach: [], route: [], ghost: null };
+
+  for (const tile of tiles) {
+    if (!tile) continue;
+    const art = getTileImageWithRotation(tile.orientationChar, tile.isRoom);
+    model.tiles.push({
+      key: `tile-${tile.position}`,
+      position: tile.position,
+      x: tile.x,
+      y: tile.y,
+      ...toPixels(tile),
+      image: art?.image || null,
+      rotation: art?.rotation || 0,
+      isRoom: Boolean(tile.isRoom),
+      item: tile.hasItem && tile.item ? {
+        image: getBoardItemImage(tile.item),
+        emoji: getItemEmoji(tile.item),
+        pickable: isItemPickable(tile.item),
+        data: tile.item
+      } : null
+    });
+
+    // Players are drawn separately so they can glide between tiles
+    const playerIds = tile.allPlayerIds?.length ? tile.allPlayerIds : (tile.playerId ? [tile.playerId] : []);
+    playerIds.forEach((playerId, index) => {
+      model.players.push({
+        key: `player-${playerId}`,
+        playerId,
+        emoji: getPlayerEmoji(playerId),
+        ...toPixels(tile),
+        slot: index,
+        count: playerIds.length
+      });
+    });
+  }
+
+  for (const position of movePlaces) {
+    const coords = parsePosition(position);
+    const canPlace = canPlaceTileAt(position);
+    model.markers.push({
+      key: `marker-${position}`,
+      position,
+      ...toPixels(coords),
+      kind: canPlace ? 'place' : 'move',
+      direction: canPlace ? null : getMarkerDirection(coords, playerPosition)
+    });
+  }
+
+  for (const { position, steps } of reachable) {
+    model.reach.push({
+      key: `reach-${position}`,
+      position,
+      ...toPixels(parsePosition(position)),
+      steps
+    });
+  }
+
+  route.forEach((position, index) => {
+    model.route.push({
+      key: `route-${position}`,
+      position,
+      ...toPixels(parsePosition(position)),
+      step: index + 1
+    });
+  });
+
+  if (ghost?.position && ghost.symbol) {
+    const art = getTileImageWithRotation(ghost.symbol, ghost.isRoom);
+    model.ghost = {
+      key: `ghost-${ghost.position}`,
+      position: ghost.position,
+      ...toPixels(parsePosition(ghost.position)),
+      image: art?.image || null,
+      rotation: art?.rotation || 0,
+      isRoom: Boolean(ghost.isRoom)
+    };
+  }
+
+  return model;
+};
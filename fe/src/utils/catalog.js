@@ -0,0 +1,218 @@
+// Catalog of every monster and item in the dungeon, the one place their stats, art and Monad names live
+// Mirrors the backend ItemName (HP and reward), ItemType (damage) and Player (category limits).
+
+/**
+ * Inventory categories and how many items of each a player can carry, null for no limit
+ * @type {Object<string, {id: string, name: string, emoji: string, limit: number|null}>}
+ */
+export const ITEM_CATEGORIES = {
+  key: { id: 'key', name: 'Keys', emoji: '🗝️', limit: 1 },
+  weapon: { id: 'weapon', name: 'Weapons', emoji: '⚔️', limit: 2 },
+  spell: { id: 'spell', name: 'Spells', emoji: '🪄', limit: 3 },
+  treasure: { id: 'treasure', name: 'Treasures', emoji: '🎁', limit: null }
+};
+
+/**
+ * Every item type, in the order the compendium lists them
+ * fieldImage is the art while the item still lies on the field, when it differs from image
+ * @type {Object<string, {type: string, name: string, category: string, damage: number, treasureValue: number,
+ * disposable: boolean, effect: string, image: string, fieldImage?: string, emoji: string}>}
+ */
+export const ITEMS = {
+  dagger: {
+    type: 'dagger',
+    name: 'Dagger',
+    category: 'weapon',
+    damage: 1,
+    treasureValue: 0,
+    disposable: false,
+    effect: '+1 damage to all attacks',
+    image: '/images/dagger.webp',
+    emoji: '🗡️'
+  },
+  sword: {
+    type: 'sword',
+    name: 'Sword',
+    category: 'weapon',
+    damage: 2,
+    treasureValue: 0,
+    disposable: false,
+    effect: '+2 damage to all attacks',
+    image: '/images/sword.webp',
+    emoji: '⚔️'
+  },
+  axe: {
+    type: 'axe',
+    name: 'Axe',
+    category: 'weapon',
+    damage: 3,
+    treasureValue: 0,
+    disposable: false,
+    effect: '+3 damage to all attacks',
+    image: '/images/axe.webp',
+    emoji: '🪓'
+  },
+  fireball: {
+    type: 'fireball',
+    name: 'Fireball',
+    category: 'spell',
+    damage: 1,
+    treasureValue: 0,
+    disposable: true,
+    effect: '+1 damage to next attack',
+    image: '/images/fireball.webp',
+    emoji: '🔥'
+  },
+  teleport: {
+    type: 'teleport',
+    name: 'Teleport',
+    category: 'spell',
+    damage: 0,
+    treasureValue: 0,
+    disposable: true,
+    effect: 'Move to any healing fountain',
+    image: '/images/hf-teleport.webp',
+    emoji: '✨'
+  },
+  key: {
+    type: 'key',
+    name: 'Key',
+    category: 'key',
+    damage: 0,
+    treasureValue: 0,
+    disposable: false,
+    effect: 'Unlocks treasure chests',
+    image: '/images/key.webp',
+    emoji: '🔑'
+  },
+  chest: {
+    type: 'chest',
+    name: 'Treasure Chest',
+    category: 'treasure',
+    damage: 0,
+    treasureValue: 2,
+    disposable: false,
+    effect: '2 Victory Points',
+    image: '/images/chest-opened.webp',
+    // Chests on the field are always closed, they disappear when opened
+    fieldImage: '/images/chest-closed.webp',
+    emoji: '📦'
+  },
+  ruby_chest: {
+    type: 'ruby_chest',
+    name: 'Ruby Chest',
+    category: 'treasure',
+    damage: 0,
+    treasureValue: 3,
+    disposable: false,
+    effect: '3 Victory Points',
+    image: '/images/ruby-chest.webp',
+    emoji: '💎'
+  }
+};
+
+/**
+ * Every monster guarding an item, weakest first; the reward is the item type it drops
+ * @type {Object<string, {id: string, name: string, hp: number, reward: string, boss: boolean, image: string,
+ * emoji: string}>}
+ */
+export const MONSTERS = {
+  giant_rat: { id: 'giant_rat', name: 'Ikan', hp: 5, reward: 'dagger', boss: false, image: '/images/items/ikan.webp', emoji: '🐀' },
+  giant_spider: { id: 'giant_spider', name: 'Moyaki', hp: 6, reward: 'teleport', boss: false, image: '/images/items/moyaki.webp', emoji: '🕷️' },
+  mummy: { id: 'mummy', name: 'Ubur', hp: 7, reward: 'fireball', boss: false, image: '/images/items/ubur.webp', emoji: '🧟' },
+  skeleton_turnkey: { id: 'skeleton_turnkey', name: 'Bearded Nad', hp: 8, reward: 'key', boss: false, image: '/images/items/bearded.webp', emoji: '🔐' },
+  skeleton_warrior: { id: 'skeleton_warrior', name: 'Taekwonnad', hp: 9, reward: 'sword', boss: false, image: '/images/items/taekwonnad.webp', emoji: '🛡️' },
+  skeleton_king: { id: 'skeleton_king', name: 'Molandak', hp: 10, reward: 'axe', boss: false, image: '/images/items/molandak.webp', emoji: '👑' },
+  fallen: { id: 'fallen', name: 'Bee', hp: 12, reward: 'chest', boss: false, image: '/images/items/bee.webp', emoji: '👻' },
+  // Defeating the boss ends the game
+  dragon: { id: 'dragon', name: 'Bullish', hp: 15, reward: 'ruby_chest', boss: true, image: '/images/items/bullish.webp', emoji: '🐉' }
+};
+
+const toTitleCase = (value) => value
+  .split('_')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+/**
+ * Whether a name is a monster of the catalog
+ * @param {string} name - Monster id, e.g. 'giant_spider'
+ * @returns {boolean} True for known monsters
+ */
+export const isMonster = (name) => Object.prototype.hasOwnProperty.call(MONSTERS, name || '');
+
+/**
+ * Catalog entry of a monster
+ * Monsters the catalog doesn't know yet keep their own name and get no art, so callers show the generic emoji
+ * @param {string} name - Monster id, e.g. 'giant_spider'
+ * @returns {Object} Entry of MONSTERS with known: true, or a placeholder with known: false
+ */
+export const getMonster = (name) => {
+  if (isMonster(name)) return { ...MONSTERS[name], known: true };
+  return {
+    id: name || null,
+    name: name ? toTitleCase(name) : 'Monster',
+    hp: null,
+    reward: null,
+    boss: false,
+    image: null,
+    emoji: '👹',
+    known: false
+  };
+};
+
+/**
+ * Catalog entry of an item type
+ * @param {string} type - Item type, e.g. 'sword'
+ * @returns {Object} Entry of ITEMS with known: true, or a placeholder with known: false
+ */
+export const getItemInfo = (type) => {
+  if (Object.prototype.hasOwnProperty.call(ITEMS, type || '')) {
+    return { fieldImage: ITEMS[type].image, ...ITEMS[type], known: true };
+  }
+  return {
+    type: type || null,
+    name: type ? toTitleCase(type) : 'Unknown',
+    category: null,
+    damage: 0,
+    treasureValue: 0,
+    disposable: false,
+    effect: '',
+    image: null,
+    fieldImage: null,
+    emoji: '💰',
+    known: false
+  };
+};
+
+/**
+ * Monsters that drop an item type
+ * @param {string} type - Item type
+ * @returns {Array<Object>} Entries of MONSTERS
+ */
+export const getMonstersDropping = (type) => Object.values(MONSTERS).filter(monster => monster.reward === type);
+
+/**
+ * Monsters and items matching a search, on names, ids, rewards, categories and effects
+ * @param {string} query - Text typed by the user, case-insensitive
+ * @returns {{monsters: Array<Object>, items: Array<Object>}} Matching entries in catalog order, everything for
+ * an empty query
+ */
+export const searchCatalog = (query = '') => {
+  const needle = query.trim().toLowerCase();
+  const matches = (...fields) => !needle || fields.some(field => String(field).toLowerCase().includes(needle));
+
+  return {
+    monsters: Object.values(MONSTERS).filter(monster => matches(
+      monster.name,
+      toTitleCase(monster.id),
+      ITEMS[monster.reward].name,
+      monster.boss ? 'boss' : ''
+    )),
+    items: Object.values(ITEMS).filter(item => matches(
+      item.name,
+      item.effect,
+      ITEM_CATEGORIES[item.category].name,
+      ...getMonstersDropping(item.type).map(monster => monster.name)
+    ))
+  };
+};
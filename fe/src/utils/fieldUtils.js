@@ -438,8 +438,7 @@ const handlePlayerMovement = async (params) => {
     console.error('Failed to move player:', err);
     
     // Check if the error is due to inventory being full
-    if (err.response && err.response.data && err.response.data.error && 
-        err.response.data.error.includes('Inventory')) {
+    if (err.data?.error?.includes('Inventory')) {
       console.log('Move failed due to inventory full - checking for item at destination');
       
       // Get the updated game state to check if player moved
@@ -0,0 +1,425 @@
+/**
+ * Event-sourced game state reducer
+ *
+ * Rebuilds the field, player positions, HP, inventories and scores by folding
+ * the ordered turn log returned by `gameApi.getGameTurns`. Every function here
+ * is pure: the input state is never mutated and the same log always produces
+ * the same state, so replay, AI playback and live sync can share it.
+ *
+ * The turn log does not record everything the server knows (tile shapes,
+ * features, items revealed with a room tile), so a `reference` getGame
+ * snapshot is used as a read-only lookup for those static facts.
+ */
+
+export const MAX_HP = 5;
+export const HP_AFTER_STUN = 1;
+
+const ITEM_CATEGORIES = {
+  key: 'keys',
+  dagger: 'weapons',
+  sword: 'weapons',
+  axe: 'weapons',
+  fireball: 'spells',
+  teleport: 'spells',
+  chest: 'treasures',
+  ruby_chest: 'treasures'
+};
+
+const TREASURE_VALUES = {
+  chest: 2,
+  ruby_chest: 3
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const emptyInventory = () => ({ keys: [], weapons: [], spells: [], treasures: [] });
+
+/**
+ * Get the inventory category for an item type
+ * @param {string} type - Item type (e.g. 'sword', 'chest')
+ * @returns {string|null} Inventory category key or null for unknown types
+ */
+export const getItemCategory = (type) => ITEM_CATEGORIES[type] || null;
+
+/**
+ * Normalize a turn from gameApi (camelCase) or a replay file exported before responses were normalized (snake_case)
+ * @param {Object} turn - Raw turn object
+ * @returns {Object} Turn with turnId, turnNumber, playerId and actions
+ */
+export const normalizeTurn = (turn) => ({
+  turnId: turn.turnId ?? turn.turn_id ?? null,
+  turnNumber: turn.turnNumber ?? turn.turn_number ?? 0,
+  playerId: turn.playerId ?? turn.player_id ?? null,
+  actions: Array.isArray(turn.actions) ? turn.actions : [],
+  startTime: turn.startTime ?? turn.start_time ?? null,
+  endTime: turn.endTime ?? turn.end_time ?? null
+});
+
+/**
+ * Normalize a recorded action to { action, playerId, tileId, data }, already normalized actions pass through
+ * @param {Object} action - Raw action from the turn log
+ * @param {string} playerId - Player who performed the turn
+ * @returns {Object} Normalized action
+ */
+export const normalizeAction = (action, playerId = null) => ({
+  action: action.action || action.type,
+  playerId: action.playerId || playerId,
+  tileId: action.tileId ?? action.tile_id ?? null,
+  data: action.additionalData || action.additional_data || action.details || action.data || {}
+});
+
+const isHealingFountain = (state, position) => {
+  return !!position && (state.tiles[position]?.features || []).includes('healing_fountain');
+};
+
+const withPlayer = (state, playerId, update) => {
+  const player = state.players[playerId];
+  if (!player) return;
+  update(player);
+  player.defeated = player.hp <= 0;
+};
+
+const addToInventory = (player, item) => {
+  const category = getItemCategory(item.type);
+  if (!category) return;
+  if (player.inventory[category].some(existing => existing.itemId === item.itemId)) return;
+  player.inventory[category].push(item);
+};
+
+const removeFromInventory = (player, itemId) => {
+  for (const category in player.inventory) {
+    const index = player.inventory[category].findIndex(item => item.itemId === itemId);
+    if (index !== -1) {
+      return player.inventory[category].splice(index, 1)[0];
+    }
+  }
+  return null;
+};
+
+const buildItem = ({ itemId, name, type, guardHP = 0, guardDefeated = true }) => ({
+  itemId,
+  name,
+  type,
+  treasureValue: TREASURE_VALUES[type] || 0,
+  guardDefeated,
+  guardHP
+});
+
+/**
+ * Create the state a game starts from: every player on the starting tile at full HP
+ * @param {Object} reference - A getGame snapshot of the same game, used for players and static tile facts
+ * @param {Object} options - Options
+ * @param {number} options.maxHp - Starting HP for every player
+ * @returns {Object} Initial reducer state
+ */
+export const createInitialGameState = (reference, { maxHp = MAX_HP } = {}) => {
+  const field = reference?.field || {};
+  const fountainPositions = field.healingFountainPositions || [];
+  const tileLookup = {};
+
+  (field.tiles || []).forEach(tile => {
+    const features = [...(tile.features || [])];
+    if (fountainPositions.includes(tile.position) && !features.includes('healing_fountain')) {
+      features.push('healing_fountain');
+    }
+    tileLookup[tile.position] = {
+      tileId: tile.tileId,
+      orientation: field.tileOrientations?.[tile.position] || null,
+      room: (field.roomFieldPlaces || []).includes(tile.position),
+      features
+    };
+  });
+
+  const players = {};
+  const playerPositions = {};
+  (reference?.players || []).forEach(player => {
+    players[player.id] = {
+      id: player.id,
+      username: player.username || null,
+      isAi: !!player.isAi,
+      hp: maxHp,
+      maxHp,
+      defeated: false,
+      inventory: emptyInventory()
+    };
+    playerPositions[player.id] = '0,0';
+  });
+
+  const tiles = {};
+  if (tileLookup['0,0']) {
+    tiles['0,0'] = { x: 0, y: 0, position: '0,0', ...tileLookup['0,0'] };
+  }
+
+  return {
+    status: 'started',
+    turnNumber: 0,
+    turnId: null,
+    currentPlayerId: null,
+    tiles,
+    playerPositions,
+    players,
+    items: {},
+    pendingTile: null,
+    // Static facts from the reference snapshot, never changed by actions
+    lookup: {
+      tiles: tileLookup,
+      items: clone(field.items || {})
+    }
+  };
+};
+
+const applyAction = (state, action) => {
+  const { playerId, tileId, data } = action;
+
+  switch (action.action) {
+    case 'pick_tile':
+      state.pendingTile = { tileId, playerId };
+      break;
+
+    case 'rotate_tile':
+      // The final orientation of a placed tile comes from the reference snapshot
+      break;
+
+    case 'place_tile': {
+      const position = data.fieldPlace || data.position;
+      if (!position) break;
+
+      const [x, y] = position.split(',').map(Number);
+      const known = state.lookup.tiles[position] || {};
+      state.tiles[position] = {
+        x,
+        y,
+        position,
+        tileId: tileId || known.tileId || state.pendingTile?.tileId || null,
+        orientation: known.orientation || null,
+        room: !!known.room,
+        features: [...(known.features || [])]
+      };
+
+      // A room reveals its item when placed; the snapshot only knows items still on the field
+      const revealedItem = state.lookup.items[position];
+      if (revealedItem && !state.items[position]) {
+        state.items[position] = {
+          ...revealedItem,
+          guardDefeated: revealedItem.guardHP > 0 ? false : !!revealedItem.guardDefeated
+        };
+      }
+      state.pendingTile = null;
+      break;
+    }
+
+    case 'move':
+    case 'use_teleport': {
+      const to = data.to || data.toPosition;
+      if (to && state.players[playerId]) {
+        state.playerPositions[playerId] = to;
+      }
+      break;
+    }
+
+    case 'fight_monster': {
+      const won = data.result === 'WIN';
+      const from = data.fromPosition;
+      const to = data.toPosition;
+      const monster = data.monster || {};
+
+      withPlayer(state, playerId, player => {
+        // Spells are disposable, weapons stay in the inventory
+        (data.usedItems || []).forEach(usedItem => {
+          const usedId = typeof usedItem === 'string' ? usedItem : usedItem?.itemId;
+          const inventoryItem = usedId && Object.values(player.inventory).flat().find(item => item.itemId === usedId);
+          if (inventoryItem && getItemCategory(inventoryItem.type) === 'spells') {
+            removeFromInventory(player, usedId);
+          }
+        });
+
+        if (data.result === 'LOSE') {
+          player.hp = Math.max(0, player.hp - 1);
+        }
+      });
+
+      if (won) {
+        if (to) state.playerPositions[playerId] = to;
+
+        const fieldItem = state.items[to] || buildItem({
+          itemId: `${to}:${monster.type}`,
+          name: monster.name,
+          type: monster.type,
+          guardHP: monster.hp || 0
+        });
+        const defeatedItem = { ...fieldItem, guardDefeated: true };
+
+        // Guarded chests are collected automatically, other rewards wait for pick_item
+        if (getItemCategory(defeatedItem.type) === 'treasures' && state.players[playerId]) {
+          addToInventory(state.players[playerId], defeatedItem);
+          delete state.items[to];
+        } else if (to) {
+          state.items[to] = defeatedItem;
+        }
+      } else if (from) {
+        state.playerPositions[playerId] = from;
+
+        // Being pushed back onto a fountain heals the player
+        withPlayer(state, playerId, player => {
+          if (isHealingFountain(state, from) && player.hp < player.maxHp) {
+            player.hp = player.maxHp;
+          }
+        });
+      }
+      break;
+    }
+
+    case 'heal_at_fountain':
+      withPlayer(state, playerId, player => {
+        player.hp = typeof data.healedHp === 'number' ? data.healedHp : player.maxHp;
+      });
+      break;
+
+    case 'pick_item': {
+      const position = data.position;
+      const player = state.players[playerId];
+      if (!player) break;
+
+      const monster = data.monster || {};
+      const fieldItem = state.items[position];
+      const item = fieldItem && (!data.itemId || fieldItem.itemId === data.itemId)
+        ? { ...fieldItem, guardDefeated: true }
+        : buildItem({ itemId: data.itemId, name: monster.name, type: monster.type });
+
+      // Plain chests need a key, which is used up
+      if (item.type === 'chest' && player.inventory.keys.length > 0) {
+        player.inventory.keys.shift();
+      }
+
+      delete state.items[position];
+      if (data.replacedItemId) {
+        const replacedItem = removeFromInventory(player, data.replacedItemId);
+        if (replacedItem && position) {
+          state.items[position] = replacedItem;
+        }
+      }
+      addToInventory(player, item);
+
+      if (item.type === 'ruby_chest') {
+        state.status = 'finished';
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+};
+
+/**
+ * Apply one recorded action to the state
+ * @param {Object} state - Current reducer state
+ * @param {Object} action - Recorded action ({ action, tileId, additionalData })
+ * @param {string} playerId - Player who performed the action
+ * @returns {Object} New state
+ */
+export const reduceAction = (state, action, playerId = null) => {
+  const next = clone(state);
+  applyAction(next, normalizeAction(action, playerId || state.currentPlayerId));
+  return next;
+};
+
+/**
+ * Apply a whole turn to the state
+ * @param {Object} state - Current reducer state
+ * @param {Object} turn - Turn from the turn log
+ * @returns {Object} New state
+ */
+export const reduceTurn = (state, turn) => {
+  const next = clone(state);
+  const { turnId, turnNumber, playerId, actions } = normalizeTurn(turn);
+
+  next.turnId = turnId;
+  next.turnNumber = turnNumber;
+  next.currentPlayerId = playerId;
+
+  // A stunned player wakes up with minimal HP at the start of their turn
+  withPlayer(next, playerId, player => {
+    if (player.hp === 0) {
+      player.hp = HP_AFTER_STUN;
+    }
+  });
+
+  actions.forEach(action => applyAction(next, normalizeAction(action, playerId)));
+  return next;
+};
+
+/**
+ * Fold an ordered turn log into a state
+ * @param {Array} turns - Turns, oldest first (as returned by getGameTurns)
+ * @param {Object} initialState - State to start from (see createInitialGameState)
+ * @returns {Object} Final state
+ */
+export const foldTurns = (turns, initialState) => {
+  const ordered = [...(turns || [])].sort(
+    (a, b) => normalizeTurn(a).turnNumber - normalizeTurn(b).turnNumber
+  );
+  return ordered.reduce(reduceTurn, initialState);
+};
+
+/**
+ * Calculate each player's score (sum of treasure values)
+ * @param {Object} state - Reducer state
+ * @returns {Object} Map of playerId to score
+ */
+export const getScores = (state) => {
+  const scores = {};
+  Object.values(state.players).forEach(player => {
+    scores[player.id] = player.inventory.treasures.reduce((sum, item) => sum + (item.treasureValue || 0), 0);
+  });
+  return scores;
+};
+
+/**
+ * Project a reducer state into the getGame response shape, so it can be fed
+ * to updateGameDataSelectively or rendered directly
+ * @param {Object} state - Reducer state
+ * @returns {Object} Partial game data ({ state, players, field })
+ */
+export const toGameData = (state) => {
+  const tiles = Object.values(state.tiles);
+  const tileOrientations = {};
+  const roomFieldPlaces = [];
+  tiles.forEach(tile => {
+    if (tile.orientation) tileOrientations[tile.position] = tile.orientation;
+    if (tile.room) roomFieldPlaces.push(tile.position);
+  });
+
+  const xs = tiles.map(tile => tile.x);
+  const ys = tiles.map(tile => tile.y);
+  const minX = xs.length ? Math.min(...xs) : 0;
+  const maxX = xs.length ? Math.max(...xs) : 0;
+  const minY = ys.length ? Math.min(...ys) : 0;
+  const maxY = ys.length ? Math.max(...ys) : 0;
+
+  return {
+    state: {
+      status: state.status,
+      turn: state.turnNumber,
+      currentPlayerId: state.currentPlayerId
+    },
+    players: Object.values(state.players).map(player => ({
+      id: player.id,
+      username: player.username,
+      isAi: player.isAi,
+      hp: player.hp,
+      maxHp: player.maxHp,
+      defeated: player.defeated,
+      inventory: clone(player.inventory)
+    })),
+    field: {
+      tiles: tiles.map(({ x, y, tileId, position, features }) => ({ x, y, tileId, position, features: [...features] })),
+      playerPositions: { ...state.playerPositions },
+      tileOrientations,
+      roomFieldPlaces,
+      items: clone(state.items),
+      size: { width: maxX - minX + 1, height: maxY - minY + 1, minX, minY, maxX, maxY }
+    },
+    scores: getScores(state)
+  };
+};
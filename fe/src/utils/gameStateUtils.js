@@ -1,5 +1,20 @@
 // Game State Management Utilities
-import { ref, reactive, computed } from 'vue';
+import { reactive, computed } from 'vue';
+import { getItemCategory } from './gameStateReducer';
+import { getBoardRenderer } from './boardRenderer';
+import { loadKeybindings } from './keybindings';
+
+// How many items of each type fit in the inventory
+const INVENTORY_LIMITS = {
+  key: 1,
+  dagger: 2,
+  sword: 2,
+  axe: 2,
+  fireball: 3,
+  teleport: 3,
+  chest: Infinity, // No limit for treasures
+  ruby_chest: Infinity
+};
 
 export function createGameState() {
   // UI State
@@ -14,6 +29,7 @@ export function createGameState() {
   // Game Core State
   const gameState = reactive({
     data: null,
+    turns: [],
     started: false,
     playerIsReady: false
   });
@@ -21,7 +37,8 @@ export function createGameState() {
   // Player State
   const playerState = reactive({
     currentPlayerId: localStorage.getItem('currentPlayerId') || null,
-    secondPlayerId: localStorage.getItem('secondPlayerId') || null
+    secondPlayerId: localStorage.getItem('secondPlayerId') || null,
+    humanPlayerId: localStorage.getItem('humanPlayerId') || localStorage.getItem('currentPlayerId') || null
   });
 
   // Tile Interaction State
@@ -46,7 +63,13 @@ export function createGameState() {
     startDragY: 0,
     startScrollLeft: 0,
     startScrollTop: 0,
-    isCtrlPressed: false
+    isCtrlPressed: false,
+    // Board area inside the scroll viewport, null until measured (everything is rendered)
+    visibleArea: null,
+    // 'dom' or 'phaser', see boardRenderer.js
+    boardRenderer: getBoardRenderer(),
+    // Keys by action id, see keybindings.js
+    keybindings: loadKeybindings()
   });
 
   // Inventory State
@@ -56,17 +79,31 @@ export function createGameState() {
     itemCategory: '',
     maxItemsInCategory: 0,
     selectedItemToReplace: null,
-    inventoryForCategory: []
+    inventoryForCategory: [],
+    isInventoryFullAfterBattle: false,
+    showMissingKeyDialog: false,
+    missingKeyChestType: 'chest',
+    showItemPickupDialog: false,
+    tileItem: null,
+    itemPickupTurnId: null
   });
 
-  // Replay State
+  // Replay State, driven by the ReplayManager from the full turn log
   const replayState = reactive({
     isReplaying: false,
     gameTurns: [],
     currentReplayTurn: 0,
+    currentStep: -1,
+    totalSteps: 0,
+    isPaused: false,
+    currentAction: null,
+    currentActionIndex: -1,
+    currentPlayerId: null,
+    currentBattle: null,
+    currentBattlePlayerHp: null,
+    scoreboard: [],
     originalGameData: null,
-    replaySpeed: 1,
-    gamePollingInterval: null
+    replaySpeed: 1 // 1 = normal speed, 0.5 = slow, 2 = fast
   });
 
   // Battle State
@@ -75,6 +112,19 @@ export function createGameState() {
     battleInfo: null
   });
 
+  // Spell State
+  const spellState = reactive({
+    isTeleportMode: false,
+    selectedTeleportSpell: null
+  });
+
+  // Game Over State
+  const leaderboardState = reactive({
+    showLeaderboardModal: false,
+    leaderboard: [],
+    winnerId: null
+  });
+
   return {
     uiState,
     gameState,
@@ -83,7 +133,9 @@ export function createGameState() {
     viewState,
     inventoryState,
     replayState,
-    battleState
+    battleState,
+    spellState,
+    leaderboardState
   };
 }
 
@@ -124,12 +176,28 @@ export function createGameComputedProperties(state) {
     );
   });
 
+  // Whether the current player can carry the reward of the battle being shown
+  const hasInventorySpaceForReward = computed(() => {
+    const reward = state.battleState.battleInfo?.reward;
+    const inventory = getCurrentPlayerData.value?.inventory;
+    if (!reward?.type || !inventory) return true;
+
+    const category = getItemCategory(reward.type);
+    const limit = INVENTORY_LIMITS[reward.type];
+    // Unknown type, assume space available
+    if (!category || limit === undefined) return true;
+
+    const currentCount = inventory[category] ? inventory[category].length : 0;
+    return currentCount < limit;
+  });
+
   return {
     canStartGame,
     isPlayerInGame,
     isSecondPlayerInGame,
     isPlayerTurn,
     getCurrentPlayerData,
-    getSecondPlayerData
+    getSecondPlayerData,
+    hasInventorySpaceForReward
   };
 } 
\ No newline at end of file
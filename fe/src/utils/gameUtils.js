@@ -2,6 +2,7 @@
  * Utility functions for game data management
  */
 import { generateUUID } from './playerUtils';
+import { getTileOrientationSymbol, parseOrientationString } from './tileUtils';
 
 /**
  * Helper function to selectively update game data without replacing the entire object
@@ -188,6 +189,140 @@ export const updateGameDataSelectively = (gameData, updatedData) => {
   }
 };
 
+/**
+ * Copy the parts of the game data a live event may change, so the event can be
+ * applied to the copy and merged back like a getGame snapshot
+ * @param {Object} gameData - The current game data
+ * @returns {Object} Snapshot sharing the unchanged tiles, players and items
+ */
+const copyEventSnapshot = (gameData) => {
+  const { state, players, field } = gameData;
+  return {
+    state: state && { ...state },
+    players: players?.map(player => ({ ...player })),
+    field: field && {
+      ...field,
+      size: field.size && { ...field.size },
+      tiles: [...(field.tiles || [])],
+      playerPositions: { ...field.playerPositions },
+      tileOrientations: { ...field.tileOrientations },
+      roomFieldPlaces: [...(field.roomFieldPlaces || [])],
+      items: { ...field.items }
+    }
+  };
+};
+
+/**
+ * Apply a single live game event to the game data
+ * The event is applied to a copy that goes through updateGameDataSelectively,
+ * the same merge getGame snapshots use, so there is one way game data changes.
+ * Events are idempotent so echoes of the local player's own actions are harmless
+ *
+ * @param {Object} gameData - The current game data reactive reference
+ * @param {Object} event - The live event ({ type, data })
+ * @returns {Object} { applied, needsResync } - needsResync is true when the event
+ *   changes state that only a full getGame snapshot can provide (turn IDs, available places, battle rewards)
+ */
+export const applyGameEvent = (gameData, event) => {
+  const result = { applied: false, needsResync: false };
+  if (!gameData || !event || !event.data) return result;
+
+  const data = event.data;
+  const next = copyEventSnapshot(gameData);
+
+  switch (event.type) {
+    case 'TilePlaced': {
+      const { tileId, fieldPlace, orientation, room = false, features = [], item = null } = data;
+      if (!fieldPlace || !next.field) {
+        result.needsResync = true;
+        return result;
+      }
+
+      const [x, y] = fieldPlace.split(',').map(Number);
+      if (!next.field.tiles.some(tile => tile.position === fieldPlace)) {
+        next.field.tiles.push({ x, y, tileId, position: fieldPlace, features });
+      }
+
+      if (orientation) {
+        // Orientation arrives either as a box drawing character or as "true,false,true,false"
+        const orientationValue = orientation.includes(',') ? parseOrientationString(orientation) : orientation;
+        next.field.tileOrientations[fieldPlace] = getTileOrientationSymbol(orientationValue, room);
+      }
+
+      if (room && !next.field.roomFieldPlaces.includes(fieldPlace)) {
+        next.field.roomFieldPlaces.push(fieldPlace);
+      }
+
+      if (item) {
+        next.field.items[fieldPlace] = item;
+      }
+
+      // Grow the field bounds to include the new tile
+      const size = next.field.size;
+      if (size) {
+        size.minX = Math.min(size.minX, x);
+        size.maxX = Math.max(size.maxX, x);
+        size.minY = Math.min(size.minY, y);
+        size.maxY = Math.max(size.maxY, y);
+        size.width = size.maxX - size.minX + 1;
+        size.height = size.maxY - size.minY + 1;
+      }
+      break;
+    }
+
+    case 'PlayerMoved': {
+      const { playerId, to } = data;
+      if (!playerId || !to || !next.field) return result;
+
+      next.field.playerPositions[playerId] = to;
+      break;
+    }
+
+    case 'PlayerHealthChanged': {
+      const player = next.players?.find(p => p.id === data.playerId);
+      if (!player) return result;
+
+      // Prefer the absolute value when the server sends it, deltas are not idempotent
+      if (typeof data.hp === 'number') {
+        player.hp = data.hp;
+      } else if (typeof data.healthChange === 'number') {
+        player.hp = Math.max(0, (player.hp || 0) + data.healthChange);
+      }
+      if (typeof player.hp === 'number') {
+        player.defeated = player.hp <= 0;
+      }
+      break;
+    }
+
+    case 'BattleCompleted':
+      // Rewards, consumables and HP are only available in the full snapshot
+      result.applied = true;
+      result.needsResync = true;
+      return result;
+
+    case 'TurnChanged':
+      next.state = next.state || {};
+      if (data.currentPlayerId) next.state.currentPlayerId = data.currentPlayerId;
+      if (typeof data.turnNumber === 'number') next.state.turn = data.turnNumber;
+
+      // The new turn ID and available places come from the server
+      result.needsResync = true;
+      break;
+
+    case 'GameEnded':
+      next.state = { ...next.state, status: 'finished' };
+      result.needsResync = true;
+      break;
+
+    default:
+      return result;
+  }
+
+  updateGameDataSelectively(gameData, next);
+  result.applied = true;
+  return result;
+};
+
 /**
  * Initialize the game board and debug information
  * 
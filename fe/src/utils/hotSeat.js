@@ -0,0 +1,72 @@
+// Hot-seat mode: 2-4 human players share one device and pass it between turns
+
+export const MIN_HOT_SEATS = 2;
+export const MAX_HOT_SEATS = 4; // Backend limit per game
+
+export const HOT_SEAT_COLORS = ['#e74c3c', '#3498db', '#2ecc71', '#f1c40f'];
+
+const STORAGE_KEY = 'hotSeatPlayers';
+
+/**
+ * Default seats for a hot-seat game
+ * @param {number} count - Number of seats
+ * @returns {Array} Seats as { name, color }
+ */
+export const createDefaultSeats = (count) => {
+  const total = Math.min(MAX_HOT_SEATS, Math.max(MIN_HOT_SEATS, count));
+  return Array.from({ length: total }, (_, index) => ({
+    name: `Player ${index + 1}`,
+    color: HOT_SEAT_COLORS[index],
+  }));
+};
+
+/**
+ * Remember the seats of the hot-seat game being created
+ * @param {Array} seats - Joined seats as { id, name, color }
+ */
+export const saveHotSeats = (seats) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(seats));
+};
+
+/**
+ * Forget the hot-seat setup, e.g. before starting another kind of game
+ */
+export const clearHotSeats = () => {
+  localStorage.removeItem(STORAGE_KEY);
+};
+
+/**
+ * Seats stored for the hot-seat game
+ * @returns {Array} Seats as { id, name, color }
+ */
+export const getHotSeats = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.error('Failed to parse stored hot-seat players:', error);
+    return [];
+  }
+};
+
+/**
+ * Checks if a game is played hot-seat on this device: all its players are stored seats
+ * @param {Object} gameData - Game data
+ * @param {Array} seats - Stored seats
+ * @returns {boolean} True for hot-seat games
+ */
+export const isHotSeatGame = (gameData, seats) => {
+  const players = gameData?.players || [];
+  if (players.length < MIN_HOT_SEATS || seats.length < MIN_HOT_SEATS) return false;
+  return players.every(player => seats.some(seat => seat.id === player.id));
+};
+
+/**
+ * Seat of a player
+ * @param {Array} seats - Stored seats
+ * @param {string} playerId - Player ID
+ * @returns {Object|null} Seat as { id, name, color }
+ */
+export const findHotSeat = (seats, playerId) => {
+  return seats.find(seat => seat.id === playerId) || null;
+};
@@ -1,3 +1,5 @@
+import { getItemInfo, getMonster } from './catalog';
+
 /**
  * Gets the emoji representation of an item based on its type and name
  * @param {Object} item - The item object containing name, type, and other properties
@@ -11,65 +13,17 @@ export const getItemEmoji = (item) => {
   
   // If guard is defeated or there's no guard (HP = 0), show the reward
   if (guardDefeated) {
-    // Show reward based on item type
-    switch (item.type) {
-      case 'key':
-        return '🔑';
-      case 'chest':
-        return '📦';
-      case 'ruby_chest':
-        return '💎';
-      case 'dagger':
-        return '🗡️';
-      case 'sword':
-        return '⚔️';
-      case 'axe':
-        return '🪓';
-      case 'fireball':
-        return '🔥';
-      case 'teleport':
-        return '✨';
-      default:
-        return '💰'; // Default treasure
-    }
-  } else {
-    // Guard is not defeated, show monster
-    // Special handling for skeletons based on both name and type
-    if (item.name === 'skeleton_king') {
-      return '👑'; // Crown for Skeleton King
-    } else if (item.name === 'skeleton_warrior') {
-      return '🛡️'; // Shield for Skeleton Warrior
-    } else if (item.name === 'skeleton_turnkey') {
-      return '🔐'; // Lock for Skeleton with Key
-    } else if (item.type === 'fireball' && item.name.includes('skeleton')) {
-      return '🔮'; // Crystal ball for Skeleton Mage instead of wizard
-    }
-    
-    // For other monsters not specifically handled above
-    switch (item.name) {
-      case 'dragon':
-        return '🐉';
-      case 'fallen':
-        return '👻';
-      case 'giant_rat':
-        return '🐀';
-      case 'giant_spider':
-        return '🕷️';
-      case 'mummy':
-        return '🧟';
-      case 'treasure_chest': // Special case - no guard but might appear as monster
-        return '📦';
-      case 'random':
-        return '❓';
-      default:
-        // If we couldn't determine the monster type, use a default based on item type
-        if (item.type === 'fireball') {
-          return '🔮'; // Crystal ball for other mages too
-        } else if (item.type === 'axe' || item.type === 'sword' || item.type === 'dagger') {
-          return '⚔️'; // Warrior
-        }
-        return '👹'; // Default monster
-    }
+    return getItemInfo(item.type).emoji;
+  }
+
+  // Guard is not defeated, show monster
+  switch (item.name) {
+    case 'treasure_chest': // Special case - no guard but might appear as monster
+      return '📦';
+    case 'random':
+      return '❓';
+    default:
+      return getMonster(item.name).emoji;
   }
 };
 
@@ -94,15 +48,7 @@ export const formatItemName = (name) => {
  */
 export const formatItemType = (type) => {
   if (!type) return 'Unknown';
-  
-  // Special case handling
-  switch (type) {
-    case 'ruby_chest':
-      return 'Ruby Chest';
-    default:
-      // Convert snake_case to Title Case for other types
-      return type.charAt(0).toUpperCase() + type.slice(1);
-  }
+  return getItemInfo(type).name;
 };
 
 /**
@@ -125,13 +71,16 @@ export const getItemTooltip = (item) => {
   
   // Add guard info if it's a guard (for field items, not inventory)
   if (item.guardHP && item.guardHP > 0 && !item.guardDefeated) {
-    tooltip += `\nGuard: ${formatItemName(item.name)}`;
+    tooltip += `\nGuard: ${getMonster(item.name).name}`;
     tooltip += `\nHP: ${item.guardHP}`;
   }
   
-  // Add damage info for weapons and spells
-  if (['dagger', 'sword', 'axe', 'fireball'].includes(item.type)) {
-    tooltip += `\nDamage: +${getItemDamage(item)}`;
+  // Add damage info for weapons and spells, what the item does for the others
+  const info = getItemInfo(item.type);
+  if (info.damage > 0) {
+    tooltip += `\nDamage: +${info.damage}`;
+  } else if (info.effect && !info.treasureValue) {
+    tooltip += `\n${info.effect}`;
   }
   
   // Add treasure value if it's a treasure
@@ -289,26 +238,7 @@ export const getInventoryItemEmoji = (item) => {
   if (!item) return '❓';
   
   // For inventory items, always show based on type
-  switch (item.type) {
-    case 'key':
-      return '🔑';
-    case 'chest':
-      return '📦';
-    case 'ruby_chest':
-      return '💎';
-    case 'dagger':
-      return '🗡️';
-    case 'sword':
-      return '⚔️';
-    case 'axe':
-      return '🪓';
-    case 'fireball':
-      return '🔥';
-    case 'teleport':
-      return '✨';
-    default:
-      return '💰'; // Default treasure
-  }
+  return getItemInfo(item.type).emoji;
 };
 
 /**
@@ -318,20 +248,7 @@ export const getInventoryItemEmoji = (item) => {
  */
 export const getItemDamage = (item) => {
   if (!item || !item.type) return 0;
-  
-  // Map item types to their damage values (matching backend ItemType::getDamage())
-  const damageMap = {
-    'dagger': 1,
-    'sword': 2,
-    'axe': 3,
-    'fireball': 1,
-    'teleport': 0,
-    'key': 0,
-    'chest': 0,
-    'ruby_chest': 0
-  };
-  
-  return damageMap[item.type] || 0;
+  return getItemInfo(item.type).damage;
 };
 
 /**
@@ -341,25 +258,5 @@ export const getItemDamage = (item) => {
  */
 export const getItemImage = (item) => {
   if (!item || !item.type) return null;
-  
-  switch (item.type) {
-    case 'key':
-      return '/images/key.webp';
-    case 'dagger':
-      return '/images/dagger.webp';
-    case 'sword':
-      return '/images/sword.webp';
-    case 'axe':
-      return '/images/axe.webp';
-    case 'fireball':
-      return '/images/fireball.webp';
-    case 'teleport':
-      return '/images/hf-teleport.webp';
-    case 'chest':
-      return '/images/chest-opened.webp';
-    case 'ruby_chest':
-      return '/images/ruby-chest.webp';
-    default:
-      return null;
-  }
-}; 
\ No newline at end of file
+  return getItemInfo(item.type).image;
+};
@@ -0,0 +1,196 @@
+// Keyboard bindings: every game action and the keys that trigger it, remappable and kept in localStorage
+const STORAGE_KEY = 'keybindings';
+
+// An action can have this many keys, binding another replaces the last one
+export const MAX_KEYS_PER_ACTION = 2;
+
+// Number keys pick items in battle and inventory dialogs
+const ITEM_SLOTS = 9;
+
+/**
+ * Every action that can be bound, in the order the settings panel lists them
+ * @type {Array<{id: string, label: string, group: string, keys: Array<string>}>}
+ */
+export const KEY_ACTIONS = [
+  { id: 'moveUp', label: 'Move or place up', group: 'Board', keys: ['ArrowUp'] },
+  { id: 'moveDown', label: 'Move or place down', group: 'Board', keys: ['ArrowDown'] },
+  { id: 'moveLeft', label: 'Move or place left', group: 'Board', keys: ['ArrowLeft'] },
+  { id: 'moveRight', label: 'Move or place right', group: 'Board', keys: ['ArrowRight'] },
+  { id: 'nextTarget', label: 'Select next move, place or fountain', group: 'Board', keys: ['Tab'] },
+  { id: 'previousTarget', label: 'Select previous move, place or fountain', group: 'Board', keys: ['Shift+Tab'] },
+  { id: 'rotateTile', label: 'Rotate tile', group: 'Board', keys: ['r'] },
+  { id: 'zoomIn', label: 'Zoom in', group: 'View', keys: ['+', '='] },
+  { id: 'zoomOut', label: 'Zoom out', group: 'View', keys: ['-'] },
+  { id: 'fitBoard', label: 'Fit whole dungeon', group: 'View', keys: ['f'] },
+  { id: 'focusPlayer', label: 'Focus on my player', group: 'View', keys: ['c'] },
+  { id: 'pickUpItem', label: 'Pick up item', group: 'Turn', keys: ['p'] },
+  { id: 'castTeleport', label: 'Cast teleport', group: 'Turn', keys: ['t'] },
+  { id: 'openInventory', label: 'Open inventory', group: 'Turn', keys: ['i'] },
+  { id: 'endTurn', label: 'End turn', group: 'Turn', keys: ['e'] },
+  { id: 'confirm', label: 'Confirm (move, place, pick up, fight)', group: 'Dialogs', keys: ['Enter'] },
+  { id: 'cancel', label: 'Cancel or leave', group: 'Dialogs', keys: ['Escape'] },
+  { id: 'useOptimalSpells', label: 'Use the cheapest spells that win a battle', group: 'Dialogs', keys: ['o'] },
+  ...Array.from({ length: ITEM_SLOTS }, (_, index) => ({
+    id: `selectItem${index + 1}`,
+    label: `Choose consumable or item ${index + 1}`,
+    group: 'Dialogs',
+    keys: [String(index + 1)]
+  })),
+  { id: 'showKeybindings', label: 'Show keyboard controls', group: 'Help', keys: ['?'] },
+  { id: 'showCompendium', label: 'Show monster and item compendium', group: 'Help', keys: ['b'] }
+];
+
+const ACTION_IDS = KEY_ACTIONS.map(action => action.id);
+
+const KEY_LABELS = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Escape: 'Esc',
+  ' ': 'Space'
+};
+
+/**
+ * Default bindings
+ * @returns {Object<string, Array<string>>} Keys by action id
+ */
+export const getDefaultKeybindings = () => Object.fromEntries(KEY_ACTIONS.map(action => [action.id, [...action.keys]]));
+
+/**
+ * Bindings the user saved, on top of the defaults
+ * @returns {Object<string, Array<string>>} Keys by action id
+ */
+export const loadKeybindings = () => {
+  const bindings = getDefaultKeybindings();
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    for (const [actionId, keys] of Object.entries(stored)) {
+      // Actions removed since the bindings were saved are dropped
+      if (ACTION_IDS.includes(actionId) && Array.isArray(keys)) {
+        bindings[actionId] = keys.filter(key => typeof key === 'string').slice(0, MAX_KEYS_PER_ACTION);
+      }
+    }
+  } catch (error) {
+    console.error('Failed to load key bindings:', error);
+  }
+  return bindings;
+};
+
+/**
+ * Keep bindings for the next sessions
+ * @param {Object<string, Array<string>>} bindings - Keys by action id
+ */
+export const saveKeybindings = (bindings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+};
+
+/**
+ * Key name of a keyboard event, as stored in bindings
+ * Shift is only spelled out for named keys, for characters it's already part of the key ('?').
+ * Letters are stored lowercase, so Caps Lock doesn't change what they trigger.
+ * @param {KeyboardEvent} e - Keyboard event
+ * @returns {string} Key name such as 'r', 'Shift+Tab' or 'Ctrl+ArrowUp'
+ */
+export const getEventKey = (e) => {
+  const isCharacter = e.key.length === 1;
+  const key = isCharacter ? e.key.toLowerCase() : e.key;
+  const modifiers = [
+    e.ctrlKey && 'Ctrl',
+    e.altKey && 'Alt',
+    e.metaKey && 'Meta',
+    e.shiftKey && !isCharacter && 'Shift'
+  ].filter(Boolean);
+  return [...modifiers, key].join('+');
+};
+
+/**
+ * Action bound to the key of an event
+ * @param {KeyboardEvent} e - Keyboard event
+ * @param {Object<string, Array<string>>} [bindings] - Keys by action id, defaults when missing
+ * @returns {string|null} Action id, null when the key isn't bound
+ */
+export const getKeyAction = (e, bindings = getDefaultKeybindings()) => {
+  const key = getEventKey(e);
+  return ACTION_IDS.find(actionId => bindings[actionId]?.includes(key)) || null;
+};
+
+/**
+ * Check if an event's key triggers an action
+ * @param {KeyboardEvent} e - Keyboard event
+ * @param {string} actionId - Action id
+ * @param {Object<string, Array<string>>} [bindings] - Keys by action id, defaults when missing
+ * @returns {boolean} True if the key is bound to the action
+ */
+export const matchesAction = (e, actionId, bindings) => getKeyAction(e, bindings) === actionId;
+
+/**
+ * Item slot chosen with an event's key
+ * @param {KeyboardEvent} e - Keyboard event
+ * @param {Object<string, Array<string>>} [bindings] - Keys by action id, defaults when missing
+ * @returns {number} 0-based slot, -1 when the key doesn't pick an item
+ */
+export const getItemSlot = (e, bindings) => {
+  const actionId = getKeyAction(e, bindings);
+  return actionId?.startsWith('selectItem') ? Number(actionId.slice('selectItem'.length)) - 1 : -1;
+};
+
+/**
+ * Bind a key to an action, taking it away from any other action
+ * @param {Object<string, Array<string>>} bindings - Keys by action id
+ * @param {string} actionId - Action id
+ * @param {string} key - Key name from getEventKey
+ * @returns {Object<string, Array<string>>} New bindings
+ */
+export const bindKey = (bindings, actionId, key) => {
+  const next = Object.fromEntries(Object.entries(bindings).map(([id, keys]) => [id, keys.filter(bound => bound !== key)]));
+  const keys = next[actionId] || [];
+  next[actionId] = [...keys.slice(0, MAX_KEYS_PER_ACTION - 1), key];
+  return next;
+};
+
+/**
+ * Remove a key from an action
+ * @param {Object<string, Array<string>>} bindings - Keys by action id
+ * @param {string} actionId - Action id
+ * @param {string} key - Key name
+ * @returns {Object<string, Array<string>>} New bindings
+ */
+export const unbindKey = (bindings, actionId, key) => ({
+  ...bindings,
+  [actionId]: (bindings[actionId] || []).filter(bound => bound !== key)
+});
+
+/**
+ * Readable name of a key
+ * @param {string} key - Key name from getEventKey
+ * @returns {string} Label such as '↑', 'Shift+Tab' or 'R'
+ */
+export const formatKey = (key) => key
+  .split('+')
+  .map(part => KEY_LABELS[part] || (part.length === 1 ? part.toUpperCase() : part))
+  .join('+');
+
+/**
+ * First key of an action, for hints next to buttons
+ * @param {Object<string, Array<string>>} [bindings] - Keys by action id, defaults when missing
+ * @param {string} actionId - Action id
+ * @returns {string} Readable key, empty when nothing is bound
+ */
+export const getActionKeyLabel = (bindings, actionId) => {
+  const [key] = (bindings || getDefaultKeybindings())[actionId] || [];
+  return key ? formatKey(key) : '';
+};
+
+/**
+ * Check if a key event belongs to the focused element rather than the game
+ * Typing in fields is never a shortcut; Enter and Space activate a focused button themselves.
+ * @param {KeyboardEvent} e - Keyboard event
+ * @returns {boolean} True if game shortcuts should leave the event alone
+ */
+export const isEventForFocusedElement = (e) => {
+  const target = e.target;
+  if (!target || typeof target.closest !== 'function') return false;
+  if (target.isContentEditable || target.closest('input, textarea, select')) return true;
+  return (e.key === 'Enter' || e.key === ' ') && Boolean(target.closest('button, a[href], [role="button"]'));
+};
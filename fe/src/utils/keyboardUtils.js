@@ -1,11 +1,45 @@
 /**
  * Utility functions for keyboard-related operations in the game
  */
+import { getKeyAction, isEventForFocusedElement } from './keybindings';
+
+// Board steps of the move actions
+const MOVE_STEPS = {
+  moveUp: [0, -1],
+  moveRight: [1, 0],
+  moveDown: [0, 1],
+  moveLeft: [-1, 0]
+};
+
+// Looking around and opening panels works at any time, not only during the player's turn
+const VIEW_ACTIONS = ['zoomIn', 'zoomOut', 'fitBoard', 'focusPlayer', 'openInventory', 'showKeybindings', 'showCompendium'];
+const TURN_ACTIONS = ['nextTarget', 'previousTarget', 'pickUpItem', 'castTeleport', 'endTurn'];
+
+/**
+ * Position after the current one in a list of board positions, in reading order (rows, then columns)
+ * @param {Array<string>} positions - Positions as "x,y" strings
+ * @param {string|null} current - Currently selected position
+ * @param {number} step - 1 for the next position, -1 for the previous one
+ * @returns {string|null} Position to select, null when there is none
+ */
+export const getNextTarget = (positions, current, step) => {
+  if (!positions.length) return null;
+
+  const sorted = [...positions].sort((a, b) => {
+    const [ax, ay] = a.split(',').map(Number);
+    const [bx, by] = b.split(',').map(Number);
+    return ay - by || ax - bx;
+  });
+  const index = sorted.indexOf(current);
+  if (index === -1) return step > 0 ? sorted[0] : sorted[sorted.length - 1];
+  return sorted[(index + step + sorted.length) % sorted.length];
+};
 
 /**
  * Handles keyboard events for game controls
  * @param {Object} params - Parameters for handling keyboard events
  * @param {Event} params.e - The keyboard event
+ * @param {Object<string, Array<string>>} [params.bindings] - Keys by action id (keybindings.js), defaults when missing
  * @param {Ref<boolean>} params.isPlayerTurn - Reference to is player turn flag
  * @param {Ref<boolean>} params.showBattleReportModal - Reference to show battle report modal flag
  * @param {Function} params.closeBattleReportAndEndTurn - Function to close battle report and end turn
@@ -20,9 +54,12 @@
  * @param {Ref<string>} params.currentPlayerId - Reference to current player ID
  * @param {Ref<boolean>} params.isTeleportMode - Reference to teleport mode flag
  * @param {Function} params.cancelTeleportMode - Function to cancel teleport mode
+ * @param {Object<string, Function>} [params.actions] - Handlers for the other actions by action id, plus
+ *   confirmTarget and clearTarget for the keyboard selection, which return true when they had one
  */
 export const handleKeyboardEvents = ({
   e,
+  bindings,
   isPlayerTurn,
   showBattleReportModal,
   closeBattleReportAndEndTurn,
@@ -36,8 +73,14 @@ export const handleKeyboardEvents = ({
   gameData,
   currentPlayerId,
   isTeleportMode,
-  cancelTeleportMode
+  cancelTeleportMode,
+  actions = {}
 }) => {
+  if (isEventForFocusedElement(e)) return;
+
+  const action = getKeyAction(e, bindings);
+  if (!action) return;
+
   // Helper function to get value from a possible ref
   const getValue = (ref) => ref && typeof ref.value !== 'undefined' ? ref.value : ref;
 
@@ -50,8 +93,8 @@ export const handleKeyboardEvents = ({
   const ghostTilePositionValue = getValue(ghostTilePosition);
   const isTeleportModeValue = getValue(isTeleportMode);
 
-  // Handle Escape key for various modes
-  if (e.key === 'Escape') {
+  // Cancel closes modes, innermost first
+  if (action === 'cancel') {
     // If battle report is open, close it
     if (showBattleReportModalValue) {
       closeBattleReportAndEndTurn();
@@ -65,20 +108,44 @@ export const handleKeyboardEvents = ({
       e.preventDefault();
       return;
     }
+
+    if (actions.clearTarget?.()) {
+      e.preventDefault();
+    }
+    return;
+  }
+
+  // The battle report handles its own keys
+  if (showBattleReportModalValue) return;
+
+  if (VIEW_ACTIONS.includes(action)) {
+    if (actions[action]) {
+      actions[action]();
+      e.preventDefault();
+    }
+    return;
   }
 
   // Always handle basic navigation keys regardless of turn
-  const isNavigationKey = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key);
+  const isNavigationKey = action in MOVE_STEPS;
 
   // Only handle non-navigation keyboard events if it's player's turn
   if (!isPlayerTurnValue && !isNavigationKey) return;
 
+  if (TURN_ACTIONS.includes(action)) {
+    if (actions[action]) {
+      actions[action]();
+      e.preventDefault();
+    }
+    return;
+  }
+
   // If we have a picked tile, handle its movement
   if (pickedTileIdValue && pickedTileValue && isPlacingTileValue) {
-    if (e.key === 'r') {
+    if (action === 'rotateTile') {
       rotateGhostTileLocal();
       e.preventDefault();
-    } else if (e.key === 'Enter') {
+    } else if (action === 'confirm') {
       // Place the tile at current ghost position
       if (ghostTilePositionValue) {
         handlePlaceClick(ghostTilePositionValue);
@@ -89,6 +156,12 @@ export const handleKeyboardEvents = ({
     return;
   }
 
+  // A position picked with the target keys goes first
+  if (action === 'confirm' && actions.confirmTarget?.()) {
+    e.preventDefault();
+    return;
+  }
+
   // Handle arrow keys for ghost tile placement
   // Check if gameData is a ref or direct value
   const gameDataObj = gameData && typeof gameData.value !== 'undefined' ? gameData.value : gameData;
@@ -128,32 +201,18 @@ export const handleKeyboardEvents = ({
   const [currentX, currentY] = currentPos.split(',').map(Number);
   let targetPos;
 
-  switch (e.key) {
-    case 'ArrowUp':
-      targetPos = `${currentX},${currentY - 1}`;
-      e.preventDefault();
-      break;
-    case 'ArrowRight':
-      targetPos = `${currentX + 1},${currentY}`;
+  if (isNavigationKey) {
+    const [dx, dy] = MOVE_STEPS[action];
+    targetPos = `${currentX + dx},${currentY + dy}`;
+    e.preventDefault();
+  } else if (action === 'confirm') {
+    // If no ghost tile but we're on a valid place, pick a new tile or move
+    if (!pickedTileIdValue && allValidPositions.includes(currentPos)) {
+      handlePlaceClick(currentPos);
       e.preventDefault();
-      break;
-    case 'ArrowDown':
-      targetPos = `${currentX},${currentY + 1}`;
-      e.preventDefault();
-      break;
-    case 'ArrowLeft':
-      targetPos = `${currentX - 1},${currentY}`;
-      e.preventDefault();
-      break;
-    case 'Enter':
-      // If no ghost tile but we're on a valid place, pick a new tile or move
-      if (!pickedTileIdValue && allValidPositions.includes(currentPos)) {
-        handlePlaceClick(currentPos);
-        e.preventDefault();
-      }
-      break;
-    default:
-      return;
+    }
+  } else {
+    return;
   }
 
   // Check if the target position is a valid move or place for a new tile
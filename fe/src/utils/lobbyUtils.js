@@ -0,0 +1,62 @@
+// Online lobby helpers: seats, invite links and the start condition
+
+export const MIN_SEATS = 2;
+export const MAX_SEATS = 4; // Backend limit per game, also its default seat count
+
+/**
+ * Clamp a requested seat count to what a game supports
+ * @param {number|string} seats - Requested seat count
+ * @returns {number} Seat count between MIN_SEATS and MAX_SEATS
+ */
+export const normalizeSeatCount = (seats) => {
+  const count = parseInt(seats, 10);
+  if (!Number.isInteger(count)) return MIN_SEATS;
+  return Math.min(MAX_SEATS, Math.max(MIN_SEATS, count));
+};
+
+/**
+ * Seat count stored on the game by the host
+ * @param {Object} gameData - getGame response
+ * @returns {number} Seat count, MAX_SEATS when the game doesn't report one
+ */
+export const getSeatCount = (gameData) => normalizeSeatCount(gameData?.settings?.seats ?? MAX_SEATS);
+
+/**
+ * Build the link other people use to join the lobby
+ * @param {string} origin - Site origin, e.g. window.location.origin
+ * @param {string} gameId - The game ID
+ * @returns {string} Invite URL
+ */
+export const getInviteLink = (origin, gameId) => {
+  return `${origin}/lobby/${gameId}`;
+};
+
+/**
+ * Lay the joined players out on the seats, empty seats are null
+ * @param {Object} gameData - getGame response
+ * @returns {Array} Players or null per seat
+ */
+export const getLobbySeats = (gameData) => {
+  const players = gameData?.players || [];
+  const count = Math.max(getSeatCount(gameData), players.length);
+  return Array.from({ length: count }, (_, index) => players[index] || null);
+};
+
+/**
+ * Checks if the lobby has room for another player, the backend refuses joins beyond the seat count
+ * @param {Object} gameData - getGame response
+ * @returns {boolean} True if a seat is free
+ */
+export const hasFreeSeat = (gameData) => {
+  return (gameData?.players?.length || 0) < getSeatCount(gameData);
+};
+
+/**
+ * The host may start once at least two players sit in the lobby and all of them are ready
+ * @param {Object} gameData - getGame response
+ * @returns {boolean} True if the game can be started
+ */
+export const canStartGame = (gameData) => {
+  if (!gameData?.players || gameData.state?.status !== 'lobby') return false;
+  return gameData.players.length >= MIN_SEATS && gameData.players.every(player => player.ready);
+};
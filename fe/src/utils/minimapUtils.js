@@ -0,0 +1,102 @@
+// Minimap: a scaled-down overview of the whole board with players, monsters, items and the viewport
+import { HOT_SEAT_COLORS, findHotSeat } from './hotSeat';
+import { isItemPickable } from './boardRenderer';
+import { getMonster } from './catalog';
+
+// Largest side of the minimap in pixels, cells shrink to fit big boards
+export const MINIMAP_MAX_SIZE = 180;
+const MAX_CELL_SIZE = 12;
+
+/**
+ * Color a player is drawn with: their hot-seat color, otherwise one picked by seat order
+ * @param {Object} gameData - Game data
+ * @param {string} playerId - Player ID
+ * @param {Array} [seats] - Stored hot-seat seats
+ * @returns {string} CSS color
+ */
+export const getPlayerColor = (gameData, playerId, seats = []) => {
+  const seat = findHotSeat(seats, playerId);
+  if (seat?.color) return seat.color;
+
+  const index = (gameData?.players || []).findIndex(player => player.id === playerId);
+  return HOT_SEAT_COLORS[Math.max(index, 0) % HOT_SEAT_COLORS.length];
+};
+
+/**
+ * Lay out the minimap of a board
+ * @param {Object} params - Board data
+ * @param {Object} params.gameData - Game data with field.size and field.playerPositions
+ * @param {Array<Object>} params.tiles - Processed tiles (processTiles)
+ * @param {Array} [params.seats] - Stored hot-seat seats, for player colors
+ * @param {{x: number, y: number, width: number, height: number}|null} [params.viewport] - Part of the board on screen, in tiles
+ * @returns {Object|null} Layout in minimap pixels, null without a field
+ */
+export const buildMinimap = ({ gameData, tiles, seats = [], viewport = null }) => {
+  const size = gameData?.field?.size;
+  if (!size) return null;
+
+  // One cell of fog around the explored area, where the next tiles can appear
+  const origin = { x: (size.minX ?? 0) - 1, y: (size.minY ?? 0) - 1 };
+  const columns = (size.maxX ?? 0) - (size.minX ?? 0) + 3;
+  const rows = (size.maxY ?? 0) - (size.minY ?? 0) + 3;
+  const cellSize = Math.max(2, Math.min(MAX_CELL_SIZE, Math.floor(MINIMAP_MAX_SIZE / Math.max(columns, rows))));
+  const toPixels = (x, y) => ({ left: (x - origin.x) * cellSize, top: (y - origin.y) * cellSize });
+
+  const cells = [];
+  const things = [];
+  for (const tile of tiles) {
+    if (!tile) continue;
+    cells.push({ key: tile.position, isRoom: Boolean(tile.isRoom), ...toPixels(tile.x, tile.y) });
+
+    if (tile.hasItem && tile.item) {
+      const guarded = !isItemPickable(tile.item);
+      things.push({
+        key: tile.position,
+        kind: guarded && getMonster(tile.item.name).boss ? 'boss' : (guarded ? 'monster' : 'item'),
+        ...toPixels(tile.x, tile.y)
+      });
+    }
+  }
+
+  // Players sharing a tile are spread across it
+  const positions = Object.entries(gameData.field.playerPositions || {});
+  const players = positions.map(([playerId, position]) => {
+    const [x, y] = String(position).split(',').map(Number);
+    const sharing = positions.filter(([, other]) => other === position);
+    const slot = sharing.findIndex(([id]) => id === playerId);
+    const pixels = toPixels(x, y);
+    return {
+      playerId,
+      color: getPlayerColor(gameData, playerId, seats),
+      left: pixels.left + cellSize * (slot + 1) / (sharing.length + 1),
+      top: pixels.top + cellSize / 2
+    };
+  });
+
+  return {
+    origin,
+    cellSize,
+    width: columns * cellSize,
+    height: rows * cellSize,
+    cells,
+    things,
+    players,
+    viewport: viewport ? {
+      ...toPixels(viewport.x, viewport.y),
+      width: viewport.width * cellSize,
+      height: viewport.height * cellSize
+    } : null
+  };
+};
+
+/**
+ * Board position under a point of the minimap
+ * @param {Object} layout - Result of buildMinimap
+ * @param {number} left - Pixels from the minimap's left edge
+ * @param {number} top - Pixels from the minimap's top edge
+ * @returns {{x: number, y: number}} Board coordinates
+ */
+export const minimapPointToPosition = (layout, left, top) => ({
+  x: layout.origin.x + Math.floor(left / layout.cellSize),
+  y: layout.origin.y + Math.floor(top / layout.cellSize)
+});
@@ -1,12 +1,269 @@
 // Navigation and Interaction Utilities
-import { ref } from 'vue';
+import { ref, nextTick } from 'vue';
+
+// Tiles mounted around the visible part of the board, so drags don't reveal empty cells
+export const VIEWPORT_MARGIN_TILES = 2;
+
+// Low enough to fit a large dungeon on a phone
+export const MIN_ZOOM = 0.2;
+export const MAX_ZOOM = 2;
+// Factor the zoom buttons step by
+export const ZOOM_STEP = 1.25;
+// Zoom used when focusing on a player, unless already closer
+export const FOCUS_ZOOM = 1.5;
+export const ZOOM_ANIMATION_MS = 200;
+// Zoom change per pixel of wheel delta
+const WHEEL_ZOOM_SPEED = 0.002;
+const ZOOM_STORAGE_KEY = 'boardZoom';
+const STORED_ZOOM_GAMES = 20;
+
+// Finger travel (in screen pixels) after which a touch is a pan, not a tap
+export const TAP_SLOP = 10;
+export const LONG_PRESS_MS = 500;
+// Two-finger twist that rotates the ghost tile once
+export const ROTATE_GESTURE_DEGREES = 60;
+
+/**
+ * Keep a zoom level inside the supported range
+ * @param {number} zoom - Requested zoom level
+ * @returns {number} Clamped zoom level
+ */
+export const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+/**
+ * Tell zoom wheel events from scrolling
+ * Trackpad pinches arrive with ctrlKey set; mouse wheels step in lines or large whole pixels,
+ * while two-finger trackpad scrolling sends small deltas and keeps panning the board.
+ * @param {WheelEvent} e - Wheel event
+ * @returns {boolean} True if the event should zoom
+ */
+export const isZoomWheel = (e) => {
+  if (e.ctrlKey || e.metaKey) return true;
+  if (e.deltaMode !== 0) return true;
+  return e.deltaX === 0 && Number.isInteger(e.deltaY) && Math.abs(e.deltaY) >= 50;
+};
+
+/**
+ * Zoom level after a wheel event
+ * @param {number} zoom - Zoom level before the event
+ * @param {WheelEvent} e - Wheel event
+ * @returns {number} Clamped zoom level
+ */
+export const getWheelZoom = (zoom, e) => {
+  // Line and page deltas are converted to roughly what a pixel-mode wheel reports
+  const pixels = e.deltaY * (e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? 400 : 1);
+  return clampZoom(zoom * Math.exp(-pixels * WHEEL_ZOOM_SPEED));
+};
+
+/**
+ * Zoom level that fits the whole explored dungeon in the view, never above 1
+ * @param {{minX: number, maxX: number, minY: number, maxY: number}} size - field.size bounds
+ * @param {number} tileSize - Tile size in pixels
+ * @param {number} viewWidth - Width available for the board, in screen pixels
+ * @param {number} viewHeight - Height available for the board, in screen pixels
+ * @returns {number} Zoom level
+ */
+export const getFitZoom = (size, tileSize, viewWidth, viewHeight) => {
+  const width = ((size.maxX ?? 0) - (size.minX ?? 0) + 1) * tileSize;
+  const height = ((size.maxY ?? 0) - (size.minY ?? 0) + 1) * tileSize;
+  return clampZoom(Math.min(1, viewWidth / width, viewHeight / height));
+};
+
+/**
+ * Zoom level remembered for a game
+ * @param {string} gameId - Game ID
+ * @returns {number|null} Stored zoom level, null if none
+ */
+export const getStoredZoom = (gameId) => {
+  try {
+    const zoom = JSON.parse(localStorage.getItem(ZOOM_STORAGE_KEY) || '{}')[gameId];
+    return typeof zoom === 'number' ? clampZoom(zoom) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Remember the zoom level of a game, only the latest games are kept
+ * @param {string} gameId - Game ID
+ * @param {number} zoom - Zoom level
+ */
+export const storeZoom = (gameId, zoom) => {
+  if (!gameId) return;
+  try {
+    const stored = JSON.parse(localStorage.getItem(ZOOM_STORAGE_KEY) || '{}');
+    delete stored[gameId];
+    stored[gameId] = zoom;
+    const entries = Object.entries(stored).slice(-STORED_ZOOM_GAMES);
+    localStorage.setItem(ZOOM_STORAGE_KEY, JSON.stringify(Object.fromEntries(entries)));
+  } catch (error) {
+    console.error('Failed to store the zoom level:', error);
+  }
+};
+
+/**
+ * Center, spread and angle of a two-finger gesture
+ * @param {{clientX: number, clientY: number}} first - First touch point
+ * @param {{clientX: number, clientY: number}} second - Second touch point
+ * @returns {{x: number, y: number, distance: number, angle: number}} Center in client pixels, angle in degrees
+ */
+export const getPinchGeometry = (first, second) => {
+  const dx = second.clientX - first.clientX;
+  const dy = second.clientY - first.clientY;
+  return {
+    x: (first.clientX + second.clientX) / 2,
+    y: (first.clientY + second.clientY) / 2,
+    distance: Math.hypot(dx, dy),
+    angle: Math.atan2(dy, dx) * 180 / Math.PI
+  };
+};
+
+/**
+ * Signed difference between two angles
+ * @param {number} from - Start angle in degrees
+ * @param {number} to - End angle in degrees
+ * @returns {number} Shortest turn from one to the other, in (-180, 180]
+ */
+export const getAngleDelta = (from, to) => {
+  const delta = ((to - from) % 360 + 360) % 360;
+  return delta > 180 ? delta - 360 : delta;
+};
+
+/**
+ * Scroll offsets that bring a point of the content under an anchor point of the field
+ * @param {Object} params - Content point and field geometry
+ * @param {number} params.contentX - Point from the content's left edge, in unscaled pixels
+ * @param {number} params.contentY - Point from the content's top edge, in unscaled pixels
+ * @param {number} params.anchorX - Anchor from the field's left edge, in screen pixels
+ * @param {number} params.anchorY - Anchor from the field's top edge, in screen pixels
+ * @param {number} params.offsetX - Content's left edge in the field's scroll coordinates
+ * @param {number} params.offsetY - Content's top edge in the field's scroll coordinates
+ * @param {number} params.zoom - Scale applied to the content
+ * @returns {{scrollLeft: number, scrollTop: number}} Scroll offsets of the field
+ */
+export const getAnchoredScroll = ({ contentX, contentY, anchorX, anchorY, offsetX, offsetY, zoom }) => ({
+  scrollLeft: contentX * zoom + offsetX - anchorX,
+  scrollTop: contentY * zoom + offsetY - anchorY
+});
+
+/**
+ * Board position under a point of the unscaled content
+ * @param {number} contentX - Pixels from the content's left edge
+ * @param {number} contentY - Pixels from the content's top edge
+ * @param {Object} options - Board geometry
+ * @param {number} options.minX - Board x shown at the content's left edge
+ * @param {number} options.minY - Board y shown at the content's top edge
+ * @param {number} options.tileSize - Tile size in pixels
+ * @returns {{x: number, y: number, position: string}} Board coordinates
+ */
+export const contentPointToPosition = (contentX, contentY, { minX, minY, tileSize }) => {
+  const x = minX + Math.floor(contentX / tileSize);
+  const y = minY + Math.floor(contentY / tileSize);
+  return { x, y, position: `${x},${y}` };
+};
+
+/**
+ * Measure the part of the board visible in the scroll viewport
+ * @param {HTMLElement} fieldElement - Scrolling .game-field element
+ * @param {HTMLElement} contentElement - Scaled .tiles-container element
+ * @param {number} zoomLevel - Scale applied to the content
+ * @returns {{left: number, top: number, width: number, height: number}|null} Area in unscaled content pixels
+ */
+export const measureVisibleArea = (fieldElement, contentElement, zoomLevel) => {
+  if (!fieldElement || !contentElement) return null;
+
+  // Bounding rects already include scroll offset, padding, centering and the scale transform
+  const fieldRect = fieldElement.getBoundingClientRect();
+  const contentRect = contentElement.getBoundingClientRect();
+  const scale = zoomLevel || 1;
+
+  return {
+    left: (fieldRect.left + fieldElement.clientLeft - contentRect.left) / scale,
+    top: (fieldRect.top + fieldElement.clientTop - contentRect.top) / scale,
+    width: fieldElement.clientWidth / scale,
+    height: fieldElement.clientHeight / scale
+  };
+};
+
+/**
+ * Convert a visible area to the range of board coordinates to render
+ * @param {Object|null} area - Result of measureVisibleArea
+ * @param {Object} options - Board geometry
+ * @param {number} options.minX - Board x shown at the content's left edge
+ * @param {number} options.minY - Board y shown at the content's top edge
+ * @param {number} options.tileSize - Tile size in pixels
+ * @param {number} [options.margin] - Extra tiles on every side
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number}|null} Inclusive bounds, null before the board was measured
+ */
+export const getVisibleTileBounds = (area, { minX, minY, tileSize, margin = VIEWPORT_MARGIN_TILES }) => {
+  if (!area || !tileSize) return null;
+
+  return {
+    minX: minX + Math.floor(area.left / tileSize) - margin,
+    maxX: minX + Math.ceil((area.left + area.width) / tileSize) - 1 + margin,
+    minY: minY + Math.floor(area.top / tileSize) - margin,
+    maxY: minY + Math.ceil((area.top + area.height) / tileSize) - 1 + margin
+  };
+};
+
+/**
+ * Check if a board position falls inside visible bounds
+ * @param {Object|null} bounds - Result of getVisibleTileBounds, null renders everything
+ * @param {number} x - Board x
+ * @param {number} y - Board y
+ * @returns {boolean} True if the position should be rendered
+ */
+export const isWithinBounds = (bounds, x, y) => {
+  if (!bounds) return true;
+  return x >= bounds.minX && x <= bounds.maxX && y >= bounds.minY && y <= bounds.maxY;
+};
+
+const lerp = (from, to, t) => from + (to - from) * t;
+
+/**
+ * Create drag, touch, zoom and viewport tracking handlers for the board
+ * @param {Ref<HTMLElement>} fieldElement - Scrolling .game-field element
+ * @param {Object} viewState - Reactive view state, visibleArea is kept up to date in it
+ * @param {Ref<HTMLElement>} [contentElement] - Scaled .tiles-container element, needed for visibleArea and pinch zoom
+ * @param {Object} [touchHandlers] - Callbacks for touch gestures
+ * @param {Function} [touchHandlers.onLongPress] - Finger held still, receives { clientX, clientY, contentX, contentY }
+ * @param {Function} [touchHandlers.onRotate] - Two fingers twisted far enough to rotate the ghost tile
+ * @returns {Object} Event handlers, zoom controls and setup/cleanup functions
+ */
+export function createNavigationManager(fieldElement, viewState, contentElement = null, touchHandlers = {}) {
+  let viewportFrame = null;
+  // Touch gesture in progress: 'press' until it turns into a 'pan', 'pinch' or 'held' long-press
+  let touch = null;
+  let longPressTimer = null;
+  let zoomFrame = null;
+  // Zoom level the running animation ends at, so quick wheel steps add up
+  let zoomTarget = null;
+
+  // Measure once per frame, after Vue has applied the new zoom or board size
+  const syncViewport = () => {
+    if (!contentElement || viewportFrame !== null) return;
+    viewportFrame = requestAnimationFrame(() => {
+      viewportFrame = null;
+      const area = measureVisibleArea(fieldElement.value, contentElement.value, viewState.zoomLevel);
+      if (area) {
+        viewState.visibleArea = area;
+      }
+    });
+  };
+
+  // Scroll events don't bubble, so listen in the capture phase and pick the field's own
+  const onScroll = (e) => {
+    if (e.target === fieldElement.value) {
+      syncViewport();
+    }
+  };
 
-export function createNavigationManager(fieldElement, viewState) {
   // Mouse event handlers
   const onMouseDown = (e) => {
     if (!fieldElement.value) return;
 
     if (e.button === 1 || (e.button === 0 && (e.ctrlKey || viewState.isCtrlPressed))) {
+      stopZoomAnimation();
       viewState.isDragging = true;
       viewState.startDragX = e.pageX;
       viewState.startDragY = e.pageY;
@@ -26,6 +283,7 @@ export function createNavigationManager(fieldElement, viewState) {
 
     fieldElement.value.scrollLeft = viewState.startScrollLeft - dx;
     fieldElement.value.scrollTop = viewState.startScrollTop - dy;
+    syncViewport();
 
     e.preventDefault();
   };
@@ -48,6 +306,258 @@ export function createNavigationManager(fieldElement, viewState) {
     }
   };
 
+  // Point of the unscaled content under a client point
+  const toContentPoint = (clientX, clientY) => {
+    const rect = contentElement?.value?.getBoundingClientRect();
+    if (!rect) return { contentX: null, contentY: null };
+    return {
+      contentX: (clientX - rect.left) / viewState.zoomLevel,
+      contentY: (clientY - rect.top) / viewState.zoomLevel
+    };
+  };
+
+  // Field's padding box origin in client pixels, and the content's origin in scroll coordinates
+  const measureField = () => {
+    const field = fieldElement.value;
+    const fieldRect = field.getBoundingClientRect();
+    const contentRect = contentElement.value.getBoundingClientRect();
+    const left = fieldRect.left + field.clientLeft;
+    const top = fieldRect.top + field.clientTop;
+    return {
+      left,
+      top,
+      offsetX: contentRect.left - left + field.scrollLeft,
+      offsetY: contentRect.top - top + field.scrollTop
+    };
+  };
+
+  const cancelLongPress = () => {
+    if (longPressTimer !== null) {
+      clearTimeout(longPressTimer);
+      longPressTimer = null;
+    }
+  };
+
+  const startPan = (point) => {
+    touch = {
+      mode: 'press',
+      startX: point.clientX,
+      startY: point.clientY,
+      scrollLeft: fieldElement.value.scrollLeft,
+      scrollTop: fieldElement.value.scrollTop
+    };
+  };
+
+  const startPinch = (first, second) => {
+    const { x, y, distance, angle } = getPinchGeometry(first, second);
+    touch = { mode: 'pinch', x, y, distance, angle, zoom: viewState.zoomLevel };
+  };
+
+  // Put a content point under a client point at the given zoom
+  const applyZoom = (zoom, contentX, contentY, clientX, clientY) => {
+    viewState.zoomLevel = zoom;
+
+    // The scrollable size only changes once Vue has applied the new zoom
+    nextTick(() => {
+      if (!fieldElement.value || !contentElement?.value) return;
+      const field = measureField();
+      const scroll = getAnchoredScroll({
+        contentX,
+        contentY,
+        anchorX: clientX - field.left,
+        anchorY: clientY - field.top,
+        offsetX: field.offsetX,
+        offsetY: field.offsetY,
+        zoom
+      });
+      fieldElement.value.scrollLeft = scroll.scrollLeft;
+      fieldElement.value.scrollTop = scroll.scrollTop;
+      syncViewport();
+    });
+  };
+
+  const stopZoomAnimation = () => {
+    if (zoomFrame !== null) {
+      cancelAnimationFrame(zoomFrame);
+      zoomFrame = null;
+    }
+    zoomTarget = null;
+  };
+
+  /**
+   * Zoom to a level, ending with a content point under a client point
+   * @param {number} zoom - Target zoom level, clamped
+   * @param {Object} [focus] - Where to zoom
+   * @param {number} [focus.contentX] - Content point to bring into view, defaults to the one under the client point
+   * @param {number} [focus.contentY] - Content point to bring into view
+   * @param {number} [focus.clientX] - Where the content point ends up, defaults to the field's center
+   * @param {number} [focus.clientY] - Where the content point ends up
+   * @param {boolean} [animate] - Ease into the new zoom instead of jumping
+   */
+  const zoomTo = (zoom, focus = {}, animate = true) => {
+    stopZoomAnimation();
+    const field = fieldElement.value;
+    if (!field || !contentElement?.value) {
+      viewState.zoomLevel = clampZoom(zoom);
+      return;
+    }
+
+    const rect = field.getBoundingClientRect();
+    const clientX = focus.clientX ?? rect.left + field.clientLeft + field.clientWidth / 2;
+    const clientY = focus.clientY ?? rect.top + field.clientTop + field.clientHeight / 2;
+    const from = { zoom: viewState.zoomLevel, ...toContentPoint(clientX, clientY) };
+    const to = {
+      zoom: clampZoom(zoom),
+      contentX: focus.contentX ?? from.contentX,
+      contentY: focus.contentY ?? from.contentY
+    };
+
+    if (!animate) {
+      applyZoom(to.zoom, to.contentX, to.contentY, clientX, clientY);
+      return;
+    }
+
+    zoomTarget = to.zoom;
+    const start = performance.now();
+    const step = (now) => {
+      const progress = Math.min(1, (now - start) / ZOOM_ANIMATION_MS);
+      const eased = 1 - (1 - progress) ** 3;
+      applyZoom(
+        lerp(from.zoom, to.zoom, eased),
+        lerp(from.contentX, to.contentX, eased),
+        lerp(from.contentY, to.contentY, eased),
+        clientX,
+        clientY
+      );
+      if (progress < 1) {
+        zoomFrame = requestAnimationFrame(step);
+      } else {
+        zoomFrame = null;
+        zoomTarget = null;
+      }
+    };
+    zoomFrame = requestAnimationFrame(step);
+  };
+
+  /**
+   * Zoom so the whole explored dungeon is visible, centered
+   * @param {{minX: number, maxX: number, minY: number, maxY: number}} size - field.size bounds
+   * @param {number} tileSize - Tile size in pixels
+   */
+  const fitBounds = (size, tileSize) => {
+    const field = fieldElement.value;
+    if (!field || !size) return;
+
+    const style = getComputedStyle(field);
+    const viewWidth = field.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+    const viewHeight = field.clientHeight - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom);
+    zoomTo(getFitZoom(size, tileSize, viewWidth, viewHeight), {
+      contentX: ((size.maxX ?? 0) - (size.minX ?? 0) + 1) * tileSize / 2,
+      contentY: ((size.maxY ?? 0) - (size.minY ?? 0) + 1) * tileSize / 2
+    });
+  };
+
+  // Zoom by the change in finger spread, keeping the content under the fingers' center in place
+  const pinchTo = (first, second) => {
+    const geometry = getPinchGeometry(first, second);
+
+    if (touchHandlers.onRotate && Math.abs(getAngleDelta(touch.angle, geometry.angle)) >= ROTATE_GESTURE_DEGREES) {
+      touch.angle = geometry.angle;
+      touchHandlers.onRotate();
+    }
+
+    if (!contentElement?.value || !touch.distance) return;
+
+    const { contentX, contentY } = toContentPoint(touch.x, touch.y);
+    touch.x = geometry.x;
+    touch.y = geometry.y;
+    applyZoom(clampZoom(touch.zoom * geometry.distance / touch.distance), contentX, contentY, geometry.x, geometry.y);
+  };
+
+  // Wheel and trackpad pinch zoom around the cursor
+  const onWheel = (e) => {
+    if (!isZoomWheel(e)) return;
+    e.preventDefault();
+    const zoom = zoomTarget ?? viewState.zoomLevel;
+    zoomTo(getWheelZoom(zoom, e), { clientX: e.clientX, clientY: e.clientY });
+  };
+
+  // Touch handlers: one finger pans, two fingers pinch-zoom and twist, holding still shows tile info
+  const onTouchStart = (e) => {
+    if (!fieldElement.value) return;
+    cancelLongPress();
+    stopZoomAnimation();
+
+    if (e.touches.length >= 2) {
+      startPinch(e.touches[0], e.touches[1]);
+      return;
+    }
+
+    const [point] = e.touches;
+    startPan(point);
+
+    if (touchHandlers.onLongPress) {
+      longPressTimer = setTimeout(() => {
+        longPressTimer = null;
+        touch.mode = 'held';
+        touchHandlers.onLongPress({
+          clientX: point.clientX,
+          clientY: point.clientY,
+          ...toContentPoint(point.clientX, point.clientY)
+        });
+      }, LONG_PRESS_MS);
+    }
+  };
+
+  const onTouchMove = (e) => {
+    if (!touch || !fieldElement.value) return;
+
+    if (touch.mode === 'pinch') {
+      if (e.touches.length >= 2) {
+        pinchTo(e.touches[0], e.touches[1]);
+      }
+      e.preventDefault();
+      return;
+    }
+
+    const [point] = e.touches;
+    const dx = point.clientX - touch.startX;
+    const dy = point.clientY - touch.startY;
+
+    if (touch.mode === 'press' && Math.hypot(dx, dy) >= TAP_SLOP) {
+      cancelLongPress();
+      touch.mode = 'pan';
+      viewState.isDragging = true;
+    }
+
+    if (touch.mode === 'pan') {
+      fieldElement.value.scrollLeft = touch.scrollLeft - dx;
+      fieldElement.value.scrollTop = touch.scrollTop - dy;
+      syncViewport();
+      e.preventDefault();
+    }
+  };
+
+  const onTouchEnd = (e) => {
+    if (!touch) return;
+    cancelLongPress();
+    const wasGesture = touch.mode !== 'press';
+
+    if (touch.mode === 'pinch' && e.touches.length === 1) {
+      // Lifting one finger of a pinch carries on as a pan
+      startPan(e.touches[0]);
+      touch.mode = 'pan';
+    } else if (!e.touches.length) {
+      touch = null;
+      viewState.isDragging = false;
+    }
+
+    // A tap keeps its click, a pan, pinch or long-press must not click what's under the finger
+    if (wasGesture && e.cancelable) {
+      e.preventDefault();
+    }
+  };
+
   // Keyboard handlers for CTRL key
   const onKeyDown = (e) => {
     if (e.key === 'Control') {
@@ -69,15 +579,15 @@ export function createNavigationManager(fieldElement, viewState) {
 
   // Zoom controls
   const zoomIn = () => {
-    viewState.zoomLevel = Math.min(viewState.zoomLevel + 0.2, 2);
+    zoomTo((zoomTarget ?? viewState.zoomLevel) * ZOOM_STEP);
   };
 
   const zoomOut = () => {
-    viewState.zoomLevel = Math.max(viewState.zoomLevel - 0.2, 0.5);
+    zoomTo((zoomTarget ?? viewState.zoomLevel) / ZOOM_STEP);
   };
 
   const resetZoom = () => {
-    viewState.zoomLevel = 1;
+    zoomTo(1);
   };
 
   // Setup and cleanup functions
@@ -86,6 +596,8 @@ export function createNavigationManager(fieldElement, viewState) {
     window.addEventListener('mousemove', onMouseMove);
     window.addEventListener('keydown', onKeyDown);
     window.addEventListener('keyup', onKeyUp);
+    window.addEventListener('scroll', onScroll, true);
+    window.addEventListener('resize', syncViewport);
   };
 
   const cleanupEventListeners = () => {
@@ -93,6 +605,14 @@ export function createNavigationManager(fieldElement, viewState) {
     window.removeEventListener('mousemove', onMouseMove);
     window.removeEventListener('keydown', onKeyDown);
     window.removeEventListener('keyup', onKeyUp);
+    window.removeEventListener('scroll', onScroll, true);
+    window.removeEventListener('resize', syncViewport);
+    cancelLongPress();
+    stopZoomAnimation();
+    if (viewportFrame !== null) {
+      cancelAnimationFrame(viewportFrame);
+      viewportFrame = null;
+    }
   };
 
   return {
@@ -100,11 +620,18 @@ export function createNavigationManager(fieldElement, viewState) {
     onMouseMove,
     onMouseUp,
     onMouseLeave,
+    onTouchStart,
+    onTouchMove,
+    onTouchEnd,
+    onWheel,
     onKeyDown,
     onKeyUp,
     zoomIn,
     zoomOut,
     resetZoom,
+    zoomTo,
+    fitBounds,
+    syncViewport,
     setupEventListeners,
     cleanupEventListeners
   };
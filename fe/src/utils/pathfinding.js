@@ -0,0 +1,114 @@
+// Multi-step movement: which explored tiles the player can walk to this turn, and by which route
+// Connections follow the same door matching as tile placement, so a route never crosses a wall.
+import { getAllAdjacentPositions, getTileOrientationAt, hasMatchingDoors } from './tileUtils';
+import { MAX_HP } from './gameStateReducer';
+
+// Movement points a turn starts with
+export const MOVES_PER_TURN = 4;
+
+// Turn actions that spend a movement point, as counted by the backend
+const MOVE_ACTIONS = ['move', 'use_teleport'];
+
+/**
+ * Movement points left in a turn
+ * @param {Array<Object>} turns - Turns from the game response, with their actions
+ * @param {string|null} turnId - Current turn id
+ * @returns {number} Moves left, all of them when the turn isn't known yet
+ */
+export const getRemainingMoves = (turns, turnId) => {
+  const turn = (turns || []).find(t => t.turnId === turnId);
+  if (!turn) return MOVES_PER_TURN;
+  const spent = (turn.actions || []).filter(action => MOVE_ACTIONS.includes(action.action || action.type)).length;
+  return Math.max(0, MOVES_PER_TURN - spent);
+};
+
+/**
+ * Why entering a tile ends the route there
+ * @param {string} position - Position as "x,y"
+ * @param {Object} gameData - Game data with field and players
+ * @param {string} playerId - Moving player
+ * @returns {string|null} 'battle' for a guarded item, 'pickup' for a free item, 'fountain' when the
+ * player would heal, null when the route can go on
+ */
+export const getStopReason = (position, gameData, playerId) => {
+  const item = gameData?.field?.items?.[position];
+  if (item) {
+    return item.guardHP > 0 && !item.guardDefeated ? 'battle' : 'pickup';
+  }
+
+  const tile = gameData?.field?.tiles?.find(t => t.position === position);
+  const isFountain = (tile?.features || []).includes('healing_fountain') ||
+    (gameData?.field?.healingFountainPositions || []).includes(position);
+  if (isFountain) {
+    const player = gameData?.players?.find(p => p.id === playerId);
+    if (player && player.hp < (player.maxHp ?? MAX_HP)) return 'fountain';
+  }
+
+  return null;
+};
+
+/**
+ * Check if a player can walk between two neighbouring explored tiles
+ * @param {string} from - Position as "x,y"
+ * @param {string} to - Adjacent position as "x,y"
+ * @param {Object} gameData - Game data with field
+ * @returns {boolean} True if both tiles exist and their doors face each other
+ */
+export const canStepBetween = (from, to, gameData) => {
+  const side = Object.entries(getAllAdjacentPositions(from)).find(([, position]) => position === to)?.[0];
+  if (!side) return false;
+
+  const fromOrientation = getTileOrientationAt(from, gameData);
+  const toOrientation = getTileOrientationAt(to, gameData);
+  if (!fromOrientation || !toOrientation) return false;
+
+  return hasMatchingDoors(toOrientation, fromOrientation, side);
+};
+
+/**
+ * Every explored tile a player can reach with the moves left, by breadth-first search
+ * Tiles that end the turn (see getStopReason) are reachable, but routes don't go through them.
+ * @param {Object} gameData - Game data with field and players
+ * @param {string} playerId - Moving player
+ * @param {number} maxSteps - Moves left
+ * @returns {Map<string, {steps: number, previous: string|null, stop: string|null}>} Reachable
+ * positions, the start included with 0 steps
+ */
+export const findReachable = (gameData, playerId, maxSteps) => {
+  const reachable = new Map();
+  const start = gameData?.field?.playerPositions?.[playerId];
+  if (!start) return reachable;
+
+  reachable.set(start, { steps: 0, previous: null, stop: null });
+  const queue = [start];
+
+  while (queue.length) {
+    const position = queue.shift();
+    const { steps, stop } = reachable.get(position);
+    if (stop || steps >= maxSteps) continue;
+
+    for (const next of Object.values(getAllAdjacentPositions(position))) {
+      if (reachable.has(next) || !canStepBetween(position, next, gameData)) continue;
+      reachable.set(next, { steps: steps + 1, previous: position, stop: getStopReason(next, gameData, playerId) });
+      queue.push(next);
+    }
+  }
+
+  return reachable;
+};
+
+/**
+ * Route to a reachable position
+ * @param {Map<string, Object>} reachable - Result of findReachable
+ * @param {string} target - Position as "x,y"
+ * @returns {Array<string>} Positions to move through in order, the start excluded, empty when unreachable
+ */
+export const getPath = (reachable, target) => {
+  if (!reachable.has(target)) return [];
+
+  const path = [];
+  for (let position = target; reachable.get(position).previous; position = reachable.get(position).previous) {
+    path.unshift(position);
+  }
+  return path;
+};
@@ -0,0 +1,391 @@
+// Phaser board renderer: draws the render model from buildBoardModel on a canvas
+// Phaser is passed in by the caller, so it's only downloaded when this renderer is picked.
+// The model must be built with minX = minY = 0: positions stay put when the board grows.
+import { ZOOM_ANIMATION_MS, clampZoom, getFitZoom } from './navigationUtils';
+
+const COLORS = {
+  background: 0x0d0b16,
+  corridor: 0x1a1a2e,
+  room: 0x2a2140,
+  tileBorder: 0x3a3560,
+  highlight: 0xffd700,
+  move: 0x4caf50,
+  place: 0x7b3ff2,
+  reach: 0xa78bfa,
+  ghost: 0xffffff
+};
+
+const ARROWS = { up: '▲', right: '▶', down: '▼', left: '◀' };
+
+// Pointer travel (in screen pixels) after which a press is a pan, not a click
+const DRAG_THRESHOLD = 8;
+const TWEEN_DURATION = 250;
+const LONG_PRESS_MS = 500;
+
+/**
+ * Create a Phaser board inside an element
+ * @param {Object} Phaser - The Phaser module
+ * @param {HTMLElement} parent - Element the canvas is added to, the board fills it
+ * @param {Object} handlers - Callbacks for board interactions
+ * @param {Function} handlers.onPlaceClick - Marker or ghost tile clicked, receives the position
+ * @param {Function} handlers.onRotate - Rotate button of the ghost tile clicked
+ * @param {Function} handlers.onItemClick - Pickable item clicked, receives { position, item }
+ * @param {Function} handlers.onHighlight - Pointer entered a tile, receives { x, y, position }
+ * @param {Function} handlers.onUnhighlight - Pointer left a tile
+ * @param {Function} [handlers.onViewportChange] - Camera moved or zoomed, receives { left, top, width, height } in board pixels and the zoom
+ * @param {Function} [handlers.onLongPress] - Pointer held still, receives { x, y, clientX, clientY } with board coordinates
+ * @param {Function} [handlers.onPathHover] - Pointer entered a reachable tile, receives its position, or null when it left
+ * @param {number} tileSize - Tile size in board pixels
+ * @param {number} [initialZoom] - Camera zoom to start with
+ * @returns {{render: Function, centerOn: Function, zoomTo: Function, fitBounds: Function, destroy: Function}} Board controls
+ */
+export function createPhaserBoard(Phaser, parent, handlers, tileSize, initialZoom = 1) {
+  let scene = null;
+  let model = null;
+  let centered = false;
+  let dragging = false;
+  // Set once a long-press fired, so releasing the pointer doesn't click too
+  let held = false;
+  let longPressTimer = null;
+  let pinchDistance = null;
+  let lastViewport = null;
+  // Render objects by model key, kept across renders so they can be tweened
+  const objects = new Map();
+  const requestedTextures = new Set();
+
+  const isClick = (pointer) => !dragging && !held && pointer.getDistance() < DRAG_THRESHOLD;
+
+  const cancelLongPress = () => {
+    longPressTimer?.remove();
+    longPressTimer = null;
+  };
+
+  // Zoom the camera while keeping the world point under a screen point in place
+  const zoomAt = (camera, zoom, x, y) => {
+    const before = camera.getWorldPoint(x, y);
+    camera.setZoom(clampZoom(zoom));
+    const after = camera.getWorldPoint(x, y);
+    camera.scrollX += before.x - after.x;
+    camera.scrollY += before.y - after.y;
+  };
+
+  // Load images the model refers to, then draw again with them
+  const loadTextures = () => {
+    const urls = [
+      ...model.tiles.flatMap(tile => [tile.image, tile.item?.image]),
+      model.ghost?.image
+    ].filter(url => url && !requestedTextures.has(url));
+    if (!urls.length) return;
+
+    urls.forEach(url => {
+      requestedTextures.add(url);
+      scene.load.image(url, url);
+    });
+    scene.load.once(Phaser.Loader.Events.COMPLETE, () => render(model));
+    scene.load.start();
+  };
+
+  const hasTexture = (url) => Boolean(url) && scene.textures.exists(url);
+
+  // Image when loaded, a plain square until then (or when the tile has no art)
+  const addTileArt = (container, url, rotation, color, alpha = 1) => {
+    if (hasTexture(url)) {
+      container.add(scene.add.image(0, 0, url).setDisplaySize(tileSize, tileSize).setAngle(rotation).setAlpha(alpha));
+    } else {
+      container.add(scene.add.rectangle(0, 0, tileSize, tileSize, color, alpha).setStrokeStyle(2, COLORS.tileBorder));
+    }
+  };
+
+  // Create or update the object for a model entry, new objects fade in and moved ones glide
+  const upsert = (key, x, y, depth, signature, build) => {
+    let container = objects.get(key);
+    const isNew = !container;
+    if (isNew) {
+      container = scene.add.container(x, y).setDepth(depth).setSize(tileSize, tileSize);
+      objects.set(key, container);
+      container.setAlpha(0).setScale(0.8);
+      scene.tweens.add({ targets: container, alpha: 1, scale: 1, duration: TWEEN_DURATION, ease: 'Back.easeOut' });
+    } else if (container.x !== x || container.y !== y) {
+      scene.tweens.add({ targets: container, x, y, duration: TWEEN_DURATION, ease: 'Sine.easeInOut' });
+    }
+    // Children are rebuilt only when what they show changed
+    if (container.getData('signature') !== signature) {
+      container.removeAll(true);
+      ['pointerover', 'pointerout', 'pointerup'].forEach(event => container.off(event));
+      container.disableInteractive();
+      build(container);
+      container.setData('signature', signature);
+    }
+    container.setData('seen', true);
+    return container;
+  };
+
+  const drawTile = (tile) => {
+    const signature = [tile.image, tile.rotation, hasTexture(tile.image), tile.item?.image, tile.item?.emoji, hasTexture(tile.item?.image), tile.item?.pickable].join('|');
+    upsert(tile.key, tile.px + tileSize / 2, tile.py + tileSize / 2, 1, signature, (container) => {
+      addTileArt(container, tile.image, tile.rotation, tile.isRoom ? COLORS.room : COLORS.corridor);
+      const outline = scene.add.rectangle(0, 0, tileSize - 4, tileSize - 4).setStrokeStyle(3, COLORS.highlight).setVisible(false);
+      container.add(outline);
+
+      container.setInteractive();
+      container.on('pointerover', () => {
+        outline.setVisible(true);
+        handlers.onHighlight({ x: tile.x, y: tile.y, position: tile.position });
+      });
+      container.on('pointerout', () => {
+        outline.setVisible(false);
+        handlers.onUnhighlight();
+      });
+
+      if (!tile.item) return;
+      const item = hasTexture(tile.item.image)
+        ? scene.add.image(0, 0, tile.item.image).setDisplaySize(tileSize * 0.5, tileSize * 0.5)
+        : scene.add.text(0, 0, tile.item.emoji, { fontSize: `${Math.round(tileSize * 0.35)}px` }).setOrigin(0.5);
+      container.add(item);
+      if (tile.item.pickable) {
+        item.setInteractive({ useHandCursor: true });
+        item.on('pointerup', (pointer) => {
+          if (isClick(pointer)) handlers.onItemClick({ position: tile.position, item: tile.item.data });
+        });
+      }
+    });
+  };
+
+  const drawPlayer = (player) => {
+    const offset = (player.slot - (player.count - 1) / 2) * tileSize * 0.3;
+    upsert(player.key, player.px + tileSize / 2 + offset, player.py + tileSize * 0.75, 3, player.emoji, (container) => {
+      container.add(scene.add.circle(0, 0, tileSize * 0.16, 0x000000, 0.6).setStrokeStyle(2, COLORS.highlight));
+      container.add(scene.add.text(0, 0, player.emoji, { fontSize: `${Math.round(tileSize * 0.22)}px` }).setOrigin(0.5));
+    });
+  };
+
+  const drawMarker = (marker) => {
+    const color = marker.kind === 'place' ? COLORS.place : COLORS.move;
+    upsert(marker.key, marker.px + tileSize / 2, marker.py + tileSize / 2, 2, `${marker.kind}|${marker.direction}`, (container) => {
+      container.add(scene.add.rectangle(0, 0, tileSize - 12, tileSize - 12, color, 0.15).setStrokeStyle(2, color, 0.9));
+      const label = marker.kind === 'place' ? '+' : ARROWS[marker.direction];
+      container.add(scene.add.text(0, 0, label, { fontSize: `${Math.round(tileSize * 0.3)}px`, color: '#ffffff' }).setOrigin(0.5));
+      container.setInteractive({ useHandCursor: true });
+      container.on('pointerup', (pointer) => {
+        if (isClick(pointer)) handlers.onPlaceClick(marker.position);
+      });
+    });
+  };
+
+  // Shade a tile the player can walk to in several moves, clicking walks the whole route
+  const drawReach = (reach) => {
+    upsert(reach.key, reach.px + tileSize / 2, reach.py + tileSize / 2, 2, String(reach.steps), (container) => {
+      container.add(scene.add.rectangle(0, 0, tileSize - 12, tileSize - 12, COLORS.reach, 0.12).setStrokeStyle(2, COLORS.reach, 0.4));
+      container.setInteractive({ useHandCursor: true });
+      container.on('pointerover', () => handlers.onPathHover?.(reach.position));
+      container.on('pointerout', () => handlers.onPathHover?.(null));
+      container.on('pointerup', (pointer) => {
+        if (isClick(pointer)) handlers.onPlaceClick(reach.position);
+      });
+    });
+  };
+
+  // Numbered step of the previewed route, drawn above markers without catching the pointer
+  const drawRouteStep = (step) => {
+    upsert(step.key, step.px + tileSize / 2, step.py + tileSize / 2, 3, String(step.step), (container) => {
+      container.add(scene.add.circle(0, 0, tileSize * 0.14, COLORS.highlight, 0.9));
+      container.add(scene.add.text(0, 0, String(step.step), { fontSize: `${Math.round(tileSize * 0.18)}px`, color: '#000000' }).setOrigin(0.5));
+    });
+  };
+
+  const drawGhost = (ghost) => {
+    const signature = [ghost.image, ghost.rotation, hasTexture(ghost.image)].join('|');
+    upsert(ghost.key, ghost.px + tileSize / 2, ghost.py + tileSize / 2, 4, signature, (container) => {
+      addTileArt(container, ghost.image, ghost.rotation, COLORS.ghost, 0.6);
+      container.setInteractive({ useHandCursor: true });
+      container.on('pointerup', (pointer) => {
+        if (isClick(pointer)) handlers.onPlaceClick(ghost.position);
+      });
+
+      const rotate = scene.add.text(tileSize / 2 - 6, -tileSize / 2 + 6, '🔄', { fontSize: `${Math.round(tileSize * 0.2)}px` }).setOrigin(1, 0);
+      rotate.setInteractive({ useHandCursor: true });
+      rotate.on('pointerup', (pointer, localX, localY, event) => {
+        event.stopPropagation();
+        if (isClick(pointer)) handlers.onRotate();
+      });
+      container.add(rotate);
+    });
+  };
+
+  const render = (nextModel) => {
+    model = nextModel;
+    if (!scene || !model) return;
+
+    objects.forEach(container => container.setData('seen', false));
+    model.tiles.forEach(drawTile);
+    model.players.forEach(drawPlayer);
+    model.markers.forEach(drawMarker);
+    model.reach.forEach(drawReach);
+    model.route.forEach(drawRouteStep);
+    if (model.ghost) drawGhost(model.ghost);
+
+    // Drop whatever the model no longer contains
+    objects.forEach((container, key) => {
+      if (container.getData('seen')) return;
+      objects.delete(key);
+      scene.tweens.add({ targets: container, alpha: 0, duration: TWEEN_DURATION, onComplete: () => container.destroy() });
+    });
+
+    if (!centered && model.tiles.length) {
+      const xs = model.tiles.map(tile => tile.px);
+      const ys = model.tiles.map(tile => tile.py);
+      scene.cameras.main.centerOn(
+        (Math.min(...xs) + Math.max(...xs) + tileSize) / 2,
+        (Math.min(...ys) + Math.max(...ys) + tileSize) / 2
+      );
+      centered = true;
+    }
+
+    loadTextures();
+  };
+
+  class BoardScene extends Phaser.Scene {
+    constructor() {
+      super('board');
+    }
+
+    create() {
+      scene = this;
+      const camera = this.cameras.main;
+      camera.setZoom(clampZoom(initialZoom));
+
+      // A second touch pointer, for pinch zoom
+      this.input.addPointer(1);
+      const { pointer1, pointer2 } = this.input;
+
+      // Drag anywhere to pan, hold still for tile info
+      this.input.on('pointerdown', (pointer) => {
+        cancelLongPress();
+        if (pointer1.isDown && pointer2.isDown) {
+          // Two fingers down: a pinch, never a click
+          dragging = true;
+          return;
+        }
+        dragging = false;
+        held = false;
+        if (!handlers.onLongPress) return;
+        longPressTimer = this.time.delayedCall(LONG_PRESS_MS, () => {
+          longPressTimer = null;
+          if (dragging || !pointer.isDown) return;
+          held = true;
+          const world = camera.getWorldPoint(pointer.x, pointer.y);
+          // The canvas is resized to its parent, so game pixels are CSS pixels
+          const canvas = this.game.canvas.getBoundingClientRect();
+          handlers.onLongPress({
+            x: Math.floor(world.x / tileSize),
+            y: Math.floor(world.y / tileSize),
+            clientX: canvas.left + pointer.x,
+            clientY: canvas.top + pointer.y
+          });
+        });
+      });
+      this.input.on('pointermove', (pointer) => {
+        if (!pointer.isDown || held) return;
+
+        if (pointer1.isDown && pointer2.isDown) {
+          // Pinch zooms around the fingers' center
+          const distance = Phaser.Math.Distance.Between(pointer1.x, pointer1.y, pointer2.x, pointer2.y);
+          if (pinchDistance) {
+            zoomAt(camera, camera.zoom * distance / pinchDistance, (pointer1.x + pointer2.x) / 2, (pointer1.y + pointer2.y) / 2);
+          }
+          pinchDistance = distance;
+          return;
+        }
+
+        if (pointer.getDistance() >= DRAG_THRESHOLD) {
+          dragging = true;
+          cancelLongPress();
+        }
+        if (!dragging) return;
+        camera.scrollX -= (pointer.x - pointer.prevPosition.x) / camera.zoom;
+        camera.scrollY -= (pointer.y - pointer.prevPosition.y) / camera.zoom;
+      });
+      this.input.on('pointerup', () => {
+        cancelLongPress();
+        pinchDistance = null;
+      });
+
+      // Wheel zooms around the pointer
+      this.input.on('wheel', (pointer, gameObjects, deltaX, deltaY) => {
+        zoomAt(camera, camera.zoom * (deltaY > 0 ? 0.9 : 1.1), pointer.x, pointer.y);
+      });
+
+      render(model);
+    }
+
+    update() {
+      const { worldView: view, zoom } = this.cameras.main;
+      const signature = `${view.x}|${view.y}|${view.width}|${view.height}|${zoom}`;
+      if (signature === lastViewport) return;
+      lastViewport = signature;
+      handlers.onViewportChange?.({ left: view.x, top: view.y, width: view.width, height: view.height, zoom });
+    }
+  }
+
+  const game = new Phaser.Game({
+    type: Phaser.AUTO,
+    parent,
+    backgroundColor: COLORS.background,
+    banner: false,
+    scale: {
+      mode: Phaser.Scale.RESIZE,
+      width: parent.clientWidth,
+      height: parent.clientHeight
+    },
+    scene: BoardScene
+  });
+
+  return {
+    render,
+
+    /**
+     * Pan the camera to a board position
+     * @param {number} x - Board x
+     * @param {number} y - Board y
+     */
+    centerOn: (x, y) => {
+      if (!scene) return;
+      scene.cameras.main.pan((x + 0.5) * tileSize, (y + 0.5) * tileSize, 400, 'Sine.easeInOut');
+    },
+
+    /**
+     * Animate the camera zoom, optionally centering on a board position
+     * @param {number} zoom - Target zoom level, clamped
+     * @param {number} [x] - Board x to center on
+     * @param {number} [y] - Board y to center on
+     */
+    zoomTo: (zoom, x, y) => {
+      if (!scene) return;
+      const camera = scene.cameras.main;
+      camera.zoomTo(clampZoom(zoom), ZOOM_ANIMATION_MS, 'Sine.easeInOut', true);
+      if (x !== undefined && y !== undefined) {
+        camera.pan((x + 0.5) * tileSize, (y + 0.5) * tileSize, ZOOM_ANIMATION_MS, 'Sine.easeInOut', true);
+      }
+    },
+
+    /**
+     * Zoom and pan so the whole explored dungeon is visible
+     * @param {{minX: number, maxX: number, minY: number, maxY: number}} size - field.size bounds
+     */
+    fitBounds: (size) => {
+      if (!scene || !size) return;
+      const camera = scene.cameras.main;
+      const centerX = ((size.minX ?? 0) + (size.maxX ?? 0) + 1) / 2 * tileSize;
+      const centerY = ((size.minY ?? 0) + (size.maxY ?? 0) + 1) / 2 * tileSize;
+      camera.zoomTo(getFitZoom(size, tileSize, camera.width, camera.height), ZOOM_ANIMATION_MS, 'Sine.easeInOut', true);
+      camera.pan(centerX, centerY, ZOOM_ANIMATION_MS, 'Sine.easeInOut', true);
+    },
+
+    destroy: () => {
+      cancelLongPress();
+      objects.clear();
+      scene = null;
+      game.destroy(true);
+    }
+  };
+}
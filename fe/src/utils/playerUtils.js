@@ -1,3 +1,5 @@
+import { isAiPlayer } from './aiOpponents';
+
 /**
  * Checks if the specified player is in the game
  * @param {Object} gameData - The game data containing player information
@@ -9,6 +11,18 @@ export const isPlayerInGame = (gameData, playerId) => {
   return gameData.players.some(player => player && player.id === playerId) || false;
 };
 
+/**
+ * Checks if the viewer only watches the game: it has left the lobby and
+ * none of the players stored in this browser take part in it
+ * @param {Object} gameData - The game data containing player information
+ * @param {Array} ownPlayerIds - Player IDs this browser controls
+ * @returns {boolean} True if the viewer is a spectator
+ */
+export const isSpectator = (gameData, ownPlayerIds = []) => {
+  if (!gameData || !gameData.players || gameData.state?.status === 'lobby') return false;
+  return !ownPlayerIds.some(playerId => isPlayerInGame(gameData, playerId));
+};
+
 /**
  * Checks if the second player is in the game
  * This function has the same implementation as isPlayerInGame but is kept separate
@@ -58,14 +72,8 @@ export const isAITurn = (gameData) => {
     return false;
   }
   
-  // Check if we have a virtual player ID stored (from game creation)
-  const virtualPlayerId = localStorage.getItem('virtualPlayerId');
-  if (!virtualPlayerId) {
-    return false;
-  }
-  
-  // If current player from API matches the virtual player, it's the AI's turn
-  return gameData.state.currentPlayerId === virtualPlayerId;
+  // If current player from API is one of the AI seats, it's an AI's turn
+  return isAiPlayer(gameData, gameData.state.currentPlayerId);
 };
 
 /**
@@ -76,9 +84,8 @@ export const isAITurn = (gameData) => {
 export const getPlayerEmoji = (playerId) => {
   if (!playerId) return '👤';
   
-  // Simple check: if this player matches the virtual player ID, show robot emoji
-  const virtualPlayerId = typeof localStorage !== 'undefined' ? localStorage.getItem('virtualPlayerId') : null;
-  if (virtualPlayerId && playerId === virtualPlayerId) {
+  // Simple check: if this player is one of the stored AI seats, show robot emoji
+  if (typeof localStorage !== 'undefined' && isAiPlayer(null, playerId)) {
     return '🤖';
   }
   
@@ -248,12 +255,9 @@ export const autoSwitchPlayer = ({ gameData, currentPlayerId, secondPlayerId, sh
 
   const apiCurrentPlayerId = gameData.state.currentPlayerId;
   
-  // Check if there's a virtual player in the game
-  const virtualPlayerId = localStorage.getItem('virtualPlayerId');
-  
-  // If the API's current player is the virtual player, don't switch
+  // If the API's current player is a virtual player, don't switch
   // Keep control with the human player
-  if (virtualPlayerId && apiCurrentPlayerId === virtualPlayerId) {
+  if (isAiPlayer(gameData, apiCurrentPlayerId)) {
     console.log('AI turn detected, keeping human player control');
     // Don't change anything, human stays in control
     return;
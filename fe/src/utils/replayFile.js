@@ -0,0 +1,122 @@
+// Replay file export/import
+// A replay file is self-contained: it bundles the turn log, the game snapshot the
+// reducer uses as reference and the player names, so it plays without the backend
+
+import { checkSchema, typeOf } from './schemaUtils';
+
+export const REPLAY_FILE_FORMAT = 'dungeon-replay';
+export const REPLAY_FILE_VERSION = 1;
+
+// Expected shape of a version 1 file, checked by validateReplayFile
+const REPLAY_FILE_SCHEMA = {
+  format: 'string',
+  version: 'number',
+  gameId: 'string',
+  exportedAt: 'string',
+  players: ['array', {
+    id: 'string'
+  }],
+  snapshot: ['object', {
+    gameId: 'string',
+    state: 'object',
+    players: 'array',
+    field: ['object', {
+      tiles: 'array'
+    }]
+  }],
+  turns: ['object', {
+    turns: ['array', {
+      actions: 'array'
+    }]
+  }]
+};
+
+/**
+ * Validate a parsed replay file
+ * @param {Object} data - Parsed file content
+ * @returns {Array} Error messages, empty when the file is valid
+ */
+export const validateReplayFile = (data) => {
+  if (typeOf(data) !== 'object') {
+    return ['Replay file should contain a JSON object'];
+  }
+
+  if (data.format !== REPLAY_FILE_FORMAT) {
+    return ['Not a replay file'];
+  }
+
+  // Reject other versions before the schema check, their shape may differ entirely
+  if (data.version !== REPLAY_FILE_VERSION) {
+    return [`Unsupported replay file version ${data.version}, expected ${REPLAY_FILE_VERSION}`];
+  }
+
+  const errors = [];
+  checkSchema(data, REPLAY_FILE_SCHEMA, '', errors);
+  return errors;
+};
+
+/**
+ * Build a replay file from a finished game
+ * @param {Object} snapshot - getGame response
+ * @param {Object} turns - getGameTurns response ({ gameId, turns })
+ * @returns {Object} Replay file content
+ */
+export const createReplayFile = (snapshot, turns) => {
+  return {
+    format: REPLAY_FILE_FORMAT,
+    version: REPLAY_FILE_VERSION,
+    gameId: snapshot.gameId,
+    exportedAt: new Date().toISOString(),
+    players: (snapshot.players || []).map(player => ({
+      id: player.id,
+      username: player.username || null,
+      isAi: !!player.isAi
+    })),
+    snapshot: JSON.parse(JSON.stringify(snapshot)),
+    turns: JSON.parse(JSON.stringify(turns))
+  };
+};
+
+/**
+ * Parse and validate the text of a replay file
+ * @param {string} text - File content
+ * @returns {Object} Replay file content
+ * @throws {Error} When the file is not valid JSON or does not match the schema
+ */
+export const parseReplayFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Replay file is not valid JSON');
+  }
+
+  const errors = validateReplayFile(data);
+  if (errors.length > 0) {
+    throw new Error(`Invalid replay file: ${errors.slice(0, 5).join('; ')}`);
+  }
+
+  // Player names from the file win over whatever the snapshot carries
+  data.snapshot.players = data.snapshot.players.map(player => {
+    const named = data.players.find(p => p.id === player.id);
+    return named ? { ...player, username: named.username, isAi: named.isAi } : player;
+  });
+
+  return data;
+};
+
+/**
+ * Offer a replay file as a download
+ * @param {Object} replayFile - Replay file content
+ */
+export const downloadReplayFile = (replayFile) => {
+  const blob = new Blob([JSON.stringify(replayFile, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `replay-${replayFile.gameId}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
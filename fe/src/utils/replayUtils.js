@@ -1,5 +1,124 @@
 // Replay Management Utilities
-import { nextTick } from 'vue';
+import {
+  createInitialGameState,
+  reduceTurn,
+  reduceAction,
+  normalizeTurn,
+  normalizeAction,
+  toGameData,
+  getScores
+} from './gameStateReducer';
+import { updateGameDataSelectively } from './gameUtils';
+import { createReplayFile } from './replayFile';
+
+// Speeds offered by ReplayControls
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+// Base delay per step type in milliseconds, divided by the replay speed
+const STEP_DURATIONS = {
+  place_tile: 1200,
+  move: 700,
+  fight_monster: 5000,
+  pick_item: 900,
+  heal_at_fountain: 900,
+  default: 400
+};
+
+/**
+ * Build a battle report for BattleReportModal from a recorded fight_monster action
+ * @param {Object} data - The action's additionalData
+ * @param {string} playerId - The player who fought
+ * @param {string} battleId - Stable ID for the modal
+ * @returns {Object} Battle info in the shape the modal expects
+ */
+export const buildReplayBattleInfo = (data, playerId, battleId) => {
+  const monster = data.monster || {};
+  const result = (data.result || '').toLowerCase();
+  const isTreasure = monster.type === 'chest' || monster.type === 'ruby_chest';
+
+  return {
+    battleId,
+    player: playerId,
+    result,
+    monster: monster.hp || 0,
+    monsterType: monster.name || '',
+    diceResults: data.diceResults || [],
+    diceRollDamage: data.diceRollDamage || 0,
+    itemDamage: data.itemDamage || 0,
+    totalDamage: data.totalDamage || 0,
+    usedItems: (data.usedItems || []).filter(item => item && typeof item === 'object'),
+    reward: result === 'win' && monster.type
+      ? {
+          name: monster.type,
+          type: monster.type,
+          treasureValue: monster.type === 'ruby_chest' ? 3 : monster.type === 'chest' ? 2 : 0,
+          autoCollected: isTreasure
+        }
+      : null,
+    needsConsumableConfirmation: false
+  };
+};
+
+/**
+ * Turn a recorded turn log into replay steps, one per action, each carrying
+ * the full reducer state after that action
+ * @param {Array} turns - Turns from getGameTurns, oldest first
+ * @param {Object} reference - getGame snapshot of the same game
+ * @returns {Object} { turns, steps }
+ */
+export const buildReplayTimeline = (turns, reference) => {
+  const normalizedTurns = [...(turns || [])]
+    .map(normalizeTurn)
+    .map(turn => ({ ...turn, actions: turn.actions.map(action => normalizeAction(action, turn.playerId)) }))
+    .sort((a, b) => a.turnNumber - b.turnNumber);
+
+  const steps = [];
+  let state = createInitialGameState(reference);
+
+  normalizedTurns.forEach((turn, turnIndex) => {
+    // Start the turn (current player, stun recovery) before its actions
+    state = reduceTurn(state, { ...turn, actions: [] });
+
+    if (turn.actions.length === 0) {
+      steps.push({ turnIndex, actionIndex: -1, action: null, playerId: turn.playerId, state, scores: getScores(state), hpBefore: null, battle: null });
+      return;
+    }
+
+    turn.actions.forEach((action, actionIndex) => {
+      const hpBefore = state.players[action.playerId]?.hp ?? null;
+      state = reduceAction(state, action, turn.playerId);
+
+      steps.push({
+        turnIndex,
+        actionIndex,
+        action,
+        playerId: action.playerId,
+        state,
+        scores: getScores(state),
+        hpBefore,
+        battle: action.action === 'fight_monster'
+          ? buildReplayBattleInfo(action.data, action.playerId, `replay-${turn.turnNumber}-${actionIndex}`)
+          : null
+      });
+    });
+  });
+
+  return { turns: normalizedTurns, steps };
+};
+
+/**
+ * Position the view should focus on for a step
+ * @param {Object} step - Replay step
+ * @returns {Object|null} { x, y } or null
+ */
+const getStepFocus = (step) => {
+  if (!step.action) return null;
+  const data = step.action.data || {};
+  const position = data.fieldPlace || data.toPosition || data.to || data.position || step.state.playerPositions[step.playerId];
+  if (!position) return null;
+  const [x, y] = position.split(',').map(Number);
+  return { x, y };
+};
 
 export class ReplayManager {
   constructor(gameApi, gameData, replayState, centerViewOnMiddle, centerViewOnTile) {
@@ -9,9 +128,16 @@ export class ReplayManager {
     this.centerViewOnMiddle = centerViewOnMiddle;
     this.centerViewOnTile = centerViewOnTile;
     this.replayTimeout = null;
+    this.steps = [];
+    this.reference = null;
   }
 
-  async startReplay(gameId) {
+  /**
+   * Fetch the turn log and start playback
+   * @param {string} gameId - Game to replay
+   * @param {Object} options - { turn, speed }, turn is 1-based and opens the replay paused there
+   */
+  async startReplay(gameId, options = {}) {
     if (this.replayState.isReplaying) return;
 
     try {
@@ -23,32 +149,8 @@ export class ReplayManager {
         return;
       }
 
-      // Process the turns
-      this.replayState.gameTurns = response.turns.map(turn => ({
-        turnId: turn.turn_id,
-        turnNumber: turn.turn_number,
-        playerId: turn.player_id,
-        actions: turn.actions,
-        startTime: turn.start_time,
-        endTime: null
-      }));
-
-      // Save original game data
-      this.replayState.originalGameData = JSON.parse(JSON.stringify(this.gameData.value));
-
-      // Setup replay UI
-      this.replayState.isReplaying = true;
-      this.replayState.currentReplayTurn = 0;
-      this.replayState.replaySpeed = 1;
-
-      this.setupReplayUI();
-      this.cleanFieldForReplay();
-      this.centerViewOnMiddle();
-
-      // Start replay sequence
-      setTimeout(() => {
-        this.replayNextTurn();
-      }, 500);
+      // The current game data is the reference for tile shapes and items
+      this.playTimeline(response.turns, JSON.parse(JSON.stringify(this.gameData.value)), options);
 
     } catch (error) {
       console.error('Failed to start replay:', error);
@@ -57,195 +159,266 @@ export class ReplayManager {
     }
   }
 
-  setupReplayUI() {
-    const gameField = document.querySelector('.game-field');
-    if (gameField) {
-      gameField.classList.add('is-replaying');
+  /**
+   * Replay a game loaded from a replay file, without calling the backend
+   * @param {Object} replayFile - Validated content from parseReplayFile
+   */
+  startReplayFromFile(replayFile) {
+    if (this.replayState.isReplaying) {
+      this.finishReplay();
     }
 
-    nextTick(() => {
-      const overlay = this.createReplayOverlay();
-      const speedIndicator = this.createSpeedIndicator();
-      
-      const gameContainer = document.querySelector('.game-container');
-      gameContainer.appendChild(overlay);
-      gameContainer.appendChild(speedIndicator);
-    });
-  }
-
-  createReplayOverlay() {
-    const overlay = document.createElement('div');
-    overlay.className = 'replay-overlay';
-    overlay.id = 'replay-overlay';
-
-    const status = document.createElement('div');
-    status.className = 'replay-status';
-    status.textContent = 'REPLAY MODE';
+    if (!replayFile.turns.turns.length) {
+      alert('No turns available for replay');
+      return;
+    }
 
-    overlay.appendChild(status);
-    return overlay;
+    this.playTimeline(replayFile.turns.turns, replayFile.snapshot);
   }
 
-  createSpeedIndicator() {
-    const speedIndicator = document.createElement('div');
-    speedIndicator.className = 'replay-speed-indicator';
-    speedIndicator.id = 'replay-speed-indicator';
-    speedIndicator.textContent = `Speed: ${this.replayState.replaySpeed}x`;
-    return speedIndicator;
+  /**
+   * Fetch a game's full turn log and snapshot and bundle them as a replay file
+   * @param {string} gameId - Game to export
+   * @returns {Promise<Object>} Replay file content
+   */
+  async exportReplay(gameId) {
+    const [snapshot, turns] = await Promise.all([
+      this.gameApi.getGame(gameId),
+      this.gameApi.getGameTurns(gameId)
+    ]);
+    return createReplayFile(snapshot, turns);
   }
 
-  cleanFieldForReplay() {
-    if (this.gameData.value?.field) {
-      // Keep only starting tile and reset positions
-      if (this.gameData.value.field.tiles?.length > 0) {
-        const startingTileIndex = this.gameData.value.field.tiles.findIndex(
-          tile => tile.position === '0,0'
-        );
-
-        if (startingTileIndex >= 0) {
-          const startingTile = this.gameData.value.field.tiles[startingTileIndex];
-          this.gameData.value.field.tiles = [startingTile];
-        } else {
-          this.gameData.value.field.tiles = [];
-        }
-      }
+  playTimeline(turns, reference, options = {}) {
+    // Save original game data to restore it when the replay ends
+    this.replayState.originalGameData = JSON.parse(JSON.stringify(this.gameData.value));
+    this.reference = reference;
 
-      // Reset player positions
-      if (this.gameData.value.field.playerPositions) {
-        for (const playerId in this.gameData.value.field.playerPositions) {
-          this.gameData.value.field.playerPositions[playerId] = '0,0';
-        }
-      }
+    const timeline = buildReplayTimeline(turns, reference);
+    this.steps = timeline.steps;
 
-      // Reset field size
-      if (this.gameData.value.field.size) {
-        this.gameData.value.field.size.minX = -1;
-        this.gameData.value.field.size.maxX = 1;
-        this.gameData.value.field.size.minY = -1;
-        this.gameData.value.field.size.maxY = 1;
-      }
+    // Setup replay state
+    this.replayState.gameTurns = timeline.turns;
+    this.replayState.totalSteps = this.steps.length;
+    this.replayState.currentStep = -1;
+    this.replayState.currentReplayTurn = 0;
+    this.replayState.currentAction = null;
+    this.replayState.currentActionIndex = -1;
+    this.replayState.currentPlayerId = null;
+    this.replayState.currentBattle = null;
+    this.replayState.scoreboard = [];
+    this.replayState.isReplaying = true;
+    this.replayState.isPaused = false;
+
+    if (REPLAY_SPEEDS.includes(options.speed)) {
+      this.replayState.replaySpeed = options.speed;
     }
-  }
 
-  replayNextTurn() {
-    if (!this.replayState.isReplaying || 
-        this.replayState.currentReplayTurn >= this.replayState.gameTurns.length) {
-      this.finishReplay();
+    this.applyStep(null);
+    this.centerViewOnMiddle();
+
+    if (Number.isInteger(options.turn) && options.turn > 0) {
+      this.pause();
+      this.jumpToTurn(options.turn - 1);
       return;
     }
 
-    const turn = this.replayState.gameTurns[this.replayState.currentReplayTurn];
-    
-    // Clean up previous animations
-    this.cleanupPreviousAnimations();
+    // Start replay sequence
+    this.scheduleNextStep(500);
+  }
 
-    // Process turn actions
-    const activeTilePos = this.processTurnActions(turn);
+  scheduleNextStep(delay) {
+    clearTimeout(this.replayTimeout);
+    if (!this.replayState.isReplaying || this.replayState.isPaused) return;
 
-    // Center view on active tile
-    if (activeTilePos) {
-      this.centerViewOnTile(activeTilePos);
-    } else {
-      this.centerViewOnMiddle();
+    this.replayTimeout = setTimeout(() => {
+      this.replayNextStep();
+    }, delay);
+  }
+
+  replayNextStep() {
+    if (!this.replayState.isReplaying) return;
+
+    const nextIndex = this.replayState.currentStep + 1;
+    if (nextIndex >= this.steps.length) {
+      // Stay on the last step so the end of the game can still be reviewed
+      this.pause();
+      return;
     }
 
-    // Add visual feedback
-    this.addTurnTransitionEffect();
+    this.seekToStep(nextIndex);
 
-    this.replayState.currentReplayTurn++;
+    const step = this.steps[nextIndex];
+    if (step.actionIndex <= 0) {
+      this.addTurnTransitionEffect();
+    }
 
     // Calculate duration and continue
-    const duration = this.calculateTurnDuration(turn);
-    this.replayTimeout = setTimeout(() => {
-      this.replayNextTurn();
-    }, duration / this.replayState.replaySpeed);
+    this.scheduleNextStep(this.calculateStepDuration(step) / this.replayState.replaySpeed);
   }
 
-  cleanupPreviousAnimations() {
-    // Remove animation classes from DOM
-    const tiles = document.querySelectorAll('.tile');
-    tiles.forEach(tile => {
-      tile.classList.remove('is-current-action', 'tile-placing-animation');
-    });
+  /**
+   * Jump to any step, -1 being the board before the first turn.
+   * Steps carry the full state, so seeking backwards needs no re-simulation
+   */
+  seekToStep(index) {
+    if (!this.replayState.isReplaying) return;
 
-    // Clear animation flags from data model
-    if (this.gameData.value?.field?.tiles) {
-      this.gameData.value.field.tiles.forEach(tile => {
-        tile.isCurrentAction = false;
-        tile.isPlacingAnimation = false;
-      });
+    const target = Math.max(-1, Math.min(index, this.steps.length - 1));
+    const step = target >= 0 ? this.steps[target] : null;
+
+    this.replayState.currentStep = target;
+    this.applyStep(step);
+
+    // Center view on the step's position
+    const focus = step ? getStepFocus(step) : null;
+    if (focus) {
+      this.centerViewOnTile(focus);
     }
   }
 
-  processTurnActions(turn) {
-    let activeTilePos = null;
+  /**
+   * Seek from the controls; playback continues from the new position unless paused
+   */
+  seek(index) {
+    this.seekToStep(index);
+    const step = this.steps[this.replayState.currentStep];
+    this.scheduleNextStep((step ? this.calculateStepDuration(step) : STEP_DURATIONS.default) / this.replayState.replaySpeed);
+  }
+
+  stepForward() {
+    this.pause();
+    this.seekToStep(this.replayState.currentStep + 1);
+  }
 
-    const placeTileActions = turn.actions.filter(action => action.action === 'place_tile');
-    const moveActions = turn.actions.filter(action => action.action === 'move');
+  stepBackward() {
+    this.pause();
+    this.seekToStep(this.replayState.currentStep - 1);
+  }
 
-    // Process tile placements
-    if (placeTileActions.length > 0) {
-      activeTilePos = this.processPlaceTileActions(placeTileActions, turn);
-    }
+  /**
+   * Index of the first step of a turn (turnIndex is 0-based)
+   */
+  getTurnStartStep(turnIndex) {
+    return this.steps.findIndex(step => step.turnIndex === turnIndex);
+  }
+
+  jumpToTurn(turnIndex) {
+    const lastTurn = this.replayState.gameTurns.length - 1;
+    const target = this.getTurnStartStep(Math.max(0, Math.min(turnIndex, lastTurn)));
+    if (target === -1) return;
+    this.seek(target);
+  }
 
-    // Process moves
-    if (moveActions.length > 0) {
-      const movePos = this.processMoveActions(moveActions, turn);
-      if (!activeTilePos) activeTilePos = movePos;
+  nextTurn() {
+    const current = this.steps[this.replayState.currentStep];
+    this.pause();
+    this.jumpToTurn(current ? current.turnIndex + 1 : 0);
+  }
+
+  previousTurn() {
+    const current = this.steps[this.replayState.currentStep];
+    if (!current) return;
+
+    this.pause();
+    // Go to the start of the current turn first, then to the previous one
+    const turnStart = this.getTurnStartStep(current.turnIndex);
+    if (this.replayState.currentStep > turnStart) {
+      this.seekToStep(turnStart);
+    } else if (current.turnIndex > 0) {
+      this.jumpToTurn(current.turnIndex - 1);
+    } else {
+      this.seekToStep(-1);
     }
+  }
 
-    return activeTilePos;
+  pause() {
+    this.replayState.isPaused = true;
+    clearTimeout(this.replayTimeout);
   }
 
-  processPlaceTileActions(actions, turn) {
-    let activeTilePos = null;
-
-    actions.forEach(action => {
-      const fieldPlace = action.additionalData?.fieldPlace;
-      if (fieldPlace && action.tileId) {
-        const [x, y] = fieldPlace.split(',').map(Number);
-        
-        // Add new tile with animation data
-        const newTile = {
-          position: fieldPlace,
-          tileId: action.tileId,
-          isCurrentAction: true,
-          isPlacingAnimation: true,
-          turnNumber: this.replayState.currentReplayTurn + 1
-        };
-
-        this.gameData.value.field.tiles.push(newTile);
-        this.updateFieldSize(x, y);
-        
-        activeTilePos = { x, y };
-      }
-    });
+  resume() {
+    if (!this.replayState.isReplaying) return;
 
-    return activeTilePos;
+    // Start over when resuming at the end
+    if (this.replayState.currentStep >= this.steps.length - 1) {
+      this.seekToStep(-1);
+    }
+    this.replayState.isPaused = false;
+    this.scheduleNextStep(STEP_DURATIONS.default / this.replayState.replaySpeed);
   }
 
-  processMoveActions(actions, turn) {
-    let activeTilePos = null;
+  togglePause() {
+    if (this.replayState.isPaused) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
 
-    actions.forEach(action => {
-      const toPosition = action.additionalData?.toPosition;
-      if (toPosition && this.gameData.value.field.playerPositions) {
-        this.gameData.value.field.playerPositions[turn.playerId] = toPosition;
-        
-        const [x, y] = toPosition.split(',').map(Number);
-        activeTilePos = { x, y };
-      }
+  /**
+   * Render a step (or the initial state when step is null) into gameData
+   */
+  applyStep(step) {
+    const original = this.reference;
+    const state = step ? step.state : createInitialGameState(original);
+    const snapshot = toGameData(state);
+
+    // Keep identity fields (usernames, wallet, AI flag) from the real game
+    const players = snapshot.players.map(player => ({
+      ...(original.players.find(p => p.id === player.id) || {}),
+      hp: player.hp,
+      defeated: player.defeated,
+      inventory: player.inventory
+    }));
+
+    // currentPlayerId and status are left alone so turn watchers in GameView stay idle
+    updateGameDataSelectively(this.gameData.value, {
+      state: {
+        ...this.gameData.value.state,
+        turn: snapshot.state.turn,
+        availablePlaces: { moveTo: [], placeTile: [] }
+      },
+      players,
+      field: snapshot.field
+    });
+
+    // Flag the tile placed by this step for the placement animation
+    const placedAt = step?.action?.action === 'place_tile' ? step.action.data.fieldPlace : null;
+    this.gameData.value.field.tiles.forEach(tile => {
+      tile.isCurrentAction = tile.position === placedAt;
+      tile.isPlacingAnimation = tile.position === placedAt;
     });
 
-    return activeTilePos;
+    this.replayState.currentReplayTurn = step ? step.turnIndex + 1 : 0;
+    this.replayState.currentAction = step?.action || null;
+    this.replayState.currentActionIndex = step ? step.actionIndex : -1;
+    this.replayState.currentPlayerId = step?.playerId || null;
+    this.replayState.currentBattle = step?.battle || null;
+    // The modal shows the HP loss itself, so it needs the HP before the fight
+    this.replayState.currentBattlePlayerHp = step?.hpBefore ?? null;
+    this.replayState.scoreboard = this.buildScoreboard(snapshot.scores, players);
   }
 
-  updateFieldSize(x, y) {
-    if (this.gameData.value.field.size) {
-      this.gameData.value.field.size.minX = Math.min(this.gameData.value.field.size.minX || 0, x);
-      this.gameData.value.field.size.maxX = Math.max(this.gameData.value.field.size.maxX || 0, x);
-      this.gameData.value.field.size.minY = Math.min(this.gameData.value.field.size.minY || 0, y);
-      this.gameData.value.field.size.maxY = Math.max(this.gameData.value.field.size.maxY || 0, y);
+  buildScoreboard(scores, players) {
+    return players
+      .map(player => ({
+        playerId: player.id,
+        username: player.username || null,
+        isAi: !!player.isAi,
+        hp: player.hp,
+        treasure: scores[player.id] || 0
+      }))
+      .sort((a, b) => b.treasure - a.treasure);
+  }
+
+  cleanupPreviousAnimations() {
+    // Clear animation flags from data model
+    if (this.gameData.value?.field?.tiles) {
+      this.gameData.value.field.tiles.forEach(tile => {
+        tile.isCurrentAction = false;
+        tile.isPlacingAnimation = false;
+      });
     }
   }
 
@@ -259,26 +432,25 @@ export class ReplayManager {
     }
   }
 
-  calculateTurnDuration(turn) {
-    const hasPlacement = turn.actions.some(action => action.action === 'place_tile');
-    const hasRotation = turn.actions.some(action => action.action === 'rotate_tile');
-    const hasMovement = turn.actions.some(action => action.action === 'move');
+  calculateStepDuration(step) {
+    const type = step.action?.action;
+    return STEP_DURATIONS[type] || STEP_DURATIONS.default;
+  }
 
-    if (hasPlacement) return 2500;
-    if (hasRotation) return 2000;
-    if (hasMovement) return 1500;
-    return 2000;
+  /**
+   * Close the battle report of the current step and continue playback
+   */
+  dismissBattle() {
+    this.replayState.currentBattle = null;
+    this.scheduleNextStep(STEP_DURATIONS.default / this.replayState.replaySpeed);
   }
 
   finishReplay() {
-    if (this.replayState.isReplaying && !confirm('Are you sure you want to stop the replay?')) {
-      return;
-    }
-
     this.replayState.isReplaying = false;
+    this.replayState.isPaused = false;
     clearTimeout(this.replayTimeout);
 
-    this.cleanupReplayUI();
+    this.cleanupPreviousAnimations();
     this.restoreOriginalGameData();
     this.resetReplayState();
 
@@ -287,41 +459,32 @@ export class ReplayManager {
     }, 100);
   }
 
-  cleanupReplayUI() {
-    this.cleanupPreviousAnimations();
-
-    const gameField = document.querySelector('.game-field');
-    if (gameField) {
-      gameField.classList.remove('is-replaying');
-    }
-
-    const overlay = document.getElementById('replay-overlay');
-    const speedIndicator = document.getElementById('replay-speed-indicator');
-
-    if (overlay) overlay.remove();
-    if (speedIndicator) speedIndicator.remove();
-  }
-
   restoreOriginalGameData() {
     if (this.replayState.originalGameData) {
       this.gameData.value = this.replayState.originalGameData;
+      this.replayState.originalGameData = null;
     }
   }
 
   resetReplayState() {
+    this.steps = [];
+    this.reference = null;
     this.replayState.currentReplayTurn = 0;
+    this.replayState.currentStep = -1;
+    this.replayState.totalSteps = 0;
+    this.replayState.currentAction = null;
+    this.replayState.currentActionIndex = -1;
+    this.replayState.currentPlayerId = null;
+    this.replayState.currentBattle = null;
+    this.replayState.currentBattlePlayerHp = null;
+    this.replayState.scoreboard = [];
   }
 
   changeReplaySpeed(newSpeed) {
     this.replayState.replaySpeed = newSpeed;
-    
-    const speedIndicator = document.getElementById('replay-speed-indicator');
-    if (speedIndicator) {
-      speedIndicator.textContent = `Speed: ${newSpeed}x`;
-    }
   }
 }
 
 export function createReplayManager(gameApi, gameData, replayState, centerViewOnMiddle, centerViewOnTile) {
   return new ReplayManager(gameApi, gameData, replayState, centerViewOnMiddle, centerViewOnTile);
-} 
\ No newline at end of file
+}
@@ -0,0 +1,58 @@
+// Minimal shape checking for JSON data coming from outside the app
+// (replay files, API responses). A schema node is one of:
+// - a type name: 'string', 'number', 'boolean', 'object', 'array', 'null'
+//   suffixed with '?' when the value may be missing or null ('string?'),
+//   or several types joined with '|' ('number|string')
+// - [type, nested]: an array whose items match nested, or an object whose fields match nested
+// - a field map: { key: schema }, fields not listed are allowed and left unchecked
+
+/**
+ * Get the JSON type of a value
+ * @param {*} value - Value to check
+ * @returns {string} 'array', 'null' or the typeof result
+ */
+export const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (type.endsWith('?') && (value === undefined || value === null)) return true;
+  return type.replace(/\?$/, '').split('|').includes(typeOf(value));
+};
+
+/**
+ * Check a value against a schema node, collecting errors with their path
+ * @param {*} value - Value to check
+ * @param {string|Array|Object} schema - Type name, [type, itemOrFieldSchema] or field map
+ * @param {string} path - Path used in error messages
+ * @param {Array} errors - Collected error messages
+ */
+export const checkSchema = (value, schema, path, errors) => {
+  if (typeof schema === 'string') {
+    if (!matchesType(value, schema)) {
+      errors.push(`${path || 'value'} should be ${schema.replace(/\?$/, '')}, got ${typeOf(value)}`);
+    }
+    return;
+  }
+
+  if (Array.isArray(schema)) {
+    const [type, nested] = schema;
+    checkSchema(value, type, path, errors);
+    // Nothing more to check when an optional node is missing or the type is already wrong
+    const baseType = type.replace(/\?$/, '');
+    if (typeOf(value) !== baseType) return;
+
+    if (baseType === 'array') {
+      value.forEach((item, index) => checkSchema(item, nested, `${path}[${index}]`, errors));
+    } else {
+      checkSchema(value, nested, path, errors);
+    }
+    return;
+  }
+
+  for (const key in schema) {
+    checkSchema(value?.[key], schema[key], path ? `${path}.${key}` : key, errors);
+  }
+};
@@ -341,42 +341,8 @@ export const hasOpening = (orientationChar, direction) => {
  * @returns {boolean} True if the doors match, false otherwise
  */
 export const hasMatchingDoors = (orientation1, orientation2, side) => {
-  // Convert string orientations (╋, ║, etc.) to boolean arrays
-  const convertOrientation = (orientation) => {
-    if (typeof orientation === 'string') {
-      if (orientation.includes(',')) {
-        // Already in true/false format
-        return orientation.split(',').map(val => val === 'true');
-      }
-      // Convert Unicode characters to boolean array [top, right, bottom, left]
-      switch (orientation) {
-        case '╋': return [true, true, true, true];
-        case '║': return [true, false, true, false];
-        case '═': return [false, true, false, true];
-        case '╗': return [false, false, true, true];
-        case '╔': return [false, true, true, false];
-        case '╝': return [true, false, false, true];
-        case '╚': return [true, true, false, false];
-        case '╠': return [true, true, true, false];
-        case '╣': return [true, false, true, true];
-        case '╦': return [false, true, true, true];
-        case '╩': return [true, true, false, true];
-        default: return [false, false, false, false];
-      }
-    }
-    return orientation;
-  };
-
-  const [top1, right1, bottom1, left1] = convertOrientation(orientation1);
-  const [top2, right2, bottom2, left2] = convertOrientation(orientation2);
-
-  switch (side) {
-    case 'top': return bottom1 && top2;
-    case 'right': return left1 && right2;
-    case 'bottom': return top1 && bottom2;
-    case 'left': return right1 && left2;
-    default: return false;
-  }
+  // orientation1 is the neighbour on `side` of orientation2: its opposite side must face an open side
+  return isOpenedSide(orientation1, getOppositeSide(side)) && isOpenedSide(orientation2, side);
 };
 
 /**
@@ -402,9 +368,11 @@ export const getOppositeSide = (side) => {
  */
 export const isOpenedSide = (orientation, side) => {
   // Convert orientation string to boolean array [top, right, bottom, left]
-  let openings;
+  let openings = [false, false, false, false];
 
-  if (typeof orientation === 'string') {
+  if (Array.isArray(orientation)) {
+    openings = orientation;
+  } else if (typeof orientation === 'string') {
     if (orientation.includes(',')) {
       // Handle 'true,false,true,false' format
       openings = orientation.split(',').map(val => val === 'true');
@@ -462,17 +430,6 @@ export const isOpenedSide = (orientation, side) => {
     }
   }
 
-  // Add debug logging
-  console.log('isOpenedSide check:', {
-    orientation,
-    side,
-    openings,
-    result: side === 'top' ? openings[0] : 
-           side === 'right' ? openings[1] : 
-           side === 'bottom' ? openings[2] : 
-           side === 'left' ? openings[3] : false
-  });
-
   switch (side) {
     case 'top': return openings[0];
     case 'right': return openings[1];
@@ -613,8 +570,121 @@ export const getRequiredOpenSide = (position, gameData, currentPlayerId) => {
   return null;
 };
 
+// Sides in the order of the API orientation arrays
+const TILE_SIDES = ['top', 'right', 'bottom', 'left'];
+
+// topSide values for no turn, then 90, 180 and 270 degrees clockwise
+const CLOCKWISE_TOP_SIDES = [0, 3, 2, 1];
+
+/**
+ * Rotates an orientation the way the backend does for a given top side
+ * @param {string|Array} orientation - The orientation (API string, box character or boolean array)
+ * @param {number} topSide - The side that becomes the top (0=TOP, 1=RIGHT, 2=BOTTOM, 3=LEFT)
+ * @returns {string} The rotated orientation in "true,false,true,false" format
+ */
+export const rotateOrientation = (orientation, topSide) => {
+  const openings = TILE_SIDES.map(side => isOpenedSide(orientation, side));
+  return [...openings.slice(topSide), ...openings.slice(0, topSide)].join(',');
+};
+
+/**
+ * Lists every distinct orientation of a picked tile that can be placed at a position
+ * @param {string} position - The position string (e.g. "0,0")
+ * @param {string} orientation - The current orientation of the picked tile
+ * @param {Object} gameData - The game data containing field information
+ * @param {string} currentPlayerId - The current player ID
+ * @returns {Array<{topSide: number, orientation: string, connections: number, deadEnds: number}>} Valid
+ * rotations clockwise from the current one, with how many placed neighbours each opens onto and how
+ * many of its doors face a neighbour's wall
+ */
+export const getValidRotations = (position, orientation, gameData, currentPlayerId) => {
+  if (!position || !orientation) return [];
+
+  const neighbours = getAllAdjacentPositions(position);
+  const seen = new Set();
+  const rotations = [];
+
+  for (const topSide of CLOCKWISE_TOP_SIDES) {
+    const rotated = rotateOrientation(orientation, topSide);
+    if (seen.has(rotated)) continue;
+    seen.add(rotated);
+    if (!isValidOrientation(position, rotated, gameData, currentPlayerId)) continue;
+
+    let connections = 0;
+    let deadEnds = 0;
+    for (const side of TILE_SIDES) {
+      const neighbourOrientation = getTileOrientationAt(neighbours[side], gameData);
+      if (!neighbourOrientation || !isOpenedSide(rotated, side)) continue;
+      if (hasMatchingDoors(neighbourOrientation, rotated, side)) connections++;
+      else deadEnds++;
+    }
+
+    rotations.push({ topSide, orientation: rotated, connections, deadEnds });
+  }
+
+  return rotations;
+};
+
 /**
- * Rotates a ghost tile until a valid orientation is found
+ * Turns the picked tile to a chosen rotation with a single rotate call
+ * The required open side is the one facing the player, which a valid rotation always has open,
+ * so the backend keeps the requested top side instead of searching further.
+ * @param {Object} params - Parameters for rotating the tile
+ * @param {string} params.position - The position of the ghost tile
+ * @param {string} params.pickedTileId - The ID of the picked tile
+ * @param {number} params.topSide - The rotation to apply, as returned by getValidRotations
+ * @param {Object} params.gameData - The game data containing field information
+ * @param {string} params.currentPlayerId - The current player ID
+ * @param {string} params.gameId - The game ID
+ * @param {string} params.currentTurnId - The current turn ID
+ * @param {Function} params.rotateTileApi - Function to call the rotate tile API
+ * @param {Function} params.onSuccess - Callback function to handle successful rotation
+ * @param {Function} params.onError - Callback function to handle rotation error
+ * @returns {Promise<boolean>} Promise that resolves to true if the tile ended in a valid orientation
+ */
+export const rotateTileTo = async ({
+  position,
+  pickedTileId,
+  topSide,
+  gameData,
+  currentPlayerId,
+  gameId,
+  currentTurnId,
+  rotateTileApi,
+  onSuccess,
+  onError
+}) => {
+  const requiredOpenSide = getRequiredOpenSide(position, gameData, currentPlayerId);
+  if (requiredOpenSide === null) {
+    console.error('Could not determine required open side');
+    return false;
+  }
+
+  try {
+    const response = await rotateTileApi({
+      tileId: pickedTileId,
+      topSide,
+      requiredOpenSide,
+      gameId,
+      playerId: currentPlayerId,
+      turnId: currentTurnId
+    });
+
+    if (onSuccess) {
+      onSuccess(response.tile);
+    }
+    return isValidOrientation(position, response.tile.orientation, gameData, currentPlayerId);
+  } catch (err) {
+    console.error('Failed to rotate tile:', err);
+    if (onError) {
+      onError(err);
+    }
+    return false;
+  }
+};
+
+/**
+ * Rotates a ghost tile clockwise to its next valid orientation
  * @param {Object} params - Parameters for rotating the ghost tile
  * @param {string} params.ghostTilePosition - The position of the ghost tile
  * @param {string} params.pickedTileId - The ID of the picked tile
@@ -642,68 +712,26 @@ export const rotateGhostTile = async ({
 }) => {
   if (!pickedTileId || !pickedTile || !ghostTilePosition) return false;
 
-  let attempts = 0;
-  let foundValidOrientation = false;
-
-  const requiredOpenSide = getRequiredOpenSide(ghostTilePosition, gameData, currentPlayerId);
-  if (requiredOpenSide === null) {
-    console.error('Could not determine required open side');
+  // The next valid rotation other than the current one
+  const next = getValidRotations(ghostTilePosition, pickedTile.orientation, gameData, currentPlayerId)
+    .find(rotation => rotation.topSide !== 0);
+  if (!next) {
+    console.log('No other valid orientation for this tile');
     return false;
   }
 
-  while (attempts < 4 && !foundValidOrientation) {
-    try {
-      const response = await rotateTileApi({
-        tileId: pickedTileId,
-        topSide: 3,
-        requiredOpenSide,
-        gameId,
-        playerId: currentPlayerId,
-        turnId: currentTurnId
-      });
-
-      // Check if this orientation is valid
-      const isValid = isValidOrientation(
-        ghostTilePosition, 
-        response.tile.orientation, 
-        gameData, 
-        currentPlayerId
-      );
-
-      console.log('Rotated tile orientation:', {
-        orientation: response.tile.orientation,
-        isValid,
-        attempt: attempts + 1
-      });
-
-      if (isValid) {
-        foundValidOrientation = true;
-        if (onSuccess) {
-          onSuccess(response.tile);
-        }
-        break;
-      }
-
-      // If not valid and not our last attempt, continue rotating
-      if (!isValid && attempts < 3) {
-        attempts++;
-      } else {
-        break;
-      }
-    } catch (err) {
-      console.error('Failed to rotate tile:', err);
-      if (onError) {
-        onError(err);
-      }
-      break;
-    }
-  }
-
-  if (!foundValidOrientation) {
-    console.log('Could not find valid orientation after rotation attempts');
-  }
-
-  return foundValidOrientation;
+  return rotateTileTo({
+    position: ghostTilePosition,
+    pickedTileId,
+    topSide: next.topSide,
+    gameData,
+    currentPlayerId,
+    gameId,
+    currentTurnId,
+    rotateTileApi,
+    onSuccess,
+    onError
+  });
 };
 
 /**
@@ -735,58 +763,27 @@ export const handleInitialTileOrientation = async ({
 }) => {
   if (!pickedTile || !pickedTileId) return false;
 
-  // Check if current orientation is valid
-  if (isValidOrientation(position, pickedTile.orientation, gameData, currentPlayerId)) {
-    console.log('Initial orientation is valid');
-    return true;
-  }
-
-  console.log('Initial orientation not valid, trying rotations');
-
-  const requiredOpenSide = getRequiredOpenSide(position, gameData, currentPlayerId);
-  if (requiredOpenSide === null) {
-    console.error('Could not determine required open side');
+  const [first] = getValidRotations(position, pickedTile.orientation, gameData, currentPlayerId);
+  if (!first) {
+    console.log('No valid orientation for this tile');
     return false;
   }
 
-  // Try each rotation until we find a valid one or complete a full circle
-  let currentOrientation = pickedTile.orientation;
-  let attempts = 0;
-
-  while (attempts < 4) {
-    try {
-      const response = await rotateTileApi({
-        tileId: pickedTileId,
-        topSide: 3,
-        requiredOpenSide,
-        gameId,
-        playerId: currentPlayerId,
-        turnId: currentTurnId
-      });
-
-      currentOrientation = response.tile.orientation;
-      console.log(`Rotation attempt ${attempts + 1}, orientation:`, currentOrientation);
-
-      if (isValidOrientation(position, currentOrientation, gameData, currentPlayerId)) {
-        console.log('Found valid orientation after rotation');
-        if (onSuccess) {
-          onSuccess(response.tile);
-        }
-        return true;
-      }
+  // Current orientation is valid, nothing to send
+  if (first.topSide === 0) return true;
 
-      attempts++;
-    } catch (err) {
-      console.error('Failed to rotate tile:', err);
-      if (onError) {
-        onError(err);
-      }
-      return false;
-    }
-  }
-
-  console.log('No valid orientation found after all rotations');
-  return false;
+  return rotateTileTo({
+    position,
+    pickedTileId,
+    topSide: first.topSide,
+    gameData,
+    currentPlayerId,
+    gameId,
+    currentTurnId,
+    rotateTileApi,
+    onSuccess,
+    onError
+  });
 };
 
 /**
@@ -0,0 +1,54 @@
+import { test, expect } from '@playwright/test';
+import { AI_STRATEGIES, createDefaultOpponents, getAiStrategy, isAiPlayer, saveAiOpponents } from '../../src/utils/aiOpponents.js';
+
+// The local AI setup lives in localStorage
+const storage = new Map<string, string>();
+(globalThis as any).localStorage ??= {
+  getItem: (key: string) => storage.get(key) ?? null,
+  setItem: (key: string, value: string) => storage.set(key, String(value)),
+  removeItem: (key: string) => storage.delete(key),
+};
+
+test.describe('aiOpponents', () => {
+  test('creates between one and three named opponents', () => {
+    expect(createDefaultOpponents(1)).toEqual([{ name: 'AI Player', strategy: 'balanced' }]);
+    expect(createDefaultOpponents(3).map(opponent => opponent.name)).toEqual(['AI Player 1', 'AI Player 2', 'AI Player 3']);
+    expect(createDefaultOpponents(7)).toHaveLength(3);
+    expect(createDefaultOpponents(0)).toHaveLength(1);
+  });
+
+  test('offers the default strategy', () => {
+    expect(AI_STRATEGIES.map(strategy => strategy.value)).toContain('balanced');
+  });
+
+  test('recognizes every AI seat from the game data', () => {
+    const gameData = {
+      players: [
+        { id: 'human', isAi: false },
+        { id: 'ai-1', isAi: true },
+        { id: 'ai-2', isAi: true },
+      ],
+    };
+
+    expect(isAiPlayer(gameData, 'ai-1')).toBe(true);
+    expect(isAiPlayer(gameData, 'ai-2')).toBe(true);
+    expect(isAiPlayer(gameData, 'human')).toBe(false);
+    expect(isAiPlayer(gameData, null)).toBe(false);
+  });
+
+  test('reads the AI strategy from the game data before the local setup', () => {
+    const gameData = {
+      players: [
+        { id: 'ai-1', isAi: true, aiStrategy: 'aggressive' },
+        { id: 'ai-2', isAi: true },
+      ],
+    };
+
+    expect(getAiStrategy(gameData, 'ai-1')).toBe('aggressive');
+    expect(getAiStrategy(gameData, 'ai-2')).toBe(null);
+
+    saveAiOpponents([{ id: 'ai-1', name: 'AI Player 1', strategy: 'defensive' }, { id: 'ai-2', name: 'AI Player 2', strategy: 'speedrun' }]);
+    expect(getAiStrategy(gameData, 'ai-1')).toBe('aggressive');
+    expect(getAiStrategy(gameData, 'ai-2')).toBe('speedrun');
+  });
+});
@@ -0,0 +1,75 @@
+import { test, expect } from '@playwright/test';
+import { runWithAiTurnLock } from '../../src/utils/aiTurnLock.js';
+
+const createStorage = () => {
+  const items = new Map<string, string>();
+  return {
+    getItem: (key: string) => items.get(key) ?? null,
+    setItem: (key: string, value: string) => { items.set(key, value); },
+    removeItem: (key: string) => { items.delete(key); },
+  };
+};
+
+test.describe('runWithAiTurnLock', () => {
+  test('lets only one tab run the same AI turn', async () => {
+    const storage = createStorage();
+    let runs = 0;
+    let release: () => void = () => {};
+    let started: () => void = () => {};
+    const running = new Promise<void>(resolve => { started = resolve; });
+
+    const first = runWithAiTurnLock('game-1', 4, async () => {
+      runs++;
+      started();
+      await new Promise<void>(resolve => { release = resolve; });
+    }, { locks: null, storage });
+    // Both while the first tab is still reading its lease back and while it runs the turn
+    const second = await runWithAiTurnLock('game-1', 4, async () => { runs++; }, { locks: null, storage });
+    await running;
+    const third = await runWithAiTurnLock('game-1', 4, async () => { runs++; }, { locks: null, storage });
+
+    expect(second).toBe(false);
+    expect(third).toBe(false);
+    release();
+    expect(await first).toBe(true);
+    expect(runs).toBe(1);
+  });
+
+  test('backs off when a racing tab overwrote the lease', async () => {
+    const storage = createStorage();
+    const setItem = storage.setItem;
+    // The other tab read the lease as free too and writes right after this one
+    storage.setItem = (key: string, value: string) => {
+      setItem(key, value);
+      setTimeout(() => setItem(key, JSON.stringify({ token: 'other-tab', expiresAt: Date.now() + 60000 })), 0);
+    };
+    let runs = 0;
+
+    expect(await runWithAiTurnLock('game-1', 7, async () => { runs++; }, { locks: null, storage, settleTime: 10 })).toBe(false);
+    expect(runs).toBe(0);
+    expect(JSON.parse(storage.getItem('aiTurnLock:game-1:7')!).token).toBe('other-tab');
+  });
+
+  test('frees the turn when the task fails', async () => {
+    const storage = createStorage();
+
+    await expect(runWithAiTurnLock('game-1', 5, async () => { throw new Error('boom'); }, { locks: null, storage }))
+      .rejects.toThrow('boom');
+    expect(await runWithAiTurnLock('game-1', 5, async () => {}, { locks: null, storage })).toBe(true);
+  });
+
+  test('uses the Web Locks API when available', async () => {
+    const requested: string[] = [];
+    const locks = {
+      request: async (name: string, options: { ifAvailable: boolean }, callback: (lock: object | null) => Promise<boolean>) => {
+        requested.push(name);
+        expect(options.ifAvailable).toBe(true);
+        return callback(requested.length === 1 ? {} : null);
+      },
+    };
+
+    expect(await runWithAiTurnLock('game-1', 6, async () => {}, { locks, storage: null })).toBe(true);
+    expect(await runWithAiTurnLock('game-1', 6, async () => {}, { locks, storage: null })).toBe(false);
+    expect(requested).toEqual(['aiTurnLock:game-1:6', 'aiTurnLock:game-1:6']);
+  });
+});
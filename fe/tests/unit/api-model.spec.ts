@@ -0,0 +1,114 @@
+import { test, expect } from '@playwright/test';
+import {
+  ApiError,
+  ApiValidationError,
+  isBlockingValidationError,
+  normalizeKeys,
+  onApiValidationError,
+  parseResponse,
+  toApiError,
+  toCamelCase,
+} from '../../src/services/apiModel.js';
+
+test.describe('apiModel', () => {
+  test('converts snake_case keys and leaves other keys alone', () => {
+    expect(toCamelCase('turn_id')).toBe('turnId');
+    expect(toCamelCase('max_items_in_category')).toBe('maxItemsInCategory');
+    expect(toCamelCase('turnId')).toBe('turnId');
+    expect(toCamelCase('1,-2')).toBe('1,-2');
+    expect(toCamelCase('_private')).toBe('_private');
+  });
+
+  test('normalizes nested objects and arrays', () => {
+    expect(normalizeKeys({
+      game_id: 'g1',
+      turns: [{ turn_id: 't1', actions: [{ additional_data: { monster_type: 'skeleton' } }] }],
+      positions: { '0,0': 'p1' },
+    })).toEqual({
+      gameId: 'g1',
+      turns: [{ turnId: 't1', actions: [{ additionalData: { monsterType: 'skeleton' } }] }],
+      positions: { '0,0': 'p1' },
+    });
+  });
+
+  test('prefers the camelCase field when both spellings are sent', () => {
+    expect(normalizeKeys({ inventoryFull: true, inventory_full: false })).toEqual({ inventoryFull: true });
+  });
+
+  test('parses the turn log from the snake_case turns endpoint', () => {
+    const turns = parseResponse('getGameTurns', {
+      gameId: 'g1',
+      turns: [{ turn_id: 't1', turn_number: 1, player_id: 'p1', actions: [], pending_item_pickup: false }],
+    });
+
+    expect(turns.turns[0]).toEqual({ turnId: 't1', turnNumber: 1, playerId: 'p1', actions: [], pendingItemPickup: false });
+  });
+
+  test('lifts the battle info of AI actions to one place', () => {
+    const battleInfo = { result: 'win', monsterType: 'dragon' };
+    const finalized = { result: 'lose', monsterType: 'dragon' };
+    const response = parseResponse('executeVirtualPlayerTurn', {
+      success: true,
+      actions: [
+        { type: 'battle_detected', details: { battleInfo } },
+        { type: 'finalize_battle', details: { result: { response: { battleResult: finalized } } } },
+        { type: 'end_turn', details: [] },
+      ],
+    });
+
+    expect(response.actions.map(action => action.battle)).toEqual([battleInfo, finalized, null]);
+  });
+
+  test('rejects responses that do not match the schema and notifies listeners', () => {
+    const reported: any[] = [];
+    const stop = onApiValidationError(error => reported.push(error));
+
+    let thrown: any = null;
+    try {
+      parseResponse('getGame', { gameId: 'g1', state: { status: 'started' }, players: [{ id: 1 }] });
+    } catch (error) {
+      thrown = error;
+    }
+    stop();
+
+    expect(thrown).toBeInstanceOf(ApiValidationError);
+    expect(thrown.endpoint).toBe('getGame');
+    expect(thrown.issues).toEqual(['players[0].id should be string, got number']);
+    expect(reported).toEqual([thrown]);
+
+    expect(() => parseResponse('getGame', null)).toThrow(ApiValidationError);
+    expect(reported).toHaveLength(1);
+  });
+
+  test('blocks the view only for a malformed game state', () => {
+    expect(isBlockingValidationError(new ApiValidationError('getGame', ['state missing']))).toBe(true);
+    expect(isBlockingValidationError(new ApiValidationError('spectateGame', ['ok missing']))).toBe(false);
+    expect(isBlockingValidationError(new Error('getGame'))).toBe(false);
+  });
+
+  test('turns HTTP failures into typed errors', () => {
+    const axiosError = Object.assign(new Error('Request failed with status code 422'), {
+      isAxiosError: true,
+      response: { status: 422, data: { code: 'c1', message: 'Tile must be placed first' } },
+    });
+
+    const error = toApiError('endTurn', axiosError);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({
+      message: 'Tile must be placed first',
+      endpoint: 'endTurn',
+      kind: 'http',
+      status: 422,
+      code: 'c1',
+    });
+    expect(toApiError('endTurn', error)).toBe(error);
+  });
+
+  test('tells network failures from client errors', () => {
+    const offline = Object.assign(new Error('Network Error'), { isAxiosError: true, code: 'ERR_NETWORK' });
+
+    expect(toApiError('getGame', offline).kind).toBe('network');
+    expect(toApiError('getGame', new Error('boom')).kind).toBe('client');
+  });
+});
@@ -0,0 +1,91 @@
+import { test, expect } from '@playwright/test';
+import {
+  formatOdds,
+  getBattleOdds,
+  getBattleOddsTable,
+  getBattleResult,
+  getConsumableOutcomes,
+  getDiceDistribution,
+  getOddsRows,
+  getOptimalConsumables,
+  getPlayerBattleOdds,
+} from '../../src/utils/battleOdds.js';
+
+const fireball = (itemId: string) => ({ itemId, type: 'fireball' });
+
+test.describe('battle odds', () => {
+  test('sums two dice', () => {
+    const distribution = getDiceDistribution();
+
+    expect([...distribution.keys()].sort((a, b) => a - b)).toEqual([2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+    expect(distribution.get(7)).toBeCloseTo(6 / 36);
+    expect(distribution.get(12)).toBeCloseTo(1 / 36);
+  });
+
+  test('wins only above the guard HP, like the backend', () => {
+    expect(getBattleResult(8, 7)).toBe('win');
+    expect(getBattleResult(7, 7)).toBe('draw');
+    expect(getBattleResult(6, 7)).toBe('lose');
+  });
+
+  test('gives the chances against a guard', () => {
+    const odds = getBattleOdds({ guardHP: 7 });
+
+    expect(odds.win).toBeCloseTo(15 / 36);
+    expect(odds.draw).toBeCloseTo(6 / 36);
+    expect(odds.lose).toBeCloseTo(15 / 36);
+    expect(getBattleOdds({ guardHP: 7, bonus: 6 }).win).toBeCloseTo(1);
+    expect(getBattleOdds({ guardHP: 7, bonus: 1, diceResults: [3, 3] })).toEqual({ win: 0, draw: 1, lose: 0 });
+  });
+
+  test('lists one combination per amount of spell damage', () => {
+    const table = getBattleOddsTable({
+      guardHP: 9,
+      weaponDamage: 2,
+      consumables: [fireball('f1'), { itemId: 't1', type: 'teleport' }, fireball('f2')],
+    });
+
+    expect(table.map(row => row.damage)).toEqual([0, 1, 2]);
+    expect(table.map(row => row.items.map(item => item.itemId))).toEqual([[], ['f1'], ['f1', 'f2']]);
+    // 2d6 + 2 against 9 HP wins on 8 or more
+    expect(table[0].odds.win).toBeCloseTo(15 / 36);
+    expect(table[2].odds.win).toBeCloseTo(26 / 36);
+    expect(getOddsRows(table).map(row => row.label)).toEqual(['No spells', '+1 spell', '+2 spells']);
+  });
+
+  test('uses the inventory of the player against a field item', () => {
+    const player = { inventory: { weapons: [{ type: 'sword' }, { type: 'dagger' }], spells: [fireball('f1')] } };
+
+    const table = getPlayerBattleOdds(player, { name: 'mummy', guardHP: 10, guardDefeated: false });
+    expect(table).toHaveLength(2);
+    expect(table[0].odds).toEqual(getBattleOdds({ guardHP: 10, bonus: 3 }));
+
+    expect(getPlayerBattleOdds(player, { name: 'mummy', guardHP: 10, guardDefeated: true })).toEqual([]);
+    expect(getPlayerBattleOdds(player, { type: 'key', guardHP: 0 })).toEqual([]);
+  });
+
+  test('lists every spell subset with its outcome, cheapest first', () => {
+    const outcomes = getConsumableOutcomes({ guardHP: 9, damage: 8, consumables: [fireball('f1'), fireball('f2')] });
+
+    expect(outcomes.map(o => o.items.map(item => item.itemId))).toEqual([[], ['f1'], ['f2'], ['f1', 'f2']]);
+    expect(outcomes.map(o => [o.damage, o.result, o.cost])).toEqual([
+      [8, 'lose', 0],
+      [9, 'draw', 1],
+      [9, 'draw', 1],
+      [10, 'win', 2],
+    ]);
+  });
+
+  test('picks the cheapest subset that wins, else the cheapest draw', () => {
+    const spells = [fireball('f1'), fireball('f2'), fireball('f3')];
+
+    expect(getOptimalConsumables(getConsumableOutcomes({ guardHP: 9, damage: 8, consumables: spells }))?.items.map(i => i.itemId)).toEqual(['f1', 'f2']);
+    expect(getOptimalConsumables(getConsumableOutcomes({ guardHP: 12, damage: 9, consumables: spells }))?.result).toBe('draw');
+    expect(getOptimalConsumables(getConsumableOutcomes({ guardHP: 12, damage: 4, consumables: spells }))?.cost).toBe(0);
+    expect(getOptimalConsumables([])).toBeNull();
+  });
+
+  test('labels odds as percentages', () => {
+    expect(formatOdds({ win: 0.5, draw: 0.125, lose: 0.375 })).toBe('50% win · 13% draw · 38% lose');
+  });
+});
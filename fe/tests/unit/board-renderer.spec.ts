@@ -0,0 +1,87 @@
+import { test, expect } from '@playwright/test';
+import { BOARD_RENDERERS, buildBoardModel, getBoardItemImage, getBoardRenderer, getMarkerDirection } from '../../src/utils/boardRenderer.js';
+import { getPlayerEmoji } from '../../src/utils/playerUtils.js';
+
+const tile = (x: number, y: number, extra: Record<string, any> = {}) => ({
+  position: `${x},${y}`,
+  x,
+  y,
+  orientationChar: '╋',
+  isRoom: false,
+  ...extra,
+});
+
+test.describe('boardRenderer', () => {
+  test('falls back to the DOM renderer', () => {
+    expect(getBoardRenderer()).toBe(BOARD_RENDERERS.DOM);
+  });
+
+  test('points move markers away from the player', () => {
+    expect(getMarkerDirection({ x: 2, y: 0 }, { x: 1, y: 0 })).toBe('right');
+    expect(getMarkerDirection({ x: 1, y: -1 }, { x: 1, y: 0 })).toBe('up');
+    expect(getMarkerDirection({ x: 0, y: 0 }, null)).toBe('down');
+  });
+
+  test('shows the monster until the guard is defeated', () => {
+    expect(getBoardItemImage({ name: 'dragon', type: 'sword', guardHP: 12 })).toBe('/images/items/bullish.webp');
+    expect(getBoardItemImage({ name: 'dragon', type: 'sword', guardHP: 0 })).toBe('/images/sword.webp');
+    expect(getBoardItemImage(null)).toBeNull();
+  });
+
+  test('draws chests on the field closed', () => {
+    expect(getBoardItemImage({ name: 'fallen', type: 'chest', guardHP: 0 })).toBe('/images/chest-closed.webp');
+    expect(getBoardItemImage({ name: 'dragon', type: 'ruby_chest', guardHP: 0 })).toBe('/images/ruby-chest.webp');
+  });
+
+  test('places tiles, players, markers and the ghost tile in board pixels', () => {
+    const model = buildBoardModel({
+      tiles: [
+        tile(-1, 0, { orientationChar: '═', isRoom: true, hasItem: true, item: { type: 'key', guardDefeated: true } }),
+        tile(0, 0, { allPlayerIds: ['p1', 'p2'] }),
+        null,
+      ],
+      movePlaces: ['1,0', '0,1'],
+      canPlaceTileAt: (position: string) => position === '0,1',
+      ghost: { position: '0,-1', symbol: '║', isRoom: false },
+      playerPosition: { x: 0, y: 0 },
+      minX: -1,
+      minY: -1,
+      tileSize: 100,
+    });
+
+    expect(model.tiles).toHaveLength(2);
+    expect(model.tiles[0]).toMatchObject({
+      key: 'tile--1,0',
+      px: 0,
+      py: 100,
+      image: '/assets/tiles/r-1010-e.webp',
+      rotation: 90,
+      item: { image: '/images/key.webp', pickable: true },
+    });
+    expect(model.tiles[1].item).toBeNull();
+
+    expect(model.players).toEqual([
+      { key: 'player-p1', playerId: 'p1', emoji: getPlayerEmoji('p1'), px: 100, py: 100, slot: 0, count: 2 },
+      { key: 'player-p2', playerId: 'p2', emoji: getPlayerEmoji('p2'), px: 100, py: 100, slot: 1, count: 2 },
+    ]);
+
+    expect(model.markers).toEqual([
+      { key: 'marker-1,0', position: '1,0', px: 200, py: 100, kind: 'move', direction: 'right' },
+      { key: 'marker-0,1', position: '0,1', px: 100, py: 200, kind: 'place', direction: null },
+    ]);
+
+    expect(model.ghost).toMatchObject({ position: '0,-1', px: 100, py: 0, image: '/assets/tiles/c-1010-e.webp', rotation: 0 });
+  });
+
+  test('shades reachable tiles and numbers the previewed route', () => {
+    const model = buildBoardModel({
+      tiles: [],
+      reachable: [{ position: '2,0', steps: 2 }],
+      route: ['1,0', '2,0'],
+      tileSize: 100,
+    });
+
+    expect(model.reach).toEqual([{ key: 'reach-2,0', position: '2,0', px: 200, py: 0, steps: 2 }]);
+    expect(model.route.map((step: any) => [step.position, step.step])).toEqual([['1,0', 1], ['2,0', 2]]);
+  });
+});
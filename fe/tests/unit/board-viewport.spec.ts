@@ -0,0 +1,47 @@
+import { test, expect } from '@playwright/test';
+import { getVisibleTileBounds, isWithinBounds, measureVisibleArea } from '../../src/utils/navigationUtils.js';
+
+// Stand-in for a DOM element with the layout values measureVisibleArea reads
+const element = (rect: { left: number, top: number }, size: Record<string, number> = {}) => ({
+  getBoundingClientRect: () => rect,
+  clientLeft: 0,
+  clientTop: 0,
+  clientWidth: 0,
+  clientHeight: 0,
+  ...size,
+});
+
+test.describe('board viewport', () => {
+  test('measures the visible area in unscaled board pixels', () => {
+    // Field scrolled so the board's left edge is 300px and its top edge 150px outside the viewport
+    const field = element({ left: 20, top: 10 }, { clientWidth: 800, clientHeight: 600 });
+    const content = element({ left: -280, top: -140 });
+
+    expect(measureVisibleArea(field, content, 1)).toEqual({ left: 300, top: 150, width: 800, height: 600 });
+    expect(measureVisibleArea(field, content, 2)).toEqual({ left: 150, top: 75, width: 400, height: 300 });
+    expect(measureVisibleArea(null, content, 1)).toBeNull();
+  });
+
+  test('turns the visible area into board coordinates with a margin', () => {
+    const area = { left: 250, top: 0, width: 400, height: 199 };
+
+    expect(getVisibleTileBounds(area, { minX: -3, minY: 2, tileSize: 100, margin: 0 }))
+      .toEqual({ minX: -1, maxX: 3, minY: 2, maxY: 3 });
+    expect(getVisibleTileBounds(area, { minX: -3, minY: 2, tileSize: 100, margin: 2 }))
+      .toEqual({ minX: -3, maxX: 5, minY: 0, maxY: 5 });
+  });
+
+  test('renders everything until the board was measured', () => {
+    expect(getVisibleTileBounds(null, { minX: 0, minY: 0, tileSize: 100 })).toBeNull();
+    expect(isWithinBounds(null, 999, -999)).toBe(true);
+  });
+
+  test('checks positions against the bounds', () => {
+    const bounds = { minX: -1, maxX: 3, minY: 2, maxY: 3 };
+
+    expect(isWithinBounds(bounds, -1, 2)).toBe(true);
+    expect(isWithinBounds(bounds, 3, 3)).toBe(true);
+    expect(isWithinBounds(bounds, 4, 3)).toBe(false);
+    expect(isWithinBounds(bounds, 0, 1)).toBe(false);
+  });
+});
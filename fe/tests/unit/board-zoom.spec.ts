@@ -0,0 +1,68 @@
+import { test, expect } from '@playwright/test';
+import {
+  MAX_ZOOM,
+  MIN_ZOOM,
+  getFitZoom,
+  getStoredZoom,
+  getWheelZoom,
+  isZoomWheel,
+  storeZoom,
+} from '../../src/utils/navigationUtils.js';
+
+const storage = new Map<string, string>();
+(globalThis as any).localStorage ??= {
+  getItem: (key: string) => storage.get(key) ?? null,
+  setItem: (key: string, value: string) => storage.set(key, String(value)),
+  removeItem: (key: string) => storage.delete(key),
+};
+
+const wheel = (deltaY: number, extra: Record<string, any> = {}) => ({ deltaX: 0, deltaY, deltaMode: 0, ctrlKey: false, metaKey: false, ...extra }) as WheelEvent;
+
+test.describe('board zoom', () => {
+  test('zooms on mouse wheels and trackpad pinches, not trackpad scrolling', () => {
+    expect(isZoomWheel(wheel(100))).toBe(true);
+    expect(isZoomWheel(wheel(3, { deltaMode: 1 }))).toBe(true);
+    expect(isZoomWheel(wheel(2.5, { ctrlKey: true }))).toBe(true);
+    expect(isZoomWheel(wheel(12))).toBe(false);
+    expect(isZoomWheel(wheel(100, { deltaX: 4 }))).toBe(false);
+  });
+
+  test('scrolling down zooms out, up zooms in, within range', () => {
+    expect(getWheelZoom(1, wheel(100))).toBeCloseTo(Math.exp(-0.2));
+    expect(getWheelZoom(1, wheel(-100))).toBeCloseTo(Math.exp(0.2));
+    // Three lines weigh about as much as a 48px pixel-mode step
+    expect(getWheelZoom(1, wheel(3, { deltaMode: 1 }))).toBeCloseTo(getWheelZoom(1, wheel(48)));
+    expect(getWheelZoom(MAX_ZOOM, wheel(-1000))).toBe(MAX_ZOOM);
+    expect(getWheelZoom(MIN_ZOOM, wheel(1000))).toBe(MIN_ZOOM);
+  });
+
+  test('fits the explored dungeon without enlarging small boards', () => {
+    const size = { minX: -4, maxX: 5, minY: -1, maxY: 3 };
+
+    // 1000x500 board in an 800x800 view: width decides
+    expect(getFitZoom(size, 100, 800, 800)).toBe(0.8);
+    expect(getFitZoom({ minX: 0, maxX: 0, minY: 0, maxY: 0 }, 100, 800, 800)).toBe(1);
+    expect(getFitZoom({ minX: -50, maxX: 50, minY: 0, maxY: 0 }, 100, 800, 800)).toBe(MIN_ZOOM);
+  });
+
+  test('remembers the zoom per game', () => {
+    expect(getStoredZoom('game-1')).toBeNull();
+
+    storeZoom('game-1', 1.5);
+    storeZoom('game-2', 0.6);
+
+    expect(getStoredZoom('game-1')).toBe(1.5);
+    expect(getStoredZoom('game-2')).toBe(0.6);
+  });
+
+  test('keeps only the latest games', () => {
+    for (let index = 0; index < 25; index += 1) {
+      storeZoom(`old-${index}`, 1.2);
+    }
+    storeZoom('old-0', 0.8);
+
+    expect(getStoredZoom('old-0')).toBe(0.8);
+    expect(getStoredZoom('old-1')).toBeNull();
+    expect(getStoredZoom('old-24')).toBe(1.2);
+  });
+});
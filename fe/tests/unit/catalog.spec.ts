@@ -0,0 +1,70 @@
+import { test, expect } from '@playwright/test';
+import { ITEMS, ITEM_CATEGORIES, MONSTERS, getItemInfo, getMonster, getMonstersDropping, isMonster, searchCatalog } from '../../src/utils/catalog.js';
+import { getMonsterDisplayName, getMonsterEmoji, getMonsterImage } from '../../src/utils/monsterUtils.js';
+import { getItemDamage, getItemEmoji, getItemTooltip } from '../../src/utils/itemUtils.js';
+
+test.describe('catalog', () => {
+  test('matches the backend monster HP and rewards', () => {
+    expect(Object.values(MONSTERS).map(monster => [monster.id, monster.hp, monster.reward])).toEqual([
+      ['giant_rat', 5, 'dagger'],
+      ['giant_spider', 6, 'teleport'],
+      ['mummy', 7, 'fireball'],
+      ['skeleton_turnkey', 8, 'key'],
+      ['skeleton_warrior', 9, 'sword'],
+      ['skeleton_king', 10, 'axe'],
+      ['fallen', 12, 'chest'],
+      ['dragon', 15, 'ruby_chest'],
+    ]);
+    for (const monster of Object.values(MONSTERS)) {
+      expect(ITEMS[monster.reward]).toBeDefined();
+    }
+  });
+
+  test('gives every item a category with its limit', () => {
+    expect(Object.values(ITEMS).map(item => [item.type, item.category, item.damage])).toEqual([
+      ['dagger', 'weapon', 1],
+      ['sword', 'weapon', 2],
+      ['axe', 'weapon', 3],
+      ['fireball', 'spell', 1],
+      ['teleport', 'spell', 0],
+      ['key', 'key', 0],
+      ['chest', 'treasure', 0],
+      ['ruby_chest', 'treasure', 0],
+    ]);
+    expect(Object.values(ITEM_CATEGORIES).map(category => category.limit)).toEqual([1, 2, 3, null]);
+  });
+
+  test('falls back to a placeholder for unknown monsters, whatever their HP', () => {
+    expect(isMonster('skeleton_mage')).toBe(false);
+    expect(getMonster('skeleton_mage')).toMatchObject({ name: 'Skeleton Mage', image: null, emoji: '👹', known: false });
+    expect(getMonster(undefined).name).toBe('Monster');
+    expect(getMonsterImage({ monster_name: 'skeleton_mage', monster: 14 })).toBeNull();
+    expect(getMonsterEmoji({ monster_name: 'skeleton_mage', monster: 3 })).toBe('👹');
+  });
+
+  test('drives the monster and item helpers', () => {
+    expect(getMonsterDisplayName('giant_spider')).toBe('Moyaki');
+    expect(getMonsterImage({ monster_name: 'dragon' })).toBe('/images/items/bullish.webp');
+    expect(getItemEmoji({ name: 'mummy', type: 'fireball', guardHP: 7 })).toBe('🧟');
+    expect(getItemEmoji({ name: 'mummy', type: 'fireball', guardHP: 0 })).toBe('🔥');
+    expect(getItemDamage({ type: 'axe' })).toBe(3);
+    expect(getItemInfo('wand')).toMatchObject({ name: 'Wand', damage: 0, image: null, fieldImage: null, known: false });
+    expect(getItemInfo('chest')).toMatchObject({ image: '/images/chest-opened.webp', fieldImage: '/images/chest-closed.webp' });
+    expect(getItemInfo('sword').fieldImage).toBe('/images/sword.webp');
+    expect(getItemTooltip({ name: 'giant_spider', type: 'teleport', guardHP: 6 }))
+      .toBe('Teleport\nGuard: Moyaki\nHP: 6\nMove to any healing fountain');
+  });
+
+  test('searches names, rewards and effects', () => {
+    expect(searchCatalog('').monsters).toHaveLength(Object.keys(MONSTERS).length);
+
+    const axe = searchCatalog('AXE');
+    expect(axe.monsters.map(monster => monster.id)).toEqual(['skeleton_king']);
+    expect(axe.items.map(item => item.type)).toEqual(['axe']);
+
+    expect(searchCatalog('fountain').items.map(item => item.type)).toEqual(['teleport']);
+    expect(searchCatalog('boss').monsters.map(monster => monster.id)).toEqual(['dragon']);
+    expect(searchCatalog('ubur').items.map(item => item.type)).toEqual(['fireball']);
+    expect(getMonstersDropping('chest').map(monster => monster.name)).toEqual(['Bee']);
+  });
+});
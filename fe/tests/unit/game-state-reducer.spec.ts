@@ -0,0 +1,134 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import path from 'path';
+import {
+  createInitialGameState,
+  foldTurns,
+  reduceAction,
+  reduceTurn,
+  getScores,
+  toGameData,
+  HP_AFTER_STUN,
+} from '../../src/utils/gameStateReducer.js';
+
+const recordedGame = JSON.parse(
+  fs.readFileSync(path.join(__dirname, 'fixtures', 'recorded-game.json'), 'utf8'),
+);
+const turns = recordedGame.turns.turns;
+const finalSnapshot = recordedGame.snapshots[recordedGame.snapshots.length - 1].game;
+
+const summarizeInventory = (inventory) => {
+  const summary = {};
+  for (const category in inventory) {
+    summary[category] = inventory[category].map(item => `${item.type}:${item.treasureValue}`).sort();
+  }
+  return summary;
+};
+
+const snapshotScores = (snapshot) => {
+  const scores = {};
+  snapshot.players.forEach(player => {
+    scores[player.id] = player.inventory.treasures.reduce((sum, item) => sum + item.treasureValue, 0);
+  });
+  return scores;
+};
+
+test.describe('gameStateReducer', () => {
+  for (const { afterTurn, game: snapshot } of recordedGame.snapshots) {
+    test(`folding the turn log up to turn ${afterTurn} matches the getGame snapshot`, () => {
+      const initialState = createInitialGameState(finalSnapshot);
+      const state = foldTurns(turns.filter(turn => turn.turn_number <= afterTurn), initialState);
+      const rebuilt = toGameData(state);
+
+      expect(rebuilt.field.playerPositions).toEqual(snapshot.field.playerPositions);
+      expect(rebuilt.field.tiles.map(tile => tile.position).sort())
+        .toEqual(snapshot.field.tiles.map(tile => tile.position).sort());
+      expect(rebuilt.field.tileOrientations).toEqual(snapshot.field.tileOrientations);
+      expect([...rebuilt.field.roomFieldPlaces].sort()).toEqual([...snapshot.field.roomFieldPlaces].sort());
+      expect(rebuilt.field.size).toEqual(snapshot.field.size);
+      expect(Object.keys(rebuilt.field.items).sort()).toEqual(Object.keys(snapshot.field.items).sort());
+      expect(rebuilt.scores).toEqual(snapshotScores(snapshot));
+
+      snapshot.players.forEach(expected => {
+        const player = rebuilt.players.find(p => p.id === expected.id);
+        expect(player.hp).toBe(expected.hp);
+        expect(player.defeated).toBe(expected.defeated);
+        expect(summarizeInventory(player.inventory)).toEqual(summarizeInventory(expected.inventory));
+      });
+    });
+  }
+
+  test('does not mutate the input state', () => {
+    const initialState = createInitialGameState(finalSnapshot);
+    const before = JSON.stringify(initialState);
+
+    const next = reduceTurn(initialState, turns[0]);
+
+    expect(JSON.stringify(initialState)).toBe(before);
+    expect(next).not.toBe(initialState);
+  });
+
+  test('is deterministic', () => {
+    const first = foldTurns(turns, createInitialGameState(finalSnapshot));
+    const second = foldTurns([...turns].reverse(), createInitialGameState(finalSnapshot));
+
+    expect(second).toEqual(first);
+  });
+
+  test('wakes a stunned player up with minimal HP', () => {
+    const [playerA] = finalSnapshot.players;
+    let state = createInitialGameState(finalSnapshot, { maxHp: 1 });
+    state = reduceAction(state, {
+      action: 'fight_monster',
+      additionalData: { result: 'LOSE', fromPosition: '0,-1', toPosition: '0,-2', monster: {} },
+    }, playerA.id);
+
+    expect(state.players[playerA.id]).toMatchObject({ hp: 0, defeated: true });
+
+    state = reduceTurn(state, { turn_number: 9, player_id: playerA.id, actions: [] });
+
+    expect(state.players[playerA.id]).toMatchObject({ hp: HP_AFTER_STUN, defeated: false });
+  });
+
+  test('heals a player pushed back onto a fountain', () => {
+    const [playerA] = finalSnapshot.players;
+    let state = createInitialGameState(finalSnapshot);
+    state = reduceAction(state, {
+      action: 'fight_monster',
+      additionalData: { result: 'LOSE', fromPosition: '0,-1', toPosition: '0,-2', monster: {} },
+    }, playerA.id);
+    state = reduceAction(state, {
+      action: 'fight_monster',
+      additionalData: { result: 'DRAW', fromPosition: '0,0', toPosition: '0,-1', monster: {} },
+    }, playerA.id);
+
+    expect(state.players[playerA.id].hp).toBe(state.players[playerA.id].maxHp);
+    expect(state.playerPositions[playerA.id]).toBe('0,0');
+  });
+
+  test('uses a key to open a chest and swaps replaced items onto the field', () => {
+    const [playerA] = finalSnapshot.players;
+    let state = foldTurns(turns, createInitialGameState(finalSnapshot));
+    state = reduceAction(state, {
+      action: 'pick_item',
+      additionalData: { position: '0,-2', itemId: 'item-chest-2', monster: { type: 'chest', name: 'skeleton_king' } },
+    }, playerA.id);
+
+    expect(state.players[playerA.id].inventory.keys).toEqual([]);
+    expect(getScores(state)[playerA.id]).toBe(2);
+    expect(state.items['0,-2']).toBeUndefined();
+
+    state = reduceAction(state, {
+      action: 'pick_item',
+      additionalData: {
+        position: '0,-2',
+        itemId: 'item-sword-1',
+        replacedItemId: 'item-chest-2',
+        monster: { type: 'sword', name: 'skeleton_warrior' },
+      },
+    }, playerA.id);
+
+    expect(state.players[playerA.id].inventory.weapons.map(item => item.itemId)).toEqual(['item-sword-1']);
+    expect(state.items['0,-2'].itemId).toBe('item-chest-2');
+  });
+});
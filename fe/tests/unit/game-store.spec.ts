@@ -0,0 +1,125 @@
+import { test, expect } from '@playwright/test';
+import { createGameStore } from '../../src/stores/gameStore.js';
+
+// createGameState reads the player ids from localStorage
+const storage = new Map<string, string>([['currentPlayerId', 'p1']]);
+(globalThis as any).localStorage ??= {
+  getItem: (key: string) => storage.get(key) ?? null,
+  setItem: (key: string, value: string) => storage.set(key, String(value)),
+  removeItem: (key: string) => storage.delete(key),
+};
+
+// Fake gameApi answering every call with the response registered for it
+const createApi = (responses: Record<string, any>) => {
+  const calls: Array<[string, any]> = [];
+  const api: any = new Proxy({}, {
+    get: (_, name: string) => async (params: any) => {
+      calls.push([name, params]);
+      return responses[name];
+    }
+  });
+  return { api, calls };
+};
+
+const battleInfo = { battleId: 'b1', result: 'win', reward: { type: 'sword', name: 'sword' } };
+
+test.describe('gameStore', () => {
+  test('opening a dialog closes the others', () => {
+    const store = createGameStore({ api: createApi({}).api });
+
+    store.openBattleReport(battleInfo);
+    store.openItemPickup({ type: 'key' }, 't1');
+
+    expect(store.battleState.showBattleReportModal).toBe(false);
+    expect(store.battleState.battleInfo).toBeNull();
+    expect(store.inventoryState.showItemPickupDialog).toBe(true);
+    expect(store.inventoryState.tileItem).toEqual({ type: 'key' });
+
+    store.openMissingKey('ruby_chest');
+
+    expect(store.inventoryState.showItemPickupDialog).toBe(false);
+    expect(store.inventoryState.tileItem).toBeNull();
+    expect(store.inventoryState.missingKeyChestType).toBe('ruby_chest');
+  });
+
+  test('opens the inventory full dialog with the item position', async () => {
+    const { api, calls } = createApi({
+      pickItem: {
+        inventoryFull: true,
+        item: { type: 'dagger' },
+        itemCategory: 'weapons',
+        maxItemsInCategory: 2,
+        currentInventory: [{ type: 'sword' }, { type: 'axe' }],
+      }
+    });
+    const store = createGameStore({ api });
+    store.openItemPickup({ type: 'dagger' }, 't1');
+
+    await store.pickItem({ gameId: 'g1', playerId: 'p1', turnId: 't1', position: '1,2' });
+    store.selectItemToReplace({ type: 'axe' });
+
+    expect(calls).toEqual([['pickItem', { gameId: 'g1', playerId: 'p1', turnId: 't1', position: '1,2' }]]);
+    expect(store.inventoryState.showItemPickupDialog).toBe(false);
+    expect(store.inventoryState).toMatchObject({
+      showInventoryFullDialog: true,
+      droppedItem: { type: 'dagger', position: '1,2' },
+      itemCategory: 'weapons',
+      inventoryForCategory: [{ type: 'sword' }, { type: 'axe' }],
+      selectedItemToReplace: { type: 'axe' },
+      isInventoryFullAfterBattle: false,
+    });
+
+    store.closeInventoryFull();
+
+    expect(store.inventoryState.droppedItem).toBeNull();
+    expect(store.inventoryState.selectedItemToReplace).toBeNull();
+  });
+
+  test('opens the missing key dialog when a chest needs a key', async () => {
+    const store = createGameStore({ api: createApi({ pickItem: { missingKey: true, chestType: 'ruby_chest' } }).api });
+
+    await store.pickItem({ position: '0,0' });
+
+    expect(store.inventoryState.showMissingKeyDialog).toBe(true);
+    expect(store.inventoryState.missingKeyChestType).toBe('ruby_chest');
+    expect(store.inventoryState.showInventoryFullDialog).toBe(false);
+  });
+
+  test('keeps the dialogs open when the turn could not end', async () => {
+    const failing = createGameStore({ api: createApi({ endTurn: { success: false, message: 'Place the tile first' } }).api });
+    failing.openBattleReport(battleInfo);
+    await failing.endTurn({ gameId: 'g1' });
+    expect(failing.battleState.showBattleReportModal).toBe(true);
+
+    const store = createGameStore({ api: createApi({ endTurn: { success: true } }).api });
+    store.openBattleReport(battleInfo);
+    await store.endTurn({ gameId: 'g1' });
+    expect(store.battleState.showBattleReportModal).toBe(false);
+  });
+
+  test('checks inventory space for the battle reward', () => {
+    const store = createGameStore({ api: createApi({}).api });
+    store.playerState.currentPlayerId = 'p1';
+    store.setGameData({
+      players: [{ id: 'p1', inventory: { weapons: [{ type: 'dagger' }] } }],
+    });
+    store.openBattleReport(battleInfo);
+
+    expect(store.hasInventorySpaceForReward.value).toBe(true);
+
+    store.gameState.data.players[0].inventory.weapons.push({ type: 'axe' });
+
+    expect(store.hasInventorySpaceForReward.value).toBe(false);
+  });
+
+  test('fetches the game and its turn log', async () => {
+    const game = { gameId: 'g1', players: [], turns: [{ turnId: 't1', turnNumber: 1, playerId: 'p1', actions: [] }] };
+    const { api, calls } = createApi({ getGame: game });
+    const store = createGameStore({ api });
+
+    expect(await store.fetchGame('g1')).toBe(game);
+    expect(calls).toEqual([['getGame', 'g1']]);
+    expect(store.gameState.data).toEqual(game);
+    expect(store.gameState.turns).toEqual(game.turns);
+  });
+});
@@ -0,0 +1,32 @@
+import { test, expect } from '@playwright/test';
+import { HOT_SEAT_COLORS, createDefaultSeats, findHotSeat, isHotSeatGame } from '../../src/utils/hotSeat.js';
+
+const seats = [
+  { id: 'p1', name: 'Ann', color: '#ff0000' },
+  { id: 'p2', name: 'Bo', color: '#00ff00' },
+  { id: 'p3', name: 'Cy', color: '#0000ff' },
+];
+
+test.describe('hotSeat', () => {
+  test('creates between two and four seats with their own colors', () => {
+    expect(createDefaultSeats(1)).toHaveLength(2);
+    expect(createDefaultSeats(9)).toHaveLength(4);
+    expect(createDefaultSeats(3)).toEqual([
+      { name: 'Player 1', color: HOT_SEAT_COLORS[0] },
+      { name: 'Player 2', color: HOT_SEAT_COLORS[1] },
+      { name: 'Player 3', color: HOT_SEAT_COLORS[2] },
+    ]);
+  });
+
+  test('recognizes a game whose players all sit at this device', () => {
+    expect(isHotSeatGame({ players: [{ id: 'p1' }, { id: 'p2' }, { id: 'p3' }] }, seats)).toBe(true);
+    expect(isHotSeatGame({ players: [{ id: 'p1' }, { id: 'remote' }] }, seats)).toBe(false);
+    expect(isHotSeatGame({ players: [{ id: 'p1' }] }, seats)).toBe(false);
+    expect(isHotSeatGame({ players: [{ id: 'p1' }, { id: 'p2' }] }, [])).toBe(false);
+  });
+
+  test('finds the seat of a player', () => {
+    expect(findHotSeat(seats, 'p2')).toEqual(seats[1]);
+    expect(findHotSeat(seats, 'nobody')).toBeNull();
+  });
+});
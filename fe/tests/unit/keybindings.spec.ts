@@ -0,0 +1,85 @@
+import { test, expect } from '@playwright/test';
+import {
+  bindKey,
+  formatKey,
+  getActionKeyLabel,
+  getDefaultKeybindings,
+  getEventKey,
+  getItemSlot,
+  getKeyAction,
+  loadKeybindings,
+  saveKeybindings,
+  unbindKey,
+} from '../../src/utils/keybindings.js';
+import { getNextTarget } from '../../src/utils/keyboardUtils.js';
+
+const storage = new Map<string, string>();
+(globalThis as any).localStorage ??= {
+  getItem: (key: string) => storage.get(key) ?? null,
+  setItem: (key: string, value: string) => storage.set(key, String(value)),
+  removeItem: (key: string) => storage.delete(key),
+};
+
+const key = (name: string, extra: Record<string, any> = {}) => ({ key: name, shiftKey: false, ctrlKey: false, altKey: false, metaKey: false, ...extra }) as KeyboardEvent;
+
+test.describe('key bindings', () => {
+  test('names keys the way bindings store them', () => {
+    expect(getEventKey(key('R', { shiftKey: true }))).toBe('r');
+    expect(getEventKey(key('?', { shiftKey: true }))).toBe('?');
+    expect(getEventKey(key('Tab', { shiftKey: true }))).toBe('Shift+Tab');
+    expect(getEventKey(key('ArrowUp', { ctrlKey: true }))).toBe('Ctrl+ArrowUp');
+  });
+
+  test('finds the action of a key with default and custom bindings', () => {
+    expect(getKeyAction(key('ArrowLeft'))).toBe('moveLeft');
+    expect(getKeyAction(key('Tab', { shiftKey: true }))).toBe('previousTarget');
+    expect(getKeyAction(key('x'))).toBeNull();
+
+    const bindings = bindKey(getDefaultKeybindings(), 'moveLeft', 'a');
+    expect(getKeyAction(key('a'), bindings)).toBe('moveLeft');
+    expect(getKeyAction(key('ArrowLeft'), bindings)).toBe('moveLeft');
+  });
+
+  test('moves a key away from the action that had it', () => {
+    const bindings = bindKey(getDefaultKeybindings(), 'endTurn', 'r');
+
+    expect(bindings.rotateTile).toEqual([]);
+    expect(bindings.endTurn).toEqual(['e', 'r']);
+    // A third key replaces the second one
+    expect(bindKey(bindings, 'endTurn', 'n').endTurn).toEqual(['e', 'n']);
+    expect(unbindKey(bindings, 'endTurn', 'e').endTurn).toEqual(['r']);
+  });
+
+  test('picks item slots with number keys', () => {
+    expect(getItemSlot(key('1'))).toBe(0);
+    expect(getItemSlot(key('9'))).toBe(8);
+    expect(getItemSlot(key('Enter'))).toBe(-1);
+  });
+
+  test('labels keys for hints', () => {
+    expect(formatKey('Shift+Tab')).toBe('Shift+Tab');
+    expect(formatKey('ArrowUp')).toBe('↑');
+    expect(formatKey('r')).toBe('R');
+    expect(getActionKeyLabel(undefined, 'cancel')).toBe('Esc');
+    expect(getActionKeyLabel(unbindKey(getDefaultKeybindings(), 'endTurn', 'e'), 'endTurn')).toBe('');
+  });
+
+  test('keeps saved bindings over the defaults', () => {
+    saveKeybindings({ ...getDefaultKeybindings(), rotateTile: ['q'], removedAction: ['z'] });
+
+    const bindings = loadKeybindings();
+    expect(bindings.rotateTile).toEqual(['q']);
+    expect(bindings.endTurn).toEqual(['e']);
+    expect(bindings).not.toHaveProperty('removedAction');
+  });
+
+  test('cycles targets in reading order', () => {
+    const positions = ['1,0', '-1,1', '0,0'];
+
+    expect(getNextTarget(positions, null, 1)).toBe('0,0');
+    expect(getNextTarget(positions, null, -1)).toBe('-1,1');
+    expect(getNextTarget(positions, '1,0', 1)).toBe('-1,1');
+    expect(getNextTarget(positions, '0,0', -1)).toBe('-1,1');
+    expect(getNextTarget([], null, 1)).toBeNull();
+  });
+});
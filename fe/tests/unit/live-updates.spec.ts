@@ -0,0 +1,181 @@
+import { test, expect } from '@playwright/test';
+import { createLiveUpdates, parseEventStream, LIVE_STATUS } from '../../src/services/liveUpdates.js';
+import { applyGameEvent } from '../../src/utils/gameUtils.js';
+import { LiveEventServer } from '../../e2e/utils/live-event-server';
+
+const GAME_ID = 'live-game';
+const PLAYER_1 = 'player-1';
+const PLAYER_2 = 'player-2';
+
+const createGameData = () => ({
+  gameId: GAME_ID,
+  state: { status: 'started', turn: 1, currentPlayerId: PLAYER_1, currentTurnId: 'turn-1' },
+  players: [
+    { id: PLAYER_1, hp: 5, defeated: false },
+    { id: PLAYER_2, hp: 3, defeated: false },
+  ],
+  field: {
+    tiles: [{ x: 0, y: 0, tileId: 'start', position: '0,0', features: ['healing_fountain'] }],
+    playerPositions: { [PLAYER_1]: '0,0', [PLAYER_2]: '0,0' },
+    size: { width: 1, height: 1, minX: 0, minY: 0, maxX: 0, maxY: 0 },
+    tileOrientations: { '0,0': '╋' },
+    roomFieldPlaces: [],
+    items: {},
+  },
+});
+
+const waitFor = async (condition: () => boolean, timeout = 5000) => {
+  const startedAt = Date.now();
+  while (!condition()) {
+    if (Date.now() - startedAt > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+test.describe('parseEventStream', () => {
+  test('parses complete frames and keeps the incomplete remainder', () => {
+    const { events, rest } = parseEventStream(
+      ': comment\n\nevent: PlayerMoved\nid: 7\ndata: {"playerId":"p","to":"0,1"}\n\nevent: TurnChanged\ndata: {"turn',
+    );
+
+    expect(events).toEqual([
+      { type: 'PlayerMoved', id: '7', retry: null, data: { playerId: 'p', to: '0,1' } },
+    ]);
+    expect(rest).toBe('event: TurnChanged\ndata: {"turn');
+  });
+
+  test('skips frames with malformed JSON', () => {
+    const { events } = parseEventStream('event: TilePlaced\ndata: {oops\n\n');
+    expect(events).toEqual([]);
+  });
+
+  test('keeps the retry delay and resume id of frames without data', () => {
+    const { events } = parseEventStream('retry: 1000\n\nid: 41\n\n');
+    expect(events).toEqual([
+      { type: null, id: null, retry: 1000, data: null },
+      { type: null, id: '41', retry: null, data: null },
+    ]);
+  });
+});
+
+test.describe('applyGameEvent', () => {
+  test('places a tile and grows the field', () => {
+    const gameData = createGameData();
+    const event = {
+      type: 'TilePlaced',
+      data: { tileId: 't1', fieldPlace: '1,0', orientation: 'false,true,false,true', room: true },
+    };
+
+    expect(applyGameEvent(gameData, event)).toEqual({ applied: true, needsResync: false });
+    // Applying the same event twice must not duplicate the tile
+    applyGameEvent(gameData, event);
+
+    expect(gameData.field.tiles.filter(tile => tile.position === '1,0')).toHaveLength(1);
+    expect(gameData.field.tileOrientations['1,0']).toBe('═');
+    expect(gameData.field.roomFieldPlaces).toEqual(['1,0']);
+    expect(gameData.field.size).toMatchObject({ maxX: 1, width: 2, height: 1 });
+  });
+
+  test('moves players and changes health', () => {
+    const gameData = createGameData();
+
+    applyGameEvent(gameData, { type: 'PlayerMoved', data: { playerId: PLAYER_2, from: '0,0', to: '1,0' } });
+    applyGameEvent(gameData, { type: 'PlayerHealthChanged', data: { playerId: PLAYER_2, healthChange: -3 } });
+
+    expect(gameData.field.playerPositions[PLAYER_2]).toBe('1,0');
+    expect(gameData.players[1]).toMatchObject({ hp: 0, defeated: true });
+  });
+
+  test('asks for a snapshot when the turn changes', () => {
+    const gameData = createGameData();
+
+    const result = applyGameEvent(gameData, {
+      type: 'TurnChanged',
+      data: { currentPlayerId: PLAYER_2, turnNumber: 2 },
+    });
+
+    expect(result).toEqual({ applied: true, needsResync: true });
+    expect(gameData.state).toMatchObject({ currentPlayerId: PLAYER_2, turn: 2 });
+  });
+
+  test('ignores unknown events', () => {
+    const gameData = createGameData();
+    expect(applyGameEvent(gameData, { type: 'Unknown', data: {} })).toEqual({ applied: false, needsResync: false });
+  });
+});
+
+test.describe('createLiveUpdates', () => {
+  let server: LiveEventServer;
+  let baseUrl: string;
+
+  test.beforeEach(async () => {
+    server = new LiveEventServer();
+    baseUrl = `${await server.start()}/api`;
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+  });
+
+  test('streams events into the game data', async () => {
+    const gameData = createGameData();
+    const received: string[] = [];
+    const liveUpdates = createLiveUpdates({
+      gameId: GAME_ID,
+      baseUrl,
+      onEvent: event => {
+        received.push(event.type);
+        applyGameEvent(gameData, event);
+      },
+    });
+
+    liveUpdates.connect();
+    await waitFor(() => server.connectionCount(GAME_ID) === 1);
+    expect(liveUpdates.getStatus()).toBe(LIVE_STATUS.OPEN);
+
+    server.publish(GAME_ID, 'TilePlaced', { tileId: 't1', fieldPlace: '0,1', orientation: '║' });
+    server.publish(GAME_ID, 'PlayerMoved', { playerId: PLAYER_1, from: '0,0', to: '0,1' });
+    await waitFor(() => received.length === 2);
+
+    expect(received).toEqual(['TilePlaced', 'PlayerMoved']);
+    expect(gameData.field.playerPositions[PLAYER_1]).toBe('0,1');
+    expect(liveUpdates.getLastEventId()).toBe('2');
+
+    liveUpdates.close();
+    expect(liveUpdates.getStatus()).toBe(LIVE_STATUS.CLOSED);
+  });
+
+  test('resumes from the last event after a disconnect', async () => {
+    const received: string[] = [];
+    const statuses: string[] = [];
+    const liveUpdates = createLiveUpdates({
+      gameId: GAME_ID,
+      baseUrl,
+      onEvent: event => received.push(event.id),
+      onStatusChange: status => statuses.push(status),
+    });
+
+    liveUpdates.connect();
+    await waitFor(() => server.connectionCount(GAME_ID) === 1);
+    server.publish(GAME_ID, 'TurnChanged', { currentPlayerId: PLAYER_2, turnNumber: 2 });
+    await waitFor(() => received.length === 1);
+
+    server.disconnect(GAME_ID);
+    // Published while the client is away, delivered from the buffer on reconnect
+    server.publish(GAME_ID, 'TurnChanged', { currentPlayerId: PLAYER_1, turnNumber: 3 });
+    await waitFor(() => received.length === 2);
+
+    expect(received).toEqual(['1', '2']);
+    expect(statuses).toContain(LIVE_STATUS.RECONNECTING);
+    liveUpdates.close();
+  });
+
+  test('reports unavailable when the server has no stream', async () => {
+    server.markUnavailable(GAME_ID);
+    const liveUpdates = createLiveUpdates({ gameId: GAME_ID, baseUrl, onEvent: () => {} });
+
+    await liveUpdates.connect();
+
+    expect(liveUpdates.getStatus()).toBe(LIVE_STATUS.UNAVAILABLE);
+  });
+});
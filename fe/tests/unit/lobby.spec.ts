@@ -0,0 +1,42 @@
+import { test, expect } from '@playwright/test';
+import { canStartGame, getInviteLink, getLobbySeats, getSeatCount, hasFreeSeat, normalizeSeatCount } from '../../src/utils/lobbyUtils.js';
+
+const lobby = (players: Array<{ id: string; ready: boolean }>, status = 'lobby', seats = 2) => ({
+  gameId: 'game-1',
+  state: { status },
+  players,
+  settings: { seats },
+});
+
+test.describe('lobbyUtils', () => {
+  test('clamps the seat count to what the backend supports', () => {
+    expect(normalizeSeatCount('3')).toBe(3);
+    expect(normalizeSeatCount(9)).toBe(4);
+    expect(normalizeSeatCount(1)).toBe(2);
+    expect(normalizeSeatCount(undefined)).toBe(2);
+  });
+
+  test('builds an invite link to the lobby', () => {
+    expect(getInviteLink('https://example.test', 'game-1')).toBe('https://example.test/lobby/game-1');
+  });
+
+  test('reads the seat count stored on the game', () => {
+    expect(getSeatCount(lobby([], 'lobby', 3))).toBe(3);
+    expect(getSeatCount({ gameId: 'game-1', settings: [] })).toBe(4);
+  });
+
+  test('lays players out on seats and reports free ones', () => {
+    const game = lobby([{ id: 'a', ready: true }], 'lobby', 3);
+
+    expect(getLobbySeats(game)).toEqual([{ id: 'a', ready: true }, null, null]);
+    expect(hasFreeSeat(game)).toBe(true);
+    expect(hasFreeSeat(lobby([{ id: 'a', ready: true }, { id: 'b', ready: false }]))).toBe(false);
+  });
+
+  test('can start only with two or more ready players in the lobby', () => {
+    expect(canStartGame(lobby([{ id: 'a', ready: true }]))).toBe(false);
+    expect(canStartGame(lobby([{ id: 'a', ready: true }, { id: 'b', ready: false }]))).toBe(false);
+    expect(canStartGame(lobby([{ id: 'a', ready: true }, { id: 'b', ready: true }]))).toBe(true);
+    expect(canStartGame(lobby([{ id: 'a', ready: true }, { id: 'b', ready: true }], 'started'))).toBe(false);
+  });
+});
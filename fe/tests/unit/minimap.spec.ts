@@ -0,0 +1,78 @@
+import { test, expect } from '@playwright/test';
+import { HOT_SEAT_COLORS } from '../../src/utils/hotSeat.js';
+import { buildMinimap, getPlayerColor, minimapPointToPosition } from '../../src/utils/minimapUtils.js';
+
+const gameData = {
+  players: [{ id: 'p1' }, { id: 'p2' }, { id: 'p3' }],
+  field: {
+    size: { minX: -1, maxX: 1, minY: 0, maxY: 2 },
+    playerPositions: { p1: '0,0', p2: '0,0', p3: '1,2' },
+  },
+};
+
+const tiles = [
+  { position: '0,0', x: 0, y: 0, isRoom: false },
+  { position: '-1,1', x: -1, y: 1, isRoom: true, hasItem: true, item: { name: 'dragon', type: 'ruby_chest', guardHP: 15 } },
+  { position: '1,1', x: 1, y: 1, isRoom: true, hasItem: true, item: { name: 'giant_rat', type: 'key', guardHP: 3 } },
+  { position: '1,2', x: 1, y: 2, isRoom: false, hasItem: true, item: { name: 'giant_rat', type: 'key', guardDefeated: true } },
+];
+
+test.describe('minimap', () => {
+  test('colors players by hot seat, then by seat order', () => {
+    expect(getPlayerColor(gameData, 'p2', [{ id: 'p2', color: '#123456' }])).toBe('#123456');
+    expect(getPlayerColor(gameData, 'p3')).toBe(HOT_SEAT_COLORS[2]);
+    expect(getPlayerColor(gameData, 'unknown')).toBe(HOT_SEAT_COLORS[0]);
+  });
+
+  test('lays out the board with a border of fog', () => {
+    const layout: any = buildMinimap({ gameData, tiles });
+
+    // 3x3 explored area plus one cell of fog on every side
+    expect(layout.cellSize).toBe(12);
+    expect(layout.origin).toEqual({ x: -2, y: -1 });
+    expect([layout.width, layout.height]).toEqual([60, 60]);
+    expect(layout.cells[0]).toEqual({ key: '0,0', isRoom: false, left: 24, top: 12 });
+    expect(layout.viewport).toBeNull();
+  });
+
+  test('marks monsters, the boss and items', () => {
+    const layout: any = buildMinimap({ gameData, tiles });
+
+    expect(layout.things.map((thing: any) => [thing.key, thing.kind])).toEqual([
+      ['-1,1', 'boss'],
+      ['1,1', 'monster'],
+      ['1,2', 'item'],
+    ]);
+  });
+
+  test('takes the boss from the catalog, not from the monster name', () => {
+    const layout: any = buildMinimap({
+      gameData,
+      tiles: [{ position: '0,1', x: 0, y: 1, isRoom: true, hasItem: true, item: { name: 'dragonfly', type: 'key', guardHP: 2 } }],
+    });
+
+    expect(layout.things.map((thing: any) => thing.kind)).toEqual(['monster']);
+  });
+
+  test('spreads players sharing a tile', () => {
+    const layout: any = buildMinimap({ gameData, tiles });
+
+    expect(layout.players).toEqual([
+      { playerId: 'p1', color: HOT_SEAT_COLORS[0], left: 28, top: 18 },
+      { playerId: 'p2', color: HOT_SEAT_COLORS[1], left: 32, top: 18 },
+      { playerId: 'p3', color: HOT_SEAT_COLORS[2], left: 42, top: 42 },
+    ]);
+  });
+
+  test('draws the viewport and maps clicks back to the board', () => {
+    const layout: any = buildMinimap({ gameData, tiles, viewport: { x: -0.5, y: 0, width: 2, height: 1.5 } });
+
+    expect(layout.viewport).toEqual({ left: 18, top: 12, width: 24, height: 18 });
+    expect(minimapPointToPosition(layout, 25, 13)).toEqual({ x: 0, y: 0 });
+    expect(minimapPointToPosition(layout, 59, 59)).toEqual({ x: 2, y: 3 });
+  });
+
+  test('has nothing to show without a field', () => {
+    expect(buildMinimap({ gameData: { players: [] }, tiles: [] })).toBeNull();
+  });
+});
@@ -0,0 +1,109 @@
+import { test, expect } from '@playwright/test';
+import {
+  MOVES_PER_TURN,
+  canStepBetween,
+  findReachable,
+  getPath,
+  getRemainingMoves,
+  getStopReason,
+} from '../../src/utils/pathfinding.js';
+import { hasMatchingDoors } from '../../src/utils/tileUtils.js';
+
+// A corridor east then south, a monster room west and a fountain north
+//
+//           0,-2 ┃
+//           0,-1 ╋ fountain
+// -2,0 ╋  -1,0 ╬ monster   0,0 ╋ start   1,0 ━   2,0 ┓
+//                          0,1 ━ (no door north)  2,1 ┃
+//                                                 2,2 ┃
+//                                                 2,3 ┃
+const orientations: Record<string, string> = {
+  '0,0': '╋',
+  '1,0': '━',
+  '2,0': '┓',
+  '2,1': '┃',
+  '2,2': '┃',
+  '2,3': '┃',
+  '0,1': '━',
+  '-1,0': '╬',
+  '-2,0': '╋',
+  '0,-1': '╋',
+  '0,-2': '┃',
+};
+
+const createGameData = (hp = 3) => ({
+  players: [{ id: 'p1', hp, maxHp: 5 }],
+  field: {
+    tiles: Object.keys(orientations).map(position => ({
+      position,
+      features: position === '0,-1' ? ['healing_fountain'] : [],
+    })),
+    tileOrientations: orientations,
+    playerPositions: { p1: '0,0' },
+    items: { '-1,0': { name: 'skeleton_king', type: 'sword', guardHP: 5, guardDefeated: false } },
+  },
+});
+
+test.describe('pathfinding', () => {
+  test('matches doors of corridor and room tiles', () => {
+    expect(hasMatchingDoors('┃', '╋', 'bottom')).toBe(true);
+    expect(hasMatchingDoors('━', '╋', 'bottom')).toBe(false);
+    expect(hasMatchingDoors('╬', '━', 'left')).toBe(true);
+  });
+
+  test('steps only between neighbours whose doors face each other', () => {
+    const gameData = createGameData();
+
+    expect(canStepBetween('0,0', '1,0', gameData)).toBe(true);
+    expect(canStepBetween('1,0', '0,0', gameData)).toBe(true);
+    expect(canStepBetween('0,0', '0,1', gameData)).toBe(false);
+    expect(canStepBetween('0,0', '2,0', gameData)).toBe(false);
+    expect(canStepBetween('2,3', '2,4', gameData)).toBe(false);
+  });
+
+  test('counts the moves left in the current turn', () => {
+    const turns = [
+      { turnId: 't1', actions: [{ action: 'move' }, { action: 'pick_tile' }, { action: 'place_tile' }, { action: 'use_teleport' }] },
+    ];
+
+    expect(getRemainingMoves(turns, 't1')).toBe(2);
+    expect(getRemainingMoves(turns, 't2')).toBe(MOVES_PER_TURN);
+    expect(getRemainingMoves([{ turnId: 't1', actions: Array(6).fill({ action: 'move' }) }], 't1')).toBe(0);
+  });
+
+  test('knows which tiles end the route', () => {
+    const gameData = createGameData();
+
+    expect(getStopReason('-1,0', gameData, 'p1')).toBe('battle');
+    expect(getStopReason('0,-1', gameData, 'p1')).toBe('fountain');
+    expect(getStopReason('0,-1', createGameData(5), 'p1')).toBeNull();
+    expect(getStopReason('1,0', gameData, 'p1')).toBeNull();
+
+    gameData.field.items['1,0'] = { name: 'giant_rat', type: 'key', guardHP: 0, guardDefeated: true };
+    expect(getStopReason('1,0', gameData, 'p1')).toBe('pickup');
+  });
+
+  test('finds every tile within the moves left, without walking through monsters or fountains', () => {
+    const reachable = findReachable(createGameData(), 'p1', 4);
+    const steps = Object.fromEntries([...reachable].map(([position, { steps }]) => [position, steps]));
+
+    expect(steps).toEqual({ '0,0': 0, '1,0': 1, '-1,0': 1, '0,-1': 1, '2,0': 2, '2,1': 3, '2,2': 4 });
+    expect(reachable.get('-1,0')?.stop).toBe('battle');
+  });
+
+  test('walks past the fountain at full health', () => {
+    const reachable = findReachable(createGameData(5), 'p1', 2);
+
+    expect(reachable.get('0,-2')?.steps).toBe(2);
+    expect(reachable.has('2,1')).toBe(false);
+  });
+
+  test('returns the route to a reachable tile', () => {
+    const reachable = findReachable(createGameData(), 'p1', 4);
+
+    expect(getPath(reachable, '2,2')).toEqual(['1,0', '2,0', '2,1', '2,2']);
+    expect(getPath(reachable, '1,0')).toEqual(['1,0']);
+    expect(getPath(reachable, '0,0')).toEqual([]);
+    expect(getPath(reachable, '2,3')).toEqual([]);
+  });
+});
@@ -0,0 +1,67 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import path from 'path';
+import {
+  createReplayFile,
+  parseReplayFile,
+  validateReplayFile,
+  REPLAY_FILE_VERSION,
+} from '../../src/utils/replayFile.js';
+import { createReplayManager } from '../../src/utils/replayUtils.js';
+
+const recordedGame = JSON.parse(
+  fs.readFileSync(path.join(__dirname, 'fixtures', 'recorded-game.json'), 'utf8'),
+);
+const finalSnapshot = recordedGame.snapshots[recordedGame.snapshots.length - 1].game;
+
+test.describe('replay files', () => {
+  test('survive a round trip through JSON', () => {
+    const file = createReplayFile(finalSnapshot, recordedGame.turns);
+    const loaded = parseReplayFile(JSON.stringify(file));
+
+    expect(loaded.version).toBe(REPLAY_FILE_VERSION);
+    expect(loaded.gameId).toBe(finalSnapshot.gameId);
+    expect(loaded.turns).toEqual(recordedGame.turns);
+    expect(loaded.players.map(player => player.id)).toEqual(finalSnapshot.players.map(player => player.id));
+  });
+
+  test('reject unknown versions', () => {
+    const file = { ...createReplayFile(finalSnapshot, recordedGame.turns), version: REPLAY_FILE_VERSION + 1 };
+
+    expect(() => parseReplayFile(JSON.stringify(file))).toThrow(/Unsupported replay file version/);
+  });
+
+  test('report where the file does not match the schema', () => {
+    const file = createReplayFile(finalSnapshot, recordedGame.turns);
+    file.turns.turns[1].actions = 'none';
+    delete file.snapshot.field;
+
+    expect(validateReplayFile(file)).toEqual([
+      'snapshot.field should be object, got undefined',
+      'turns.turns[1].actions should be array, got string',
+    ]);
+  });
+
+  test('reject anything that is not a replay file', () => {
+    expect(() => parseReplayFile('{oops')).toThrow('Replay file is not valid JSON');
+    expect(() => parseReplayFile(JSON.stringify(finalSnapshot))).toThrow(/Not a replay file/);
+  });
+
+  test('play without the backend', async () => {
+    const gameData = { value: JSON.parse(JSON.stringify(finalSnapshot)) };
+    const replayState = { isReplaying: false, replaySpeed: 1 } as Record<string, any>;
+    const gameApi = {
+      getGame: async () => { throw new Error('backend called'); },
+      getGameTurns: async () => { throw new Error('backend called'); },
+    };
+    const manager = createReplayManager(gameApi, gameData, replayState, () => {}, () => {});
+
+    manager.startReplayFromFile(parseReplayFile(JSON.stringify(createReplayFile(finalSnapshot, recordedGame.turns))));
+    manager.pause();
+    manager.jumpToTurn(1);
+
+    expect(replayState.isReplaying).toBe(true);
+    expect(replayState.currentReplayTurn).toBe(2);
+    manager.finishReplay();
+  });
+});
@@ -0,0 +1,141 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import path from 'path';
+import { buildReplayTimeline, buildReplayBattleInfo, createReplayManager } from '../../src/utils/replayUtils.js';
+import { toGameData } from '../../src/utils/gameStateReducer.js';
+
+const recordedGame = JSON.parse(
+  fs.readFileSync(path.join(__dirname, 'fixtures', 'recorded-game.json'), 'utf8'),
+);
+const turns = recordedGame.turns.turns;
+const finalSnapshot = recordedGame.snapshots[recordedGame.snapshots.length - 1].game;
+
+test.describe('buildReplayTimeline', () => {
+  test('produces one step per recorded action', () => {
+    const { turns: replayTurns, steps } = buildReplayTimeline(turns, finalSnapshot);
+    const actionCount = turns.reduce((sum, turn) => sum + turn.actions.length, 0);
+
+    expect(replayTurns.map(turn => turn.turnNumber)).toEqual(turns.map(turn => turn.turn_number));
+    expect(steps).toHaveLength(actionCount);
+    expect(steps.map(step => step.action.action)).toContain('fight_monster');
+    expect(steps.map(step => step.action.action)).toContain('pick_item');
+  });
+
+  test('ends on the same positions and HP as the final snapshot', () => {
+    const { steps } = buildReplayTimeline(turns, finalSnapshot);
+    const last = toGameData(steps[steps.length - 1].state);
+
+    expect(last.field.playerPositions).toEqual(finalSnapshot.field.playerPositions);
+    finalSnapshot.players.forEach(expected => {
+      expect(last.players.find(player => player.id === expected.id).hp).toBe(expected.hp);
+    });
+  });
+
+  test('attaches a read-only battle report to fights', () => {
+    const { steps } = buildReplayTimeline(turns, finalSnapshot);
+    const fights = steps.filter(step => step.battle);
+
+    expect(fights.length).toBeGreaterThan(0);
+    fights.forEach(step => {
+      expect(step.battle).toMatchObject({
+        player: step.playerId,
+        needsConsumableConfirmation: false,
+      });
+      expect(['win', 'lose', 'draw']).toContain(step.battle.result);
+      expect(step.hpBefore).not.toBeNull();
+    });
+  });
+});
+
+test.describe('buildReplayBattleInfo', () => {
+  test('maps a won chest fight to an auto-collected reward', () => {
+    const info = buildReplayBattleInfo({
+      monster: { name: 'mummy', type: 'chest', hp: 7 },
+      diceResults: [6, 3],
+      diceRollDamage: 9,
+      itemDamage: 0,
+      totalDamage: 9,
+      usedItems: [],
+      result: 'WIN',
+    }, 'player-1', 'battle-1');
+
+    expect(info).toMatchObject({
+      battleId: 'battle-1',
+      result: 'win',
+      monster: 7,
+      monsterType: 'mummy',
+      reward: { type: 'chest', treasureValue: 2, autoCollected: true },
+    });
+  });
+
+  test('has no reward after a loss', () => {
+    const info = buildReplayBattleInfo({ monster: { name: 'giant_rat', type: 'key', hp: 5 }, result: 'LOSE' }, 'p', 'b');
+    expect(info.reward).toBeNull();
+  });
+});
+
+test.describe('ReplayManager', () => {
+  const startPausedReplay = async () => {
+    const gameData = { value: JSON.parse(JSON.stringify(finalSnapshot)) };
+    const replayState = { isReplaying: false, replaySpeed: 1 } as Record<string, any>;
+    const gameApi = { getGameTurns: async () => recordedGame.turns };
+    const manager = createReplayManager(gameApi, gameData, replayState, () => {}, () => {});
+
+    await manager.startReplay(finalSnapshot.gameId);
+    manager.pause();
+    return { manager, gameData, replayState };
+  };
+
+  test('seeks backwards by rebuilding the board', async () => {
+    const { manager, gameData, replayState } = await startPausedReplay();
+    const { steps } = buildReplayTimeline(turns, finalSnapshot);
+
+    manager.seekToStep(steps.length - 1);
+    const tilesAtEnd = gameData.value.field.tiles.length;
+
+    manager.seekToStep(2);
+    expect(replayState.currentStep).toBe(2);
+    expect(gameData.value.field.tiles.length).toBeLessThan(tilesAtEnd);
+    expect(gameData.value.field.tiles.map(tile => tile.position).sort())
+      .toEqual(toGameData(steps[2].state).field.tiles.map(tile => tile.position).sort());
+  });
+
+  test('steps by turn and jumps to a turn', async () => {
+    const { manager, replayState } = await startPausedReplay();
+
+    manager.nextTurn();
+    manager.nextTurn();
+    expect(replayState.currentReplayTurn).toBe(2);
+    expect(replayState.currentActionIndex).toBe(0);
+
+    manager.stepForward();
+    manager.previousTurn();
+    expect(replayState.currentReplayTurn).toBe(2);
+    expect(replayState.currentActionIndex).toBe(0);
+
+    manager.jumpToTurn(4);
+    expect(replayState.currentReplayTurn).toBe(5);
+  });
+
+  test('stops without confirmation and restores the game', async () => {
+    const { manager, gameData, replayState } = await startPausedReplay();
+
+    manager.seekToStep(0);
+    manager.finishReplay();
+
+    expect(replayState.isReplaying).toBe(false);
+    expect(gameData.value).toEqual(finalSnapshot);
+  });
+
+  test('opens paused at the turn and speed from a link', async () => {
+    const gameData = { value: JSON.parse(JSON.stringify(finalSnapshot)) };
+    const replayState = { isReplaying: false, replaySpeed: 1 } as Record<string, any>;
+    const gameApi = { getGameTurns: async () => recordedGame.turns };
+    const manager = createReplayManager(gameApi, gameData, replayState, () => {}, () => {});
+
+    await manager.startReplay(finalSnapshot.gameId, { turn: 3, speed: 2 });
+
+    expect(replayState).toMatchObject({ isPaused: true, currentReplayTurn: 3, currentActionIndex: 0, replaySpeed: 2 });
+    manager.finishReplay();
+  });
+});
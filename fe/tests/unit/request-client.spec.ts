@@ -0,0 +1,147 @@
+import { test, expect } from '@playwright/test';
+import { IDEMPOTENCY_HEADER, createRequestClient, getRetryDelay, isTransientError } from '../../src/services/requestClient.js';
+
+const networkError = () => Object.assign(new Error('Network Error'), { code: 'ERR_NETWORK' });
+const httpError = (status: number) => Object.assign(new Error(`Status ${status}`), { response: { status } });
+
+// Fake axios instance that answers from a list of outcomes and records every request
+const createHttp = (outcomes: Array<Error | object>) => {
+  const calls: any[] = [];
+  return {
+    calls,
+    request: async (config: any) => {
+      calls.push(config);
+      const outcome = outcomes.shift() ?? { data: 'ok' };
+      if (outcome instanceof Error) throw outcome;
+      return outcome;
+    }
+  };
+};
+
+const createClient = (http: any, options: any = {}) => createRequestClient(http, {
+  sleep: async () => {},
+  onlineTarget: null,
+  ...options
+});
+
+test.describe('requestClient', () => {
+  test('classifies transient errors', () => {
+    expect(isTransientError(networkError())).toBe(true);
+    expect(isTransientError(httpError(503))).toBe(true);
+    expect(isTransientError(httpError(400))).toBe(false);
+    expect(isTransientError(httpError(409))).toBe(false);
+    expect(isTransientError(httpError(409), true)).toBe(true);
+  });
+
+  test('grows the retry delay up to the limit', () => {
+    expect(getRetryDelay(0, 100, 1000)).toBeLessThanOrEqual(100);
+    expect(getRetryDelay(2, 100, 1000)).toBeGreaterThanOrEqual(320);
+    expect(getRetryDelay(10, 100, 1000)).toBeLessThanOrEqual(1000);
+  });
+
+  test('retries GET requests with backoff until they succeed', async () => {
+    const http = createHttp([networkError(), httpError(502), { data: 'state' }]);
+    const delays: number[] = [];
+    const client = createClient(http, { sleep: async (ms: number) => { delays.push(ms); } });
+
+    const response: any = await client.get('/game/1');
+
+    expect(response.data).toBe('state');
+    expect(http.calls).toHaveLength(3);
+    expect(delays).toHaveLength(2);
+    expect(delays[1]).toBeGreaterThan(delays[0]);
+  });
+
+  test('gives up after the configured number of retries', async () => {
+    const http = createHttp([httpError(503), httpError(503), httpError(503)]);
+    const client = createClient(http, { retries: 2 });
+
+    await expect(client.get('/game/1')).rejects.toThrow('Status 503');
+    expect(http.calls).toHaveLength(3);
+  });
+
+  test('does not retry plain POST requests', async () => {
+    const http = createHttp([networkError()]);
+    const client = createClient(http);
+
+    await expect(client.post('/game/create', {})).rejects.toThrow('Network Error');
+    expect(http.calls).toHaveLength(1);
+    expect(http.calls[0].headers?.[IDEMPOTENCY_HEADER]).toBeUndefined();
+  });
+
+  test('keeps the idempotency key across retries', async () => {
+    const http = createHttp([networkError(), httpError(409), { data: 'moved' }]);
+    const client = createClient(http);
+
+    const response: any = await client.post('/game/move-player', { x: 1 }, { idempotent: true });
+
+    expect(response.data).toBe('moved');
+    expect(http.calls).toHaveLength(3);
+    const keys = http.calls.map(call => call.headers[IDEMPOTENCY_HEADER]);
+    expect(keys[0]).toBeTruthy();
+    expect(new Set(keys).size).toBe(1);
+  });
+
+  test('queues idempotent requests while offline and replays them in order', async () => {
+    let online = false;
+    const onlineTarget = new EventTarget();
+    const sizes: number[] = [];
+    const http = createHttp([{ data: 'first' }, { data: 'second' }]);
+    const client = createClient(http, {
+      isOnline: () => online,
+      onlineTarget,
+      onQueueChange: (size: number) => sizes.push(size)
+    });
+
+    const first = client.post('/game/move-player', { step: 1 }, { idempotent: true });
+    const second = client.post('/game/end-turn', { step: 2 }, { idempotent: true });
+
+    expect(client.queueSize()).toBe(2);
+    expect(http.calls).toHaveLength(0);
+
+    online = true;
+    onlineTarget.dispatchEvent(new Event('online'));
+
+    expect(((await first) as any).data).toBe('first');
+    expect(((await second) as any).data).toBe('second');
+    expect(http.calls.map(call => call.url)).toEqual(['/game/move-player', '/game/end-turn']);
+    expect(client.queueSize()).toBe(0);
+    expect(sizes).toEqual([1, 2, 1, 0]);
+  });
+
+  test('keeps a queued request when the network drops again during replay', async () => {
+    let online = false;
+    const http = createHttp([networkError(), networkError(), networkError(), networkError(), { data: 'done' }]);
+    const client = createClient(http, { isOnline: () => online });
+
+    const pending = client.post('/game/pick-item', {}, { idempotent: true });
+    online = true;
+    await client.flush();
+    expect(client.queueSize()).toBe(1);
+
+    await client.flush();
+    expect(((await pending) as any).data).toBe('done');
+    expect(client.queueSize()).toBe(0);
+  });
+
+  test('retries the queue while online and rejects it once the server stays unreachable', async () => {
+    let online = false;
+    const delays: number[] = [];
+    const http = createHttp(Array.from({ length: 4 }, () => networkError()));
+    const client = createClient(http, {
+      retries: 1,
+      isOnline: () => online,
+      sleep: async (ms: number) => { delays.push(ms); }
+    });
+
+    const pending = client.post('/game/end-turn', {}, { idempotent: true });
+    online = true;
+    client.flush();
+
+    await expect(pending).rejects.toThrow('Network Error');
+    // Two attempts per round, one round scheduled after the first
+    expect(http.calls).toHaveLength(4);
+    expect(delays).toHaveLength(3);
+    expect(client.queueSize()).toBe(0);
+  });
+});
@@ -0,0 +1,26 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import path from 'path';
+import { getRouteViewName } from '../../src/router/routeViews.js';
+
+// Paths declared in the router, read from its source since it imports the .vue views
+const routerSource = fs.readFileSync(path.join(__dirname, '..', '..', 'src', 'router', 'index.js'), 'utf8');
+const routePaths = [...routerSource.matchAll(/path: '([^']+)'/g)].map(match => match[1]);
+
+test.describe('route views', () => {
+  test('renders a view for every route the router declares', () => {
+    expect(routePaths).toContain('/compendium');
+
+    for (const routePath of routePaths.filter(routePath => !routePath.includes('pathMatch'))) {
+      expect(getRouteViewName(routePath.replace(/:\w+/g, 'abc')), routePath).not.toBe('not-found');
+    }
+  });
+
+  test('maps paths to their views', () => {
+    expect(getRouteViewName('/')).toBe('home');
+    expect(getRouteViewName('/game/abc/replay')).toBe('game');
+    expect(getRouteViewName('/rules')).toBe('rules');
+    expect(getRouteViewName('/compendium')).toBe('compendium');
+    expect(getRouteViewName('/nowhere')).toBe('not-found');
+  });
+});
@@ -0,0 +1,22 @@
+import { test, expect } from '@playwright/test';
+import { isSpectator } from '../../src/utils/playerUtils.js';
+
+const gameData = (status: string) => ({
+  state: { status },
+  players: [{ id: 'player-1' }, { id: 'player-2' }],
+});
+
+test.describe('isSpectator', () => {
+  test('is true for viewers without a seat in a running game', () => {
+    expect(isSpectator(gameData('started'), ['someone-else', null])).toBe(true);
+    expect(isSpectator(gameData('finished'), [])).toBe(true);
+  });
+
+  test('is false for players of the game', () => {
+    expect(isSpectator(gameData('started'), [null, 'player-2'])).toBe(false);
+  });
+
+  test('is false in the lobby, where viewers may still join', () => {
+    expect(isSpectator(gameData('lobby'), ['someone-else'])).toBe(false);
+  });
+});
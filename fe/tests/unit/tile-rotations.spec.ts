@@ -0,0 +1,103 @@
+import { test, expect } from '@playwright/test';
+import {
+  getValidRotations,
+  handleInitialTileOrientation,
+  rotateGhostTile,
+  rotateOrientation,
+} from '../../src/utils/tileUtils.js';
+
+// The player stands on a crossroads at 0,0 and places a tile east of it, at 1,0.
+// 2,0 is a corridor open to the west, 1,-1 a corridor closed to the south.
+const createGameData = () => ({
+  field: {
+    tiles: ['0,0', '2,0', '1,-1'].map(position => ({ position })),
+    tileOrientations: { '0,0': '╋', '2,0': '━', '1,-1': '━' },
+    playerPositions: { p1: '0,0' },
+  },
+});
+
+// A fake rotate endpoint applying the backend rule: try topSide, then clockwise, until the required side is open
+const createRotateApi = (orientation: string) => {
+  const calls: any[] = [];
+  const rotateTileApi = async (request: any) => {
+    calls.push(request);
+    for (let i = 0; i < 4; i++) {
+      const rotated = rotateOrientation(orientation, (request.topSide - i + 4) % 4);
+      if (rotated.split(',')[request.requiredOpenSide] === 'true') {
+        orientation = rotated;
+        break;
+      }
+    }
+    return { tile: { orientation } };
+  };
+  return { calls, rotateTileApi };
+};
+
+const params = (pickedTile: { orientation: string }, rotateTileApi: any) => ({
+  position: '1,0',
+  ghostTilePosition: '1,0',
+  pickedTile,
+  pickedTileId: 't1',
+  gameData: createGameData(),
+  currentPlayerId: 'p1',
+  gameId: 'g1',
+  currentTurnId: 'turn1',
+  rotateTileApi,
+});
+
+test.describe('tile rotations', () => {
+  test('rotates like the backend does for a top side', () => {
+    // Top and right open
+    expect(rotateOrientation('true,true,false,false', 0)).toBe('true,true,false,false');
+    expect(rotateOrientation('true,true,false,false', 3)).toBe('false,true,true,false');
+    expect(rotateOrientation('true,true,false,false', 2)).toBe('false,false,true,true');
+    expect(rotateOrientation('┗', 1)).toBe('true,false,false,true');
+  });
+
+  test('lists distinct rotations that open towards the player', () => {
+    const rotations = getValidRotations('1,0', 'true,false,true,true', createGameData(), 'p1');
+
+    // Without the one closed to the west, clockwise from the current one
+    expect(rotations.map(r => r.topSide)).toEqual([0, 3, 1]);
+    expect(rotations.map(r => r.orientation)).toEqual([
+      'true,false,true,true',
+      'true,true,false,true',
+      'false,true,true,true',
+    ]);
+
+    // A straight corridor only has two distinct orientations
+    expect(getValidRotations('1,0', '━', createGameData(), 'p1').map(r => r.topSide)).toEqual([0]);
+  });
+
+  test('counts neighbours each rotation opens onto', () => {
+    const [asIs] = getValidRotations('1,0', 'true,true,false,true', createGameData(), 'p1');
+
+    // Joins the player and the corridor east, while its top door hits the wall of 1,-1
+    expect(asIs).toMatchObject({ topSide: 0, connections: 2, deadEnds: 1 });
+  });
+
+  test('turns the ghost to the next valid rotation with one call', async () => {
+    const api = createRotateApi('false,false,true,true');
+    let placed: any = null;
+
+    const rotated = await rotateGhostTile({
+      ...params({ orientation: 'false,false,true,true' }, api.rotateTileApi),
+      onSuccess: (tile: any) => { placed = tile; },
+    });
+
+    expect(rotated).toBe(true);
+    expect(api.calls).toHaveLength(1);
+    expect(api.calls[0]).toMatchObject({ topSide: 3, requiredOpenSide: 3 });
+    expect(placed.orientation).toBe('true,false,false,true');
+  });
+
+  test('settles the initial orientation with at most one call', async () => {
+    const valid = createRotateApi('true,false,false,true');
+    expect(await handleInitialTileOrientation(params({ orientation: 'true,false,false,true' }, valid.rotateTileApi))).toBe(true);
+    expect(valid.calls).toHaveLength(0);
+
+    const invalid = createRotateApi('true,true,false,false');
+    expect(await handleInitialTileOrientation(params({ orientation: 'true,true,false,false' }, invalid.rotateTileApi))).toBe(true);
+    expect(invalid.calls).toHaveLength(1);
+  });
+});
@@ -0,0 +1,49 @@
+import { test, expect } from '@playwright/test';
+import {
+  MAX_ZOOM,
+  MIN_ZOOM,
+  clampZoom,
+  contentPointToPosition,
+  getAnchoredScroll,
+  getAngleDelta,
+  getPinchGeometry,
+} from '../../src/utils/navigationUtils.js';
+
+const point = (clientX: number, clientY: number) => ({ clientX, clientY });
+
+test.describe('touch gestures', () => {
+  test('measures the center, spread and angle of two fingers', () => {
+    const geometry = getPinchGeometry(point(100, 100), point(130, 140));
+
+    expect(geometry.x).toBe(115);
+    expect(geometry.y).toBe(120);
+    expect(geometry.distance).toBe(50);
+    expect(getPinchGeometry(point(0, 0), point(0, 10)).angle).toBe(90);
+  });
+
+  test('takes the shortest turn between two angles', () => {
+    expect(getAngleDelta(10, 80)).toBe(70);
+    expect(getAngleDelta(170, -170)).toBe(20);
+    expect(getAngleDelta(-170, 170)).toBe(-20);
+  });
+
+  test('keeps pinch zoom in range', () => {
+    expect(clampZoom(5)).toBe(MAX_ZOOM);
+    expect(clampZoom(0.1)).toBe(MIN_ZOOM);
+    expect(clampZoom(1.3)).toBe(1.3);
+  });
+
+  test('keeps the content under the gesture center while zooming', () => {
+    // Content starts 20px into the field; at zoom 1 the point 300,200 sits under the anchor
+    const zoomed = getAnchoredScroll({ contentX: 300, contentY: 200, anchorX: 150, anchorY: 100, offsetX: 20, offsetY: 20, zoom: 2 });
+
+    expect(zoomed).toEqual({ scrollLeft: 470, scrollTop: 320 });
+    // Back in content pixels: (scroll + anchor - offset) / zoom
+    expect((zoomed.scrollLeft + 150 - 20) / 2).toBe(300);
+    expect((zoomed.scrollTop + 100 - 20) / 2).toBe(200);
+  });
+
+  test('finds the board position under a long-press', () => {
+    expect(contentPointToPosition(250, 30, { minX: -2, minY: -1, tileSize: 100 })).toEqual({ x: 0, y: -1, position: '0,-1' });
+  });
+});
@@ -0,0 +1,26 @@
+<?php
+
+declare(strict_types=1);
+
+namespace DoctrineMigrations;
+
+use Doctrine\DBAL\Schema\Schema;
+use Doctrine\Migrations\AbstractMigration;
+
+final class Version20261019190000 extends AbstractMigration
+{
+    public function getDescription(): string
+    {
+        return 'Store the seat count of a game';
+    }
+
+    public function up(Schema $schema): void
+    {
+        $this->addSql('ALTER TABLE game.game ADD seats INT DEFAULT 4 NOT NULL');
+    }
+
+    public function down(Schema $schema): void
+    {
+        $this->addSql('ALTER TABLE game.game DROP seats');
+    }
+}
@@ -0,0 +1,26 @@
+<?php
+
+declare(strict_types=1);
+
+namespace DoctrineMigrations;
+
+use Doctrine\DBAL\Schema\Schema;
+use Doctrine\Migrations\AbstractMigration;
+
+final class Version20261019200000 extends AbstractMigration
+{
+    public function getDescription(): string
+    {
+        return 'Store the strategy an AI player was added with';
+    }
+
+    public function up(Schema $schema): void
+    {
+        $this->addSql('ALTER TABLE player.player ADD ai_strategy VARCHAR(255) DEFAULT NULL');
+    }
+
+    public function down(Schema $schema): void
+    {
+        $this->addSql('ALTER TABLE player.player DROP ai_strategy');
+    }
+}
@@ -0,0 +1,29 @@
+<?php
+
+declare(strict_types=1);
+
+namespace DoctrineMigrations;
+
+use Doctrine\DBAL\Schema\Schema;
+use Doctrine\Migrations\AbstractMigration;
+
+final class Version20261019210000 extends AbstractMigration
+{
+    public function getDescription(): string
+    {
+        return 'Log the live events of a game for the event stream';
+    }
+
+    public function up(Schema $schema): void
+    {
+        $this->addSql('CREATE SCHEMA live_event');
+        $this->addSql('CREATE TABLE live_event.game_event (id BIGSERIAL NOT NULL, game_id UUID NOT NULL, type VARCHAR(64) NOT NULL, payload JSONB NOT NULL, occurred_at TIMESTAMP(0) WITHOUT TIME ZONE NOT NULL, PRIMARY KEY(id))');
+        $this->addSql('CREATE INDEX game_event_game_id_id_idx ON live_event.game_event (game_id, id)');
+    }
+
+    public function down(Schema $schema): void
+    {
+        $this->addSql('DROP TABLE live_event.game_event');
+        $this->addSql('DROP SCHEMA live_event');
+    }
+}
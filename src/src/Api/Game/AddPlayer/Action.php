@@ -28,6 +28,7 @@ final readonly class Action
                 username: $request->username,
                 walletAddress: $request->walletAddress,
                 isAi: $request->isAi,
+                aiStrategy: $request->aiStrategy,
             ));
         } catch (\Throwable $e) {
             return new Error(Uuid::v7(), 'Failed to add player to game: ' . $e->getMessage());
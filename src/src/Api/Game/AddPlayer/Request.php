@@ -4,6 +4,7 @@ declare(strict_types=1);
 
 namespace App\Api\Game\AddPlayer;
 
+use App\Game\AI\AIConfiguration;
 use App\Infrastructure\Uuid\Uuid;
 use Symfony\Component\Validator\Constraints as Assert;
 
@@ -20,5 +21,7 @@ final readonly class Request
         public ?string $username = null,
         public ?string $walletAddress = null,
         public bool $isAi = false,
+        #[Assert\Choice(callback: [AIConfiguration::class, 'getAvailableStrategies'])]
+        public ?string $aiStrategy = null,
     ) {}
 }
@@ -0,0 +1,40 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Api\Game\ChangeSeats;
+
+use App\Api\Error;
+use App\Game\GameLifecycle\ChangeSeats;
+use App\Game\GameLifecycle\GetGame;
+use App\Infrastructure\Uuid\Uuid;
+use Symfony\Component\HttpKernel\Attribute\MapRequestPayload;
+use Symfony\Component\Routing\Attribute\Route;
+use Telephantast\MessageBus\MessageBus;
+
+final readonly class Action
+{
+    #[Route('/game/seats', name: 'api_game_change_seats', methods: ['POST'])]
+    public function __invoke(
+        #[MapRequestPayload]
+        Request $request,
+        MessageBus $messageBus,
+    ): Response|Error {
+        try {
+            $messageBus->dispatch(new ChangeSeats(
+                gameId: $request->gameId,
+                playerId: $request->playerId,
+                seats: $request->seats,
+            ));
+            // Joined players may have kept more seats than asked for
+            $game = $messageBus->dispatch(new GetGame($request->gameId));
+        } catch (\Throwable $e) {
+            return new Error(Uuid::v7(), 'Could not change seats: ' . $e->getMessage());
+        }
+
+        return new Response(
+            gameId: $request->gameId,
+            seats: $game->getSeats(),
+        );
+    }
+}
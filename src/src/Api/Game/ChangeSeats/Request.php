@@ -0,0 +1,22 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Api\Game\ChangeSeats;
+
+use App\Infrastructure\Uuid\Uuid;
+use Symfony\Component\Validator\Constraints as Assert;
+
+final readonly class Request
+{
+    public function __construct(
+        #[Assert\NotBlank]
+        #[Assert\Uuid]
+        public Uuid $gameId,
+        #[Assert\NotBlank]
+        #[Assert\Uuid]
+        public Uuid $playerId,
+        #[Assert\Range(min: 2, max: 4)]
+        public int $seats,
+    ) {}
+}
@@ -13,5 +13,7 @@ final readonly class Request
         #[Assert\NotBlank]
         #[Assert\Uuid]
         public Uuid $gameId,
+        #[Assert\Range(min: 2, max: 4)]
+        public int $seats = 4,
     ) {}
 }
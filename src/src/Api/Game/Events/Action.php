@@ -0,0 +1,79 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Api\Game\Events;
+
+use App\Api\Error;
+use App\Game\GameLifecycle\Error\GameNotFoundException;
+use App\Game\GameLifecycle\GetGame;
+use App\Game\LiveEvents\GameEventLog;
+use App\Infrastructure\Uuid\Uuid;
+use Symfony\Component\HttpFoundation\Request as HttpRequest;
+use Symfony\Component\HttpFoundation\StreamedResponse;
+use Symfony\Component\Routing\Attribute\Route;
+use Telephantast\MessageBus\MessageBus;
+
+/**
+ * Server-sent events stream of a game: TilePlaced, PlayerMoved, BattleCompleted, TurnChanged and GameEnded.
+ * The stream is closed after STREAM_SECONDS so a worker is not held for the whole game,
+ * the client reconnects after RETRY_MS and resumes from the last id it got.
+ */
+final readonly class Action
+{
+    private const int RETRY_MS = 1000;
+    private const int STREAM_SECONDS = 25;
+    private const int POLL_INTERVAL_US = 500_000;
+
+    public function __construct(
+        private MessageBus $messageBus,
+        private GameEventLog $gameEventLog,
+    ) {}
+
+    #[Route('/game/{gameId}/events', methods: ['GET'])]
+    public function __invoke(string $gameId, HttpRequest $httpRequest): StreamedResponse|Error
+    {
+        try {
+            $gameUuid = Uuid::fromString($gameId);
+            $this->messageBus->dispatch(new GetGame(gameId: $gameUuid));
+        } catch (GameNotFoundException) {
+            return new Error(Uuid::v7(), 'Game not found');
+        } catch (\Throwable $e) {
+            return new Error(Uuid::v7(), 'Cannot open event stream: ' . $e->getMessage());
+        }
+
+        // Without Last-Event-ID the client has just loaded a snapshot, so start after the newest event
+        $lastEventId = $httpRequest->headers->get('Last-Event-ID');
+        $afterId = is_numeric($lastEventId) ? (int) $lastEventId : $this->gameEventLog->lastId($gameUuid);
+
+        $response = new StreamedResponse(function () use ($gameUuid, $afterId): void {
+            echo 'retry: ' . self::RETRY_MS . "\n\n";
+            // An id-only frame so a client that connected without Last-Event-ID resumes from here
+            echo 'id: ' . $afterId . "\n\n";
+            flush();
+
+            $deadline = time() + self::STREAM_SECONDS;
+            while (time() < $deadline && !connection_aborted()) {
+                $events = $this->gameEventLog->since($gameUuid, $afterId);
+                foreach ($events as $id => $event) {
+                    echo $event->toFrame($id);
+                    $afterId = $id;
+                }
+
+                // Comment lines keep proxies from timing out and let connection_aborted() notice a gone client
+                if ($events === []) {
+                    echo ": ping\n\n";
+                }
+
+                flush();
+                usleep(self::POLL_INTERVAL_US);
+            }
+        });
+
+        $response->headers->set('Content-Type', 'text/event-stream');
+        $response->headers->set('Cache-Control', 'no-cache');
+        $response->headers->set('X-Accel-Buffering', 'no');
+
+        return $response;
+    }
+}
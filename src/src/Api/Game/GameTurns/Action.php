@@ -22,7 +22,7 @@ final readonly class Action
         try {
             $gameUuid = Uuid::fromString($gameId);
 
-            $gameTurns = $this->gameTurnRepository->getForApi($gameUuid);
+            $gameTurns = $this->gameTurnRepository->getAllForApi($gameUuid);
 
             return Response::fromGameTurns($gameId, $gameTurns);
         } catch (GameNotFoundException $e) {
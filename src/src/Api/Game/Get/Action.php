@@ -60,8 +60,10 @@ final readonly class Action
                         'hp' => $player->getHP(),
                         'defeated' => $player->isDefeated(),
                         'isAi' => $player->isAi(),
+                        'aiStrategy' => $player->getAiStrategy(),
                         'externalId' => $player->getExternalId(),
                         'username' => $player->getUsername(),
+                        'ready' => $player->isReady(),
                         'inventory' => [
                             'keys' => $this->formatInventoryItems($inventory['key'] ?? []),
                             'weapons' => $this->formatInventoryItems($inventory['weapon'] ?? []),
@@ -167,7 +167,9 @@ final readonly class Response
                 'unplacedTile' => $unplacedTile, // Add unplaced tile info
             ],
             players: self::formatGameLifecyclePlayers($game->getPlayers(), $playerData, $messageBus),
-            settings: [], // Add any settings if available in GameLifecycleGame
+            settings: [
+                'seats' => $game->getSeats(),
+            ],
             field: $field ? self::formatFieldData($field, $messageBus, $tileRepository) : null,
             turns: $formattedTurns,
         );
@@ -204,6 +206,10 @@ final readonly class Response
                 if (isset($playerData[$playerIdStr]['isAi'])) {
                     $playerFormattedData['isAi'] = $playerData[$playerIdStr]['isAi'];
                 }
+                // Add the AI strategy if one was chosen
+                if (isset($playerData[$playerIdStr]['aiStrategy'])) {
+                    $playerFormattedData['aiStrategy'] = $playerData[$playerIdStr]['aiStrategy'];
+                }
                 // Add inventory data if available
                 if (isset($playerData[$playerIdStr]['inventory'])) {
                     $playerFormattedData['inventory'] = $playerData[$playerIdStr]['inventory'];
@@ -216,6 +222,10 @@ final readonly class Response
                 if (isset($playerData[$playerIdStr]['username'])) {
                     $playerFormattedData['username'] = $playerData[$playerIdStr]['username'];
                 }
+                // Add lobby ready flag if available
+                if (isset($playerData[$playerIdStr]['ready'])) {
+                    $playerFormattedData['ready'] = $playerData[$playerIdStr]['ready'];
+                }
             }
 
             // If we have no player health data and a message bus is provided, try to get detailed player information
@@ -225,8 +235,10 @@ final readonly class Response
                     $playerFormattedData['hp'] = $player->getHP();
                     $playerFormattedData['defeated'] = $player->isDefeated();
                     $playerFormattedData['isAi'] = $player->isAi();
+                    $playerFormattedData['aiStrategy'] = $player->getAiStrategy();
                     $playerFormattedData['externalId'] = $player->getExternalId();
                     $playerFormattedData['username'] = $player->getUsername();
+                    $playerFormattedData['ready'] = $player->isReady();
                 } catch (\Throwable) {
                     // Unable to get player data, continue with what we have
                 }
@@ -242,6 +254,9 @@ final readonly class Response
             if (!isset($playerFormattedData['isAi'])) {
                 $playerFormattedData['isAi'] = false; // Default to human player
             }
+            if (!isset($playerFormattedData['ready'])) {
+                $playerFormattedData['ready'] = false;
+            }
             // Add empty inventory if no inventory data is available
             if (!isset($playerFormattedData['inventory'])) {
                 $playerFormattedData['inventory'] = [
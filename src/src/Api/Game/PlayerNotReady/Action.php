@@ -0,0 +1,38 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Api\Game\PlayerNotReady;
+
+use App\Api\Error;
+use App\Game\Player\CancelReady;
+use App\Infrastructure\Uuid\Uuid;
+use Symfony\Component\HttpKernel\Attribute\MapRequestPayload;
+use Symfony\Component\Routing\Annotation\Route;
+use Telephantast\MessageBus\MessageBus;
+
+final readonly class Action
+{
+    #[Route('/game/player/not-ready', name: 'api_player_not_ready', methods: ['POST'])]
+    public function __invoke(
+        #[MapRequestPayload]
+        Request $request,
+        MessageBus $messageBus,
+    ): Response|Error {
+        try {
+            $messageBus->dispatch(
+                new CancelReady(
+                    playerId: $request->playerId,
+                    gameId: $request->gameId,
+                ),
+            );
+        } catch (\Throwable $e) {
+            return new Error(Uuid::v7(), 'Could not cancel player ready: ' . $e->getMessage());
+        }
+
+        return new Response(
+            playerId: $request->playerId,
+            gameId: $request->gameId,
+        );
+    }
+}
@@ -0,0 +1,15 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Api\Game\PlayerNotReady;
+
+use App\Infrastructure\Uuid\Uuid;
+
+final readonly class Response
+{
+    public function __construct(
+        public Uuid $playerId,
+        public Uuid $gameId,
+    ) {}
+}
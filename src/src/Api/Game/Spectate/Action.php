@@ -0,0 +1,87 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Api\Game\Spectate;
+
+use App\Api\Error;
+use App\Game\GameLifecycle\Error\GameNotFoundException;
+use App\Game\GameLifecycle\GetGame;
+use App\Infrastructure\Uuid\Uuid;
+use Psr\Cache\CacheItemPoolInterface;
+use Psr\Clock\ClockInterface;
+use Symfony\Component\HttpKernel\Attribute\MapRequestPayload;
+use Symfony\Component\Routing\Attribute\Route;
+use Telephantast\MessageBus\MessageBus;
+
+/**
+ * Spectator heartbeat: viewers call it periodically and get back how many
+ * viewers were seen recently. Viewers that stop calling drop out after VIEWER_TTL seconds.
+ */
+final readonly class Action
+{
+    private const int VIEWER_TTL = 45;
+    private const int LOCK_STRIPES = 32;
+
+    public function __construct(
+        private MessageBus $messageBus,
+        private CacheItemPoolInterface $cache,
+        private ClockInterface $clock,
+        private string $lockDirectory,
+    ) {}
+
+    #[Route('/game/{gameId}/spectators', methods: ['POST'])]
+    public function __invoke(
+        string $gameId,
+        #[MapRequestPayload]
+        Request $request,
+    ): Response|Error {
+        try {
+            $gameUuid = Uuid::fromString($gameId);
+            // Only games that exist get a viewer list in the cache
+            $this->messageBus->dispatch(new GetGame(gameId: $gameUuid));
+
+            $viewerCount = $this->registerViewer($gameUuid, $request->viewerId);
+        } catch (GameNotFoundException) {
+            return new Error(Uuid::v7(), 'Cannot register spectator: game not found');
+        } catch (\Throwable $e) {
+            return new Error(Uuid::v7(), 'Cannot register spectator: ' . $e->getMessage());
+        }
+
+        return new Response($gameUuid, $viewerCount);
+    }
+
+    /**
+     * Adds the viewer and drops the stale ones as one step, so concurrent heartbeats
+     * of a game wait on the same lock instead of overwriting each other's viewers.
+     */
+    private function registerViewer(Uuid $gameId, string $viewerId): int
+    {
+        $stripe = crc32($gameId->toString()) % self::LOCK_STRIPES;
+        $lockFile = \sprintf('%s/spectators_%d.lock', $this->lockDirectory, $stripe);
+        $lock = fopen($lockFile, 'c');
+        if ($lock === false) {
+            throw new \RuntimeException(\sprintf('Could not open spectators lock file %s', $lockFile));
+        }
+
+        try {
+            flock($lock, LOCK_EX);
+
+            $now = $this->clock->now()->getTimestamp();
+            $item = $this->cache->getItem('game_spectators_' . $gameId->toString());
+            /** @var array<string, int> $viewers */
+            $viewers = $item->isHit() ? $item->get() : [];
+            $viewers = array_filter($viewers, static fn(int $lastSeen): bool => $now - $lastSeen < self::VIEWER_TTL);
+            $viewers[$viewerId] = $now;
+
+            $item->set($viewers);
+            $item->expiresAfter(self::VIEWER_TTL);
+            $this->cache->save($item);
+
+            return \count($viewers);
+        } finally {
+            flock($lock, LOCK_UN);
+            fclose($lock);
+        }
+    }
+}
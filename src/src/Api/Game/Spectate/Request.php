@@ -0,0 +1,16 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Api\Game\Spectate;
+
+use Symfony\Component\Validator\Constraints as Assert;
+
+final readonly class Request
+{
+    public function __construct(
+        #[Assert\NotBlank]
+        #[Assert\Uuid]
+        public string $viewerId,
+    ) {}
+}
@@ -6,14 +6,17 @@ namespace App\Api\Game\VirtualPlayerTurn;
 
 use App\Api\Error;
 use App\Game\AI\SmartVirtualPlayer;
+use App\Game\Player\GetPlayer;
 use App\Infrastructure\Uuid\Uuid;
 use Symfony\Component\HttpKernel\Attribute\MapRequestPayload;
 use Symfony\Component\Routing\Attribute\Route;
+use Telephantast\MessageBus\MessageBus;
 
 final readonly class Action
 {
     public function __construct(
         private SmartVirtualPlayer $virtualPlayer,
+        private MessageBus $messageBus,
     ) {}
 
     #[Route('/game/virtual-player-turn', methods: ['POST'])]
@@ -36,7 +39,9 @@ final readonly class Action
 
             // Execute the virtual player's turn
             try {
-                $aiActions = $this->virtualPlayer->executeTurn($gameId, $playerId);
+                // Fall back to the strategy the AI player was added with, so every client plays it the same way
+                $strategy = $request->strategy ?? $this->messageBus->dispatch(new GetPlayer($playerId))->getAiStrategy() ?? 'balanced';
+                $aiActions = $this->virtualPlayer->executeTurn($gameId, $playerId, $strategy);
                 $actions = array_merge($actions, $aiActions);
             } catch (\Throwable $aiError) {
                 $actions[] = [
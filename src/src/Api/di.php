@@ -5,12 +5,15 @@ declare(strict_types=1);
 namespace App\Api;
 
 use Symfony\Component\DependencyInjection\Loader\Configurator\ContainerConfigurator;
+use function Symfony\Component\DependencyInjection\Loader\Configurator\param;
 
 return static function (ContainerConfigurator $di): void {
     $di->services()
         ->defaults()
             ->autowire()
             ->autoconfigure()
+            // Lock files live next to the filesystem cache, which every worker of the host shares
+            ->bind('string $lockDirectory', param('kernel.cache_dir'))
         ->load(__NAMESPACE__ . '\\', __DIR__ . '/**/Action.php')
             ->tag('controller.service_arguments');
 };
@@ -21,5 +21,6 @@ final readonly class AddPlayer implements Message
         public ?string $username = null,
         public ?string $walletAddress = null,
         public bool $isAi = false,
+        public ?string $aiStrategy = null,
     ) {}
 }
@@ -0,0 +1,22 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Game\GameLifecycle;
+
+use App\Infrastructure\Uuid\Uuid;
+use Telephantast\Message\Message;
+
+/**
+ * @psalm-immutable
+ *
+ * @implements Message<void>
+ */
+final readonly class ChangeSeats implements Message
+{
+    public function __construct(
+        public Uuid $gameId,
+        public Uuid $playerId,
+        public int $seats,
+    ) {}
+}
@@ -18,5 +18,6 @@ final readonly class CreateGame implements Message
         public Uuid $gameId,
         public \DateTimeImmutable $at = new \DateTimeImmutable(),
         public int $deckSize = 88,
+        public int $seats = 4,
     ) {}
 }
@@ -0,0 +1,13 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Game\GameLifecycle\Error;
+
+final class GameAlreadyStartedException extends \RuntimeException
+{
+    public function __construct()
+    {
+        parent::__construct('Cannot perform action: game has already started');
+    }
+}
@@ -0,0 +1,13 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Game\GameLifecycle\Error;
+
+final class OnlyHostCanChangeSeats extends \RuntimeException
+{
+    public function __construct()
+    {
+        parent::__construct('Only the host can change the seats');
+    }
+}
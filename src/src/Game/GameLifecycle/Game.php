@@ -6,6 +6,8 @@ namespace App\Game\GameLifecycle;
 
 use App\Game\GameLifecycle\Error\CannotAddPlayerToAlreadyFullGame;
 use App\Game\GameLifecycle\Error\CannotAddPlayerToAlreadyPreparedGame;
+use App\Game\GameLifecycle\Error\GameAlreadyStartedException;
+use App\Game\GameLifecycle\Error\OnlyHostCanChangeSeats;
 use App\Game\Item\Item;
 use App\Game\Item\ItemCategory;
 use App\Game\Player\GetActivePlayers;
@@ -64,6 +66,12 @@ class Game extends AggregateRoot
     #[Column(type: UuidType::class, nullable: true)]
     private ?Uuid $winnerId = null;
 
+    /**
+     * Players the host lets join, never more than MAX_PLAYERS_COUNT.
+     */
+    #[Column(type: Types::INTEGER)]
+    private int $seats = self::MAX_PLAYERS_COUNT;
+
     private function __construct(
         #[Id]
         #[Column(type: UuidType::class)]
@@ -76,6 +84,7 @@ class Game extends AggregateRoot
         $game = new self(
             gameId: $command->gameId,
         );
+        $game->seats = min($command->seats, self::MAX_PLAYERS_COUNT);
         $messageContext->dispatch(new GameCreated(
             gameId: $command->gameId,
             gameCreateTime: $command->at,
@@ -99,7 +108,7 @@ class Game extends AggregateRoot
     public function addPlayer(AddPlayer $command, MessageContext $messageContext): void
     {
         $players = array_values(array_unique(array_merge($this->players, [$command->playerId])));
-        if (\count($players) > self::MAX_PLAYERS_COUNT) {
+        if (\count($players) > $this->seats) {
             throw new CannotAddPlayerToAlreadyFullGame();
         }
 
@@ -126,9 +135,30 @@ class Game extends AggregateRoot
             username: $command->username,
             walletAddress: $command->walletAddress,
             isAi: $command->isAi,
+            aiStrategy: $command->aiStrategy,
         ));
     }
 
+    /**
+     * Seats can't drop below the players who already joined.
+     * @throws GameAlreadyStartedException
+     * @throws OnlyHostCanChangeSeats
+     */
+    #[Handler]
+    public function changeSeats(ChangeSeats $command): void
+    {
+        if (!$this->status->isPreparing()) {
+            throw new GameAlreadyStartedException();
+        }
+
+        // The first player to join hosts the game
+        if (!isset($this->players[0]) || !$command->playerId->equals($this->players[0])) {
+            throw new OnlyHostCanChangeSeats();
+        }
+
+        $this->seats = max(\count($this->players), min($command->seats, self::MAX_PLAYERS_COUNT));
+    }
+
     #[Handler]
     public function start(StartGame $command, MessageContext $messageContext): void
     {
@@ -275,6 +305,11 @@ class Game extends AggregateRoot
         return $this->currentPlayerId;
     }
 
+    public function getSeats(): int
+    {
+        return $this->seats;
+    }
+
     public function getStatus(): GameStatus
     {
         return $this->status;
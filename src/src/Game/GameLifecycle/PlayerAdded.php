@@ -21,5 +21,6 @@ final readonly class PlayerAdded implements Event
         public ?string $username = null,
         public ?string $walletAddress = null,
         public bool $isAi = false,
+        public ?string $aiStrategy = null,
     ) {}
 }
@@ -0,0 +1,65 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Game\LiveEvents;
+
+use App\Infrastructure\Uuid\Uuid;
+use Doctrine\DBAL\Connection;
+
+/**
+ * Append-only log of live events per game, the row id doubles as the event stream id.
+ */
+final readonly class GameEventLog
+{
+    public function __construct(
+        private Connection $connection,
+    ) {}
+
+    public function append(Uuid $gameId, LiveEvent $event): void
+    {
+        $this->connection->executeStatement(
+            <<<'SQL'
+                insert into live_event.game_event (game_id, type, payload, occurred_at)
+                values (:game_id, :type, :payload, now())
+                SQL,
+            [
+                'game_id' => $gameId->toString(),
+                'type' => $event->type,
+                'payload' => json_encode($event->payload, JSON_THROW_ON_ERROR),
+            ],
+        );
+    }
+
+    /**
+     * @return array<int, LiveEvent> events keyed by id, oldest first
+     */
+    public function since(Uuid $gameId, int $afterId, int $limit = 100): array
+    {
+        $rows = $this->connection->fetchAllAssociative(
+            <<<'SQL'
+                select id, type, payload
+                from live_event.game_event
+                where game_id = :game_id and id > :after_id
+                order by id asc
+                limit :limit
+                SQL,
+            ['game_id' => $gameId->toString(), 'after_id' => $afterId, 'limit' => $limit],
+        );
+
+        $events = [];
+        foreach ($rows as $row) {
+            $events[(int) $row['id']] = new LiveEvent($row['type'], json_decode($row['payload'], true, flags: JSON_THROW_ON_ERROR));
+        }
+
+        return $events;
+    }
+
+    public function lastId(Uuid $gameId): int
+    {
+        return (int) $this->connection->fetchOne(
+            'select coalesce(max(id), 0) from live_event.game_event where game_id = :game_id',
+            ['game_id' => $gameId->toString()],
+        );
+    }
+}
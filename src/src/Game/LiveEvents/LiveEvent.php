@@ -0,0 +1,81 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Game\LiveEvents;
+
+use App\Game\Battle\BattleCompleted;
+use App\Game\Field\Tile;
+use App\Game\Field\TilePlaced;
+use App\Game\GameLifecycle\GameEnded;
+use App\Game\GameLifecycle\TurnChanged;
+use App\Game\Movement\Events\PlayerMoved;
+
+/**
+ * A game event in the shape the frontend applies it, see applyGameEvent in fe/src/utils/gameUtils.js.
+ */
+final readonly class LiveEvent
+{
+    /**
+     * @param array<string, mixed> $payload
+     */
+    public function __construct(
+        public string $type,
+        public array $payload,
+    ) {}
+
+    public static function fromTilePlaced(TilePlaced $event, Tile $tile): self
+    {
+        return new self('TilePlaced', [
+            'tileId' => $event->tileId->toString(),
+            'fieldPlace' => $event->fieldPlace->toString(),
+            'orientation' => $event->orientation->toString(),
+            'room' => $tile->room,
+            'features' => array_map(static fn ($feature) => $feature->value, $tile->getFeatures()),
+        ]);
+    }
+
+    public static function fromPlayerMoved(PlayerMoved $event): self
+    {
+        return new self('PlayerMoved', [
+            'playerId' => $event->playerId->toString(),
+            'from' => $event->fromPosition->toString(),
+            'to' => $event->toPosition->toString(),
+        ]);
+    }
+
+    public static function fromBattleCompleted(BattleCompleted $event): self
+    {
+        return new self('BattleCompleted', [
+            'battleId' => $event->battleId->toString(),
+            'playerId' => $event->playerId->toString(),
+            'result' => $event->result->value,
+            'diceResults' => $event->diceResults,
+            'totalDamage' => $event->totalDamage,
+            'monsterHP' => $event->monsterHP,
+        ]);
+    }
+
+    public static function fromTurnChanged(TurnChanged $event): self
+    {
+        return new self('TurnChanged', [
+            'currentPlayerId' => $event->currentPlayerId->toString(),
+            'turnNumber' => $event->turnNumber,
+        ]);
+    }
+
+    public static function fromGameEnded(GameEnded $event): self
+    {
+        return new self('GameEnded', [
+            'winnerId' => $event->winnerId?->toString(),
+        ]);
+    }
+
+    /**
+     * Server-sent events frame, the id is what the client resumes from with Last-Event-ID.
+     */
+    public function toFrame(int $id): string
+    {
+        return \sprintf("id: %d\nevent: %s\ndata: %s\n\n", $id, $this->type, json_encode($this->payload, JSON_THROW_ON_ERROR));
+    }
+}
@@ -0,0 +1,55 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Game\LiveEvents;
+
+use App\Game\Battle\BattleCompleted;
+use App\Game\Field\GetTile;
+use App\Game\Field\TilePlaced;
+use App\Game\GameLifecycle\GameEnded;
+use App\Game\GameLifecycle\TurnChanged;
+use App\Game\Movement\Events\PlayerMoved;
+use Telephantast\MessageBus\Handler\Mapping\Handler;
+use Telephantast\MessageBus\MessageContext;
+
+/**
+ * Writes the events the game view follows into the event log served by GET /api/game/{gameId}/events.
+ */
+final readonly class RecordLiveEvents
+{
+    public function __construct(
+        private GameEventLog $log,
+    ) {}
+
+    #[Handler]
+    public function onTilePlaced(TilePlaced $event, MessageContext $messageContext): void
+    {
+        $tile = $messageContext->dispatch(new GetTile($event->tileId));
+        $this->log->append($event->gameId, LiveEvent::fromTilePlaced($event, $tile));
+    }
+
+    #[Handler]
+    public function onPlayerMoved(PlayerMoved $event): void
+    {
+        $this->log->append($event->gameId, LiveEvent::fromPlayerMoved($event));
+    }
+
+    #[Handler]
+    public function onBattleCompleted(BattleCompleted $event): void
+    {
+        $this->log->append($event->gameId, LiveEvent::fromBattleCompleted($event));
+    }
+
+    #[Handler]
+    public function onTurnChanged(TurnChanged $event): void
+    {
+        $this->log->append($event->gameId, LiveEvent::fromTurnChanged($event));
+    }
+
+    #[Handler]
+    public function onGameEnded(GameEnded $event): void
+    {
+        $this->log->append($event->gameId, LiveEvent::fromGameEnded($event));
+    }
+}
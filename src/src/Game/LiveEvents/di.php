@@ -0,0 +1,17 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Game\LiveEvents;
+
+use Symfony\Component\DependencyInjection\Loader\Configurator\ContainerConfigurator;
+
+return static function (ContainerConfigurator $di): void {
+    $di->services()
+        ->defaults()
+            ->autowire()
+            ->autoconfigure()
+        ->set(GameEventLog::class)
+        ->set(RecordLiveEvents::class)
+            ->tag('messenger.message_handler');
+};
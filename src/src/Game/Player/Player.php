@@ -6,6 +6,7 @@ namespace App\Game\Player;
 
 use App\Game\Bag\DoctrineDBAL\InventoryJsonType;
 use App\Game\Battle\MonsterDefeated;
+use App\Game\GameLifecycle\Error\GameAlreadyStartedException;
 use App\Game\GameLifecycle\GetCurrentPlayer;
 use App\Game\GameLifecycle\GetGame;
 use App\Game\GameLifecycle\PlayerAdded;
@@ -74,6 +75,12 @@ class Player extends AggregateRoot
     #[Column(type: BooleanType::class)]
     private bool $isAi = false;
 
+    /**
+     * Strategy an AI player was added with, null for humans and the default strategy.
+     */
+    #[Column(type: Types::STRING, nullable: true)]
+    private ?string $aiStrategy = null;
+
     /**
      * @var array{key: array<Item>, weapon: array<Item>, spell: array<Item>, treasure: array<Item>}
      * Inventory slots by item category
@@ -119,6 +126,7 @@ class Player extends AggregateRoot
         $player->username = $event->username ?? null;
         $player->walletAddress = $event->walletAddress ?? null;
         $player->isAi = $event->isAi;
+        $player->aiStrategy = $event->aiStrategy;
 
         return $player;
     }
@@ -146,6 +154,26 @@ class Player extends AggregateRoot
         ));
     }
 
+    /**
+     * @throws GameAlreadyStartedException
+     */
+    #[Handler]
+    public function cancelReady(CancelReady $command, MessageContext $messageContext): void
+    {
+        // Readiness only matters in the lobby, a started game can't be un-readied
+        $game = $messageContext->dispatch(new GetGame($command->gameId));
+        if (!$game->getStatus()->isPreparing()) {
+            throw new GameAlreadyStartedException();
+        }
+
+        $this->ready = false;
+
+        $messageContext->dispatch(new PlayerReadyCancelled(
+            playerId: $this->playerId,
+            gameId: $command->gameId,
+        ));
+    }
+
     #[Handler]
     public function reduceHP(ReducePlayerHP $command, MessageContext $messageContext): void
     {
@@ -476,6 +504,11 @@ class Player extends AggregateRoot
         return $this->isAi;
     }
 
+    public function getAiStrategy(): ?string
+    {
+        return $this->aiStrategy;
+    }
+
     public function getCharacterId(): ?Uuid
     {
         return $this->characterId;
@@ -0,0 +1,19 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Game\Player;
+
+use App\Infrastructure\Uuid\Uuid;
+use Telephantast\Message\Event;
+
+/**
+ * @psalm-immutable
+ */
+final readonly class PlayerReadyCancelled implements Event
+{
+    public function __construct(
+        public Uuid $playerId,
+        public Uuid $gameId,
+    ) {}
+}
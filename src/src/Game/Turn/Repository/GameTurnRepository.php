@@ -31,4 +31,22 @@ final readonly class GameTurnRepository
 
         return array_reverse($rows);
     }
+
+    /**
+     * Full ordered turn log of a game, oldest turn first.
+     *
+     * @return list<array<array-key, mixed>>
+     */
+    public function getAllForApi(Uuid $gameId): array
+    {
+        return $this->connection->fetchAllAssociative(
+            <<<'SQL'
+                select turn_id, actions, player_id, turn_number, start_time, end_time, pending_item_pickup
+                from game_turn.game_turn
+                where game_id = :game_id
+                order by turn_number asc
+                SQL,
+            ['game_id' => $gameId->toString()],
+        );
+    }
 }
@@ -0,0 +1,162 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Infrastructure\Http;
+
+use Psr\Cache\CacheItemPoolInterface;
+use Symfony\Component\EventDispatcher\Attribute\AsEventListener;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\HttpKernel\Event\RequestEvent;
+use Symfony\Component\HttpKernel\Event\ResponseEvent;
+
+/**
+ * Makes POST requests carrying an Idempotency-Key header safe to retry: the first
+ * response is stored and replayed for every retry with the same key. A retry that
+ * arrives while the first request is still running gets 409 and should try again later.
+ * Keys are scoped to the caller, so one client can never be answered with another's response.
+ */
+final readonly class IdempotencyListener
+{
+    public const string HEADER = 'Idempotency-Key';
+
+    private const int RESPONSE_TTL = 3600;
+    private const int PENDING_TTL = 60;
+    private const string PENDING = 'pending';
+    private const string REPLAY_HEADER = 'Idempotent-Replayed';
+    private const string CONFLICT_ATTRIBUTE = '_idempotency_conflict';
+    private const int LOCK_STRIPES = 32;
+
+    public function __construct(
+        private CacheItemPoolInterface $cache,
+        private string $lockDirectory,
+    ) {}
+
+    #[AsEventListener(priority: 20)]
+    public function onKernelRequest(RequestEvent $event): void
+    {
+        $request = $event->getRequest();
+        $cacheKey = $this->cacheKey($request);
+        if (!$event->isMainRequest() || $cacheKey === null) {
+            return;
+        }
+
+        $stored = $this->reserve($cacheKey);
+        if ($stored === null) {
+            return;
+        }
+
+        if ($stored === self::PENDING) {
+            $request->attributes->set(self::CONFLICT_ATTRIBUTE, true);
+            $event->setResponse(new JsonResponse(
+                ['message' => 'A request with this idempotency key is still being processed'],
+                Response::HTTP_CONFLICT,
+            ));
+
+            return;
+        }
+
+        /** @var array{status: int, content: string, contentType: ?string} $stored */
+        $event->setResponse(new Response($stored['content'], $stored['status'], [
+            'Content-Type' => $stored['contentType'] ?? 'application/json',
+            self::REPLAY_HEADER => 'true',
+        ]));
+    }
+
+    #[AsEventListener]
+    public function onKernelResponse(ResponseEvent $event): void
+    {
+        $request = $event->getRequest();
+        $response = $event->getResponse();
+        $cacheKey = $this->cacheKey($request);
+        if (!$event->isMainRequest() || $cacheKey === null || $response->headers->has(self::REPLAY_HEADER)) {
+            return;
+        }
+
+        // The conflict answer belongs to the retry, the original request still owns the key
+        if ($request->attributes->getBoolean(self::CONFLICT_ATTRIBUTE)) {
+            return;
+        }
+
+        // Server errors are not stored so the client can retry them
+        if ($response->isServerError()) {
+            $this->cache->deleteItem($cacheKey);
+
+            return;
+        }
+
+        $item = $this->cache->getItem($cacheKey);
+        $item->set([
+            'status' => $response->getStatusCode(),
+            'content' => (string) $response->getContent(),
+            'contentType' => $response->headers->get('Content-Type'),
+        ]);
+        $item->expiresAfter(self::RESPONSE_TTL);
+        $this->cache->save($item);
+    }
+
+    /**
+     * Marks the key as pending unless it is already known, as one step: concurrent
+     * retries of the same request wait on the same lock and see the pending marker.
+     *
+     * @return null|string|array{status: int, content: string, contentType: ?string} null once reserved, the stored value otherwise
+     */
+    private function reserve(string $cacheKey): null|string|array
+    {
+        $stripe = (int) hexdec(substr($cacheKey, -4)) % self::LOCK_STRIPES;
+        $lockFile = sprintf('%s/idempotency_%d.lock', $this->lockDirectory, $stripe);
+        $lock = fopen($lockFile, 'c');
+        if ($lock === false) {
+            throw new \RuntimeException(sprintf('Could not open idempotency lock file %s', $lockFile));
+        }
+
+        try {
+            flock($lock, LOCK_EX);
+
+            $item = $this->cache->getItem($cacheKey);
+            if ($item->isHit()) {
+                return $item->get();
+            }
+
+            $item->set(self::PENDING);
+            $item->expiresAfter(self::PENDING_TTL);
+            $this->cache->save($item);
+
+            return null;
+        } finally {
+            flock($lock, LOCK_UN);
+            fclose($lock);
+        }
+    }
+
+    private function cacheKey(Request $request): ?string
+    {
+        $key = $request->headers->get(self::HEADER);
+        if ($request->getMethod() !== Request::METHOD_POST || $key === null || $key === '') {
+            return null;
+        }
+
+        return 'idempotency_' . hash('sha256', $this->caller($request) . '|' . $request->getPathInfo() . '|' . $key);
+    }
+
+    /**
+     * The player the request acts for, else its session, else its address.
+     */
+    private function caller(Request $request): string
+    {
+        $payload = json_decode((string) $request->getContent(), true);
+        $playerId = \is_array($payload) ? ($payload['playerId'] ?? null) : null;
+        if (\is_string($playerId) && $playerId !== '') {
+            return 'player:' . $playerId;
+        }
+
+        $sessionId = $request->hasSession() ? $request->cookies->get($request->getSession()->getName()) : null;
+        if (\is_string($sessionId) && $sessionId !== '') {
+            return 'session:' . $sessionId;
+        }
+
+        return 'client:' . ($request->getClientIp() ?? 'unknown');
+    }
+}
@@ -6,6 +6,7 @@ namespace App\Infrastructure\Http;
 
 use App\Infrastructure\Logging\ApiLoggingMiddleware;
 use Symfony\Component\DependencyInjection\Loader\Configurator\ContainerConfigurator;
+use function Symfony\Component\DependencyInjection\Loader\Configurator\param;
 use function Symfony\Component\DependencyInjection\Loader\Configurator\service;
 
 return static function (ContainerConfigurator $di): void {
@@ -14,6 +15,9 @@ return static function (ContainerConfigurator $di): void {
             ->autowire()
             ->autoconfigure()
         ->set(SerializeJsonControllerResultListener::class)
+        ->set(IdempotencyListener::class)
+            // Lock files live next to the filesystem cache, which every worker of the host shares
+            ->arg('$lockDirectory', param('kernel.cache_dir'))
         ->set(ApiLoggingMiddleware::class)
             ->arg('$apiLogger', service('monolog.logger.api'));
 };
@@ -0,0 +1,74 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Tests\Api\Game\Spectate;
+
+use App\Api\Error;
+use App\Api\Game\Spectate\Action;
+use App\Api\Game\Spectate\Request;
+use App\Api\Game\Spectate\Response;
+use App\Game\GameLifecycle\CreateGame;
+use App\Game\GameLifecycle\Error\GameNotFoundException;
+use App\Game\GameLifecycle\Game;
+use App\Game\GameLifecycle\GetGame;
+use App\Infrastructure\Uuid\Uuid;
+use App\Tests\Infrastructure\MessageBus\MessageBusTester;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\Test;
+use PHPUnit\Framework\TestCase;
+use Psr\Clock\ClockInterface;
+use Symfony\Component\Cache\Adapter\ArrayAdapter;
+use function App\Tests\Infrastructure\MessageBus\handle;
+
+#[CoversClass(Action::class)]
+final class ActionTest extends TestCase
+{
+    private Uuid $gameId;
+    private ArrayAdapter $cache;
+    private ClockInterface $clock;
+
+    protected function setUp(): void
+    {
+        $this->gameId = Uuid::v7();
+        $this->cache = new ArrayAdapter();
+        $this->clock = new class implements ClockInterface {
+            public function now(): \DateTimeImmutable
+            {
+                return new \DateTimeImmutable('2024-01-01 12:00:00');
+            }
+        };
+    }
+
+    #[Test]
+    public function itCountsEveryViewerOnce(): void
+    {
+        [$game, ] = handle(Game::create(...), new CreateGame($this->gameId, new \DateTimeImmutable('2024-01-01 12:00:00')));
+        $action = $this->action(MessageBusTester::create(static fn (GetGame $_query): Game => $game));
+
+        $action($this->gameId->toString(), new Request('0192f1b4-6a5e-7c3d-8b2a-1f4e5d6c7b8a'));
+        $action($this->gameId->toString(), new Request('0192f1b4-6a5e-7c3d-8b2a-1f4e5d6c7b8b'));
+        $response = $action($this->gameId->toString(), new Request('0192f1b4-6a5e-7c3d-8b2a-1f4e5d6c7b8a'));
+
+        self::assertInstanceOf(Response::class, $response);
+        self::assertSame(2, $response->viewerCount);
+    }
+
+    #[Test]
+    public function itDoesNotTrackViewersOfUnknownGames(): void
+    {
+        $action = $this->action(MessageBusTester::create(
+            static fn (GetGame $_query): Game => throw new GameNotFoundException(),
+        ));
+
+        $response = $action($this->gameId->toString(), new Request('0192f1b4-6a5e-7c3d-8b2a-1f4e5d6c7b8a'));
+
+        self::assertInstanceOf(Error::class, $response);
+        self::assertFalse($this->cache->hasItem('game_spectators_' . $this->gameId->toString()));
+    }
+
+    private function action(MessageBusTester $tester): Action
+    {
+        return new Action($tester->messageBus(), $this->cache, $this->clock, sys_get_temp_dir());
+    }
+}
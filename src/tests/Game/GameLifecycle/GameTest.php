@@ -9,10 +9,13 @@ use App\Game\Item\ItemCategory;
 use App\Game\Item\ItemType;
 use App\Game\Item\ItemName;
 use App\Game\GameLifecycle\AddPlayer;
+use App\Game\GameLifecycle\ChangeSeats;
 use App\Game\GameLifecycle\CreateGame;
 use App\Game\GameLifecycle\EndGame;
 use App\Game\GameLifecycle\Error\CannotAddPlayerToAlreadyFullGame;
 use App\Game\GameLifecycle\Error\CannotAddPlayerToAlreadyPreparedGame;
+use App\Game\GameLifecycle\Error\GameAlreadyStartedException;
+use App\Game\GameLifecycle\Error\OnlyHostCanChangeSeats;
 use App\Game\GameLifecycle\Game;
 use App\Game\GameLifecycle\GameCreated;
 use App\Game\GameLifecycle\GameEnded;
@@ -180,6 +183,70 @@ final class GameTest extends TestCase
         $tester->handle($game->addPlayer(...), new AddPlayer($this->gameId, $this->player5Id));
     }
 
+    #[Test]
+    public function itThrowsExceptionWhenAddingPlayersBeyondSeats(): void
+    {
+        $createGame = new CreateGame(
+            gameId: $this->gameId,
+            at: $this->fixedTime,
+            deckSize: 88,
+            seats: 2,
+        );
+        [$game, ] = handle(Game::create(...), $createGame);
+
+        $tester = MessageBusTester::create();
+
+        $tester->handle($game->addPlayer(...), new AddPlayer($this->gameId, $this->player1Id));
+        $tester->handle($game->addPlayer(...), new AddPlayer($this->gameId, $this->player2Id));
+
+        self::assertEquals(2, $game->getSeats());
+        $this->expectException(CannotAddPlayerToAlreadyFullGame::class);
+        $tester->handle($game->addPlayer(...), new AddPlayer($this->gameId, $this->player3Id));
+    }
+
+    #[Test]
+    public function itChangesSeatsWithoutDroppingJoinedPlayers(): void
+    {
+        [$game, ] = handle(Game::create(...), new CreateGame($this->gameId, $this->fixedTime));
+
+        $tester = MessageBusTester::create();
+        $tester->handle($game->addPlayer(...), new AddPlayer($this->gameId, $this->player1Id));
+        $tester->handle($game->addPlayer(...), new AddPlayer($this->gameId, $this->player2Id));
+        $tester->handle($game->addPlayer(...), new AddPlayer($this->gameId, $this->player3Id));
+
+        $tester->handle($game->changeSeats(...), new ChangeSeats($this->gameId, $this->player1Id, 2));
+        self::assertEquals(3, $game->getSeats());
+
+        $tester->handle($game->changeSeats(...), new ChangeSeats($this->gameId, $this->player1Id, 9));
+        self::assertEquals(4, $game->getSeats());
+    }
+
+    #[Test]
+    public function itThrowsExceptionWhenAGuestChangesSeats(): void
+    {
+        [$game, ] = handle(Game::create(...), new CreateGame($this->gameId, $this->fixedTime));
+
+        $tester = MessageBusTester::create();
+        $tester->handle($game->addPlayer(...), new AddPlayer($this->gameId, $this->player1Id));
+        $tester->handle($game->addPlayer(...), new AddPlayer($this->gameId, $this->player2Id));
+
+        $this->expectException(OnlyHostCanChangeSeats::class);
+        $tester->handle($game->changeSeats(...), new ChangeSeats($this->gameId, $this->player2Id, 2));
+    }
+
+    #[Test]
+    public function itThrowsExceptionWhenChangingSeatsAfterGameStarted(): void
+    {
+        [$game, ] = handle(Game::create(...), new CreateGame($this->gameId, $this->fixedTime));
+
+        $tester = MessageBusTester::create();
+        $tester->handle($game->addPlayer(...), new AddPlayer($this->gameId, $this->player1Id));
+        $tester->handle($game->start(...), new StartGame($this->gameId, $this->fixedTime));
+
+        $this->expectException(GameAlreadyStartedException::class);
+        $tester->handle($game->changeSeats(...), new ChangeSeats($this->gameId, $this->player1Id, 3));
+    }
+
     #[Test]
     public function itThrowsExceptionWhenAddingPlayerAfterGameStarted(): void
     {
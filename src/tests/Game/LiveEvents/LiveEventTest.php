@@ -0,0 +1,66 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Tests\Game\LiveEvents;
+
+use App\Game\Deck\DeckTile;
+use App\Game\Field\FieldPlace;
+use App\Game\Field\Tile;
+use App\Game\Field\TileFeature;
+use App\Game\Field\TileOrientation;
+use App\Game\Field\TilePlaced;
+use App\Game\GameLifecycle\TurnChanged;
+use App\Game\LiveEvents\LiveEvent;
+use App\Game\Movement\Events\PlayerMoved;
+use App\Infrastructure\Uuid\Uuid;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\Test;
+use PHPUnit\Framework\TestCase;
+
+#[CoversClass(LiveEvent::class)]
+final class LiveEventTest extends TestCase
+{
+    #[Test]
+    public function itDescribesAPlacedTileTheWayTheGameViewDrawsIt(): void
+    {
+        $tileId = Uuid::v7();
+        $orientation = TileOrientation::fromString('true,false,true,false');
+        $tile = Tile::fromDeckTile($tileId, DeckTile::fromString('true,false,true,false|1|healing_fountain'));
+
+        $event = LiveEvent::fromTilePlaced(new TilePlaced(Uuid::v7(), $tileId, new FieldPlace(1, -2), $orientation), $tile);
+
+        self::assertSame('TilePlaced', $event->type);
+        self::assertSame([
+            'tileId' => $tileId->toString(),
+            'fieldPlace' => '1,-2',
+            'orientation' => 'true,false,true,false',
+            'room' => true,
+            'features' => [TileFeature::HEALING_FOUNTAIN->value],
+        ], $event->payload);
+    }
+
+    #[Test]
+    public function itDescribesAMoveByItsPositions(): void
+    {
+        $playerId = Uuid::v7();
+
+        $event = LiveEvent::fromPlayerMoved(
+            new PlayerMoved(Uuid::v7(), $playerId, new FieldPlace(0, 0), new FieldPlace(0, 1), new \DateTimeImmutable()),
+        );
+
+        self::assertSame(['playerId' => $playerId->toString(), 'from' => '0,0', 'to' => '0,1'], $event->payload);
+    }
+
+    #[Test]
+    public function itWritesAnEventStreamFrameWithTheLogId(): void
+    {
+        $playerId = Uuid::v7();
+        $event = LiveEvent::fromTurnChanged(new TurnChanged(Uuid::v7(), $playerId, 3, new \DateTimeImmutable()));
+
+        self::assertSame(
+            "id: 42\nevent: TurnChanged\ndata: {\"currentPlayerId\":\"{$playerId->toString()}\",\"turnNumber\":3}\n\n",
+            $event->toFrame(42),
+        );
+    }
+}
@@ -8,12 +8,16 @@ use App\Game\Item\Item;
 use App\Game\Item\ItemCategory;
 use App\Game\Item\ItemName;
 use App\Game\Item\ItemType;
+use App\Game\GameLifecycle\AddPlayer;
 use App\Game\GameLifecycle\CreateGame;
+use App\Game\GameLifecycle\Error\GameAlreadyStartedException;
 use App\Game\GameLifecycle\Game;
 use App\Game\GameLifecycle\GetCurrentPlayer;
 use App\Game\GameLifecycle\GetGame;
 use App\Game\GameLifecycle\PlayerAdded;
+use App\Game\GameLifecycle\StartGame;
 use App\Game\Player\AddItemToInventory;
+use App\Game\Player\CancelReady;
 use App\Game\Player\CharacterPicked;
 use App\Game\Player\Error\InventoryFullException;
 use App\Game\Player\GetPlayer;
@@ -26,6 +30,7 @@ use App\Game\Player\ItemReplacedInInventory;
 use App\Game\Player\PickCharacter;
 use App\Game\Player\Player;
 use App\Game\Player\PlayerReady;
+use App\Game\Player\PlayerReadyCancelled;
 use App\Game\Player\PlayerStunned;
 use App\Game\Player\QueryPlayerInventory;
 use App\Game\Player\ReducePlayerHP;
@@ -76,6 +81,22 @@ final class PlayerTest extends TestCase
         self::assertEquals([], $messages);
     }
 
+    #[Test]
+    public function itKeepsTheStrategyOfAnAiPlayer(): void
+    {
+        $playerAdded = new PlayerAdded(
+            gameId: $this->gameId,
+            playerId: $this->playerId,
+            isAi: true,
+            aiStrategy: 'aggressive',
+        );
+
+        [$player, ] = handle(Player::onPlayerAddedToGame(...), $playerAdded);
+
+        self::assertTrue($player->isAi());
+        self::assertEquals('aggressive', $player->getAiStrategy());
+    }
+
     #[Test]
     public function itPicksCharacter(): void
     {
@@ -125,6 +146,58 @@ final class PlayerTest extends TestCase
         );
     }
 
+    #[Test]
+    public function itCancelsReadyInLobby(): void
+    {
+        $playerAdded = new PlayerAdded(
+            gameId: $this->gameId,
+            playerId: $this->playerId,
+        );
+        [$player, ] = handle(Player::onPlayerAddedToGame(...), $playerAdded);
+
+        $gameId = $this->gameId;
+        $tester = MessageBusTester::create(
+            static fn (GetGame $_query): Game => Game::create(new CreateGame($gameId), startMessageContext()),
+        );
+        $tester->handle($player->getReady(...), new GetReady(gameId: $this->gameId, playerId: $this->playerId));
+        [, $messages] = $tester->handle($player->cancelReady(...), new CancelReady(
+            playerId: $this->playerId,
+            gameId: $this->gameId,
+        ));
+
+        self::assertFalse($player->isReady());
+        self::assertEquals(
+            [new PlayerReadyCancelled($this->playerId, $this->gameId)],
+            $messages,
+        );
+    }
+
+    #[Test]
+    public function itThrowsExceptionWhenCancellingReadyAfterGameStarted(): void
+    {
+        $playerAdded = new PlayerAdded(
+            gameId: $this->gameId,
+            playerId: $this->playerId,
+        );
+        [$player, ] = handle(Player::onPlayerAddedToGame(...), $playerAdded);
+
+        [$game, ] = handle(Game::create(...), new CreateGame($this->gameId));
+        $gameTester = MessageBusTester::create();
+        $gameTester->handle($game->addPlayer(...), new AddPlayer($this->gameId, $this->playerId));
+        $gameTester->handle($game->start(...), new StartGame($this->gameId));
+
+        $tester = MessageBusTester::create(
+            static fn (GetGame $_query): Game => $game,
+        );
+        $tester->handle($player->getReady(...), new GetReady(gameId: $this->gameId, playerId: $this->playerId));
+
+        $this->expectException(GameAlreadyStartedException::class);
+        $tester->handle($player->cancelReady(...), new CancelReady(
+            playerId: $this->playerId,
+            gameId: $this->gameId,
+        ));
+    }
+
     #[Test]
     public function itReducesPlayerHP(): void
     {
@@ -0,0 +1,90 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Tests\Infrastructure\Http;
+
+use App\Infrastructure\Http\IdempotencyListener;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\Test;
+use PHPUnit\Framework\TestCase;
+use Symfony\Component\Cache\Adapter\ArrayAdapter;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\HttpKernel\Event\RequestEvent;
+use Symfony\Component\HttpKernel\Event\ResponseEvent;
+use Symfony\Component\HttpKernel\HttpKernelInterface;
+
+#[CoversClass(IdempotencyListener::class)]
+final class IdempotencyListenerTest extends TestCase
+{
+    private IdempotencyListener $listener;
+
+    protected function setUp(): void
+    {
+        $this->listener = new IdempotencyListener(new ArrayAdapter(), sys_get_temp_dir());
+    }
+
+    #[Test]
+    public function itAnswersConflictWhileTheFirstRequestIsRunning(): void
+    {
+        self::assertNull($this->send($this->request('player-1', 'key-1')));
+
+        $retry = $this->send($this->request('player-1', 'key-1'));
+
+        self::assertNotNull($retry);
+        self::assertSame(Response::HTTP_CONFLICT, $retry->getStatusCode());
+    }
+
+    #[Test]
+    public function itReplaysTheStoredResponse(): void
+    {
+        $request = $this->request('player-1', 'key-1');
+        $this->send($request);
+        $this->respond($request, new JsonResponse(['moved' => true]));
+
+        $retry = $this->send($this->request('player-1', 'key-1'));
+
+        self::assertNotNull($retry);
+        self::assertSame('{"moved":true}', $retry->getContent());
+        self::assertSame('true', $retry->headers->get('Idempotent-Replayed'));
+    }
+
+    #[Test]
+    public function itScopesKeysToThePlayer(): void
+    {
+        $request = $this->request('player-1', 'key-1');
+        $this->send($request);
+        $this->respond($request, new JsonResponse(['player' => 1]));
+
+        self::assertNull($this->send($this->request('player-2', 'key-1')));
+    }
+
+    private function request(string $playerId, string $key): Request
+    {
+        $request = Request::create(
+            '/api/game/move-player',
+            Request::METHOD_POST,
+            content: json_encode(['playerId' => $playerId], JSON_THROW_ON_ERROR),
+        );
+        $request->headers->set(IdempotencyListener::HEADER, $key);
+
+        return $request;
+    }
+
+    private function send(Request $request): ?Response
+    {
+        $event = new RequestEvent($this->createMock(HttpKernelInterface::class), $request, HttpKernelInterface::MAIN_REQUEST);
+        $this->listener->onKernelRequest($event);
+
+        return $event->getResponse();
+    }
+
+    private function respond(Request $request, Response $response): void
+    {
+        $this->listener->onKernelResponse(
+            new ResponseEvent($this->createMock(HttpKernelInterface::class), $request, HttpKernelInterface::MAIN_REQUEST, $response),
+        );
+    }
+}